@@ -4,6 +4,7 @@ const pdfMake = require('pdfmake/build/pdfmake');
 const vfsFonts = require('./build/vfs_fonts.js');
 const fs = require('fs');
 const path = require('path');
+const { loadConfig, assertCredentials } = require('./lib/config.js');
 
 // vfs登録（PDFMake用フォントファイルの仮想ファイルシステム）
 pdfMake.vfs = vfsFonts.pdfMake.vfs;
@@ -397,12 +398,16 @@ async function generatePdf(contents, fileName) {
 
 // メイン処理
 async function main() {
-  const browser = await puppeteer.launch({ headless: true });
+  // ログイン情報は環境変数 / .qbrc / 対話入力から取得する（lib/config.js 参照）
+  const config = await loadConfig();
+  assertCredentials(config);
+
+  const browser = await puppeteer.launch({ headless: config.headless });
   const page = await browser.newPage();
 
-  const loginUrl = 'https://login.medilink-study.com/login'; // ログインURL
-  const email = '';           // ログイン用メール
-  const password = '';                               // ログイン用パスワード
+  const loginUrl = config.loginUrl;                           // ログインURL
+  const email = config.email;                                 // ログイン用メール
+  const password = config.password;                           // ログイン用パスワード
   const fileName = "分子細胞(1)";                                // 保存するPDFのファイル名
   const startUrl = 'https://cbt.medilink-study.com/Answer/2012106230'; // 最初の問題ページ
   const numberOfPages = 19;                                     // 取得する問題数 
@@ -1,11 +1,23 @@
 const puppeteer = require('puppeteer');
-const fetch = require('node-fetch');
 const pdfMake = require('pdfmake/build/pdfmake');
 const vfsFonts = require('./build/vfs_fonts.js');
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
-const sizeOf = require('image-size');
+const { appendCheckpoint } = require('./lib/checkpoint.js');
+const { STOP_REASONS, describeStopReason, hasNextButton, isSummaryScreen } = require('./lib/end-of-set.js');
+const { resolveWaits, clickAndWaitForQuestionChange, waitForNetworkIdle, waitForImages } = require('./lib/waits.js');
+const { createQuestionTimer } = require('./lib/timing.js');
+const { anyOf, resolveSelectors, clickFirst } = require('./lib/selectors.js');
+const { withRetry } = require('./lib/retry.js');
+const { FAILURE_STEPS, stepError, failureEntry, reportFailures } = require('./lib/failures.js');
+const { logVerbose, formatForLog } = require('./lib/log.js');
+const { NULL_PROGRESS } = require('./lib/progress.js');
+const { isAborted } = require('./lib/interrupt.js');
+const { NULL_THROTTLE } = require('./lib/throttle.js');
+const { getCookieHeader, captureImages, loadImage } = require('./lib/image-fetch.js');
+const { layoutImages } = require('./lib/image-layout.js');
+const { createImageAppendix } = require('./lib/image-appendix.js');
+const { compressForLayout } = require('./lib/image-quality.js');
 
 // vfs登録（PDFMake用フォントファイルの仮想ファイルシステム）
 pdfMake.vfs = vfsFonts.pdfMake.vfs;
@@ -25,17 +37,6 @@ const fonts = {
 };
 pdfMake.fonts = fonts;
 
-/**
- * Puppeteer のページから Cookie 情報を取得し、
- * "name1=value1; name2=value2; ..." の形式に整形する関数
- * @param {Page} page - Puppeteer の page インスタンス
- * @returns {Promise<string>}
- */
-async function getCookieHeader(page) {
-  const cookies = await page.cookies();
-  return cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
-}
-
 /**
  * 補助関数1: ページ全体をスクロールして、lazy-loading画像などを読み込むための関数
  * @param {Page} page - Puppeteer の page インスタンス
@@ -62,143 +63,269 @@ async function autoScroll(page) {
  * 補助関数2: 次の問題への遷移をクリックする関数
  * @param {Object} page - Puppeteer の page オブジェクト
  * @param {number} [questionIndex=0] - エラーメッセージ用の問題番号（任意）
+ * @param {Object} [waits] - 待機の上限（config.waits）
+ * @returns {Promise<boolean>} - 次の問題に切り替わったかどうか（失敗してもエラーは投げない）
  */
-async function clickNextQuestion(page, questionIndex = 0) {
+async function clickNextQuestion(page, questionIndex = 0, waits) {
+  const bounds = resolveWaits(waits);
   try {
-    // ページ遷移後・スクロールして動的コンテンツ読み込み
-    await new Promise((resolve) => setTimeout(resolve, 10000));
+    // 動的コンテンツの読み込みを待ってからスクロール
+    await waitForNetworkIdle(page, bounds);
     await autoScroll(page);
-    await page.waitForSelector('div#answerCbtSection', { visible: true, timeout: 10000 });
-    
-    // 「次へ」ボタンを直接セレクタで取得してクリック
-    await page.evaluate(() => {
-      const nextBtn = document.querySelector('div#answerCbtSection > div.btn');
-      if (nextBtn) {
-        nextBtn.click();
-      } else {
-        throw new Error("次へボタンが見つかりませんでした");
-      }
-    });
-    
-    // クリック後、次の問題のコンテンツが表示されるのを待機
-    await page.waitForSelector('div.question-content', { visible: true, timeout: 10000 });
+    await page.waitForSelector(anyOf('answerSection'), { visible: true, timeout: bounds.content });
+
+    // 「次へ」ボタンをクリックし、次の問題に切り替わる（問題文が変わる）まで待機
+    await clickAndWaitForQuestionChange(page, anyOf('answerButton'), bounds);
+    return true;
   } catch (error) {
     console.error(`問題 ${questionIndex + 1}：次の問題へのクリックエラー:`, error);
+    return false;
   }
 }
 
+/**
+ * 4連問の1問目を表示している状態から、「次へ」で4問目まで進めて「解答を確認する」をクリックし、解説が表示されるまで待つ関数
+ * 解説が表示されなければ、失敗した段階（lib/failures.js の FAILURE_STEPS）を step に付けたエラーを投げる
+ * @param {Object} page - Puppeteer の page オブジェクト
+ * @param {string} label - ログ用の問題の呼び名（例: "問題 3"）
+ * @param {Object} [waits] - 待機の上限（config.waits）
+ */
+async function showExplanation(page, label, waits) {
+  const bounds = resolveWaits(waits);
+
+  // ① 「次へ」ボタンを3回クリックしてページを進める
+  let subQuestionFailed = false;
+  for (let j = 0; j < 3; j++) {
+    if (!(await clickNextQuestion(page, j, bounds))) {
+      subQuestionFailed = true;
+    }
+  }
+
+  // もう一度スクロールして動的コンテンツの読み込み
+  await autoScroll(page);
+
+  // 「解答を確認する」ボタンをクリックして解説パートを表示
+  let clickError = null;
+  try {
+    await page.waitForSelector(anyOf('answerButton'), {
+      visible: true,
+      timeout: bounds.content,
+    });
+    // ボタン内のテキストが「解答を確認する」であることを確認
+    const btnText = await page.evaluate((buttonSelector) => {
+      const btn = document.querySelector(buttonSelector);
+      return btn ? btn.innerText.trim() : "";
+    }, anyOf('answerButton'));
+    if (btnText.includes("解答を確認する")) {
+      await clickFirst(page, 'answerButton');
+    } else {
+      throw new Error("解答を確認するボタンのテキストが一致しません: " + btnText);
+    }
+  } catch (error) {
+    console.error(`${label}：「解答を確認する」ボタンのクリックエラー:`, error);
+    clickError = error;
+  }
+
+  // ③ 解説部が表示されるまで待機（より具体的な子要素で待機）
+  try {
+    await page.waitForSelector(anyOf('correctAnswer'), {
+      visible: true,
+      timeout: bounds.content,
+    });
+  } catch (error) {
+    if (subQuestionFailed) throw stepError(FAILURE_STEPS.SUB_QUESTION, clickError || error);
+    throw clickError ? stepError(FAILURE_STEPS.ANSWER_BUTTON, clickError) : stepError(FAILURE_STEPS.CORRECT_ANSWER, error);
+  }
+
+  logVerbose(`${label} の解説が表示されました。`);
+}
+
+/**
+ * 問題ページのフッター（div.question-footer）から問題IDを取得する関数
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @returns {Promise<string>} - 問題ID（取得できなければ空文字）
+ */
+async function getProblemId(page) {
+  return page.evaluate((footerSelector) => {
+    const footerElem = document.querySelector(footerSelector);
+    const m = footerElem ? footerElem.innerText.match(/ID\s*:\s*(\d+)/) : null;
+    return m && m[1] ? m[1] : '';
+  }, anyOf('questionFooter'));
+}
+
 /**
  * 指定されたページ（ログイン済みの状態）から、連続して numPages 件の問題・解説データをスクレイピングする
  * @param {Page} page - Puppeteer の page インスタンス（ログイン後のもの）
- * @param {number} numPages - 取得する問題数
- * @returns {Promise<Array<Object>>} - 各問題・解説データの配列
+ * @param {number} [numPages=Infinity] - 取得する問題数の上限（省略時はセットの終わりまで）
+ * @param {Object} [options]
+ * @param {string} [options.checkpointPath] - 1問取得するごとに結果を追記するチェックポイントファイル（JSONL）
+ * @param {Set<string>} [options.completedIds] - 取得済みの問題ID（該当する問題は読み飛ばし、numPages にも数えない）
+ * @param {Object} [options.waits] - 待機の上限（config.waits）
+ * @param {Object} [options.session] - セッション切れからの復帰（lib/session.js の createSessionGuard の戻り値）
+ * @param {number} [options.retries=2] - 解説を表示できなかったときに、ページを開き直して再試行する回数
+ * @param {number} [options.retryBackoff=2000] - 1回目の再試行までの待ち時間（ms）。以降は2倍ずつ延ばす
+ * @param {Object} [options.progress] - 進捗の表示（lib/progress.js の createProgress の戻り値）
+ * @param {AbortSignal} [options.signal] - 中断（lib/interrupt.js）。中断されたら今の問題の後で終了する
+ * @param {AbortSignal} [options.imageSignal] - 画像のダウンロードだけを中断する signal（省略時は options.signal。問題ID指定の1問分の取得で使う）
+ * @param {Object} [options.throttle] - アクセス間隔・上限（lib/throttle.js の createThrottle の戻り値）。次の問題へ進む前に待つ
+ * @param {Object} [options.imageStore] - 画像の保存先（lib/image-store.js の createImageStore の戻り値）。省略時は data URL のまま results に入れる
+ * @returns {Promise<{ results: Array<Object>, stopReason: string, failures: Array<Object>, timings: Object<string, number> }>}
+ *   各問題・解説データの配列と終了理由（STOP_REASONS）、再試行しても取得できなかった問題（lib/failures.js の failureEntry）、
+ *   問題IDごとの所要時間（ms）
  */
-async function scrape(page, numPages) {
+async function scrape(page, numPages = Infinity, options = {}) {
     const results = [];
+    const completedIds = options.completedIds || new Set();
+    const seenIds = new Set(); // この実行中に表示された問題ID（一周の検出用）
+    const waits = resolveWaits(options.waits);
+    const timer = createQuestionTimer();
+    const progress = options.progress || NULL_PROGRESS;
+    const throttle = options.throttle || NULL_THROTTLE;
+    let stopReason = STOP_REASONS.COUNT;
+    let lastQuestion = null; // 最後に表示した問題（セッション切れからの再開位置）
+    const failures = [];
+
+    // ログイン画面に戻されていたら、ログインし直して最後に表示した問題を開き直す
+    // 開き直した問題は取得済みなので読み飛ばされ、「次の問題へ」で続きから取得する
+    const recoverSession = async () => {
+      if (!options.session || !lastQuestion) return false;
+      if (!(await options.session.recover(page, lastQuestion.url))) return false;
+      seenIds.delete(lastQuestion.id); // 開き直した問題は一周の検出に数えない
+      return true;
+    };
+
     for (let pageIndex = 0; pageIndex < numPages; pageIndex++) {
-      console.log(`--- 問題 ${pageIndex + 1} のスクレイピング開始 ---`);
+      if (isAborted(options.signal)) {
+        stopReason = STOP_REASONS.INTERRUPTED;
+        break;
+      }
+      logVerbose(`--- 問題 ${pageIndex + 1} のスクレイピング開始 ---`);
+      timer.start();
+      await recoverSession();
   
-      // ページ遷移後・スクロールして動的コンテンツ読み込み
-      await new Promise((resolve) => setTimeout(resolve, 10000));
-      await autoScroll(page);
-      await page.waitForSelector('div.header, [data-v-1e8b4a81].header', {
+      // 動的コンテンツの読み込みを待ってからスクロール
+      await page.waitForSelector(anyOf('header'), {
         visible: true,
-        timeout: 10000,
+        timeout: waits.content,
       });
-  
-      // ① 「次へ」ボタンを3回クリックしてページを進める
-      for (let j = 0; j < 3; j++) {
-        await clickNextQuestion(page, j);
-        // ページ遷移の安定のため少し待機
-        await new Promise((resolve) => setTimeout(resolve, 2000));
-      }
-  
-      // もう一度スクロールして動的コンテンツの読み込み
+      await waitForNetworkIdle(page, waits);
       await autoScroll(page);
-      await page.waitForSelector('div#answerCbtSection', { visible: true, timeout: 10000 });
-  
-      // 「解答を確認する」ボタンをクリックして解説パートを表示
-      try {
-        await page.waitForSelector('div#answerCbtSection .btn', {
-          visible: true,
-          timeout: 5000,
-        });
-        // ボタン内のテキストが「解答を確認する」であることを確認
-        const btnText = await page.evaluate(() => {
-          const btn = document.querySelector('div#answerCbtSection .btn');
-          return btn ? btn.innerText.trim() : "";
-        });
-        if (btnText.includes("解答を確認する")) {
-          await page.click('div#answerCbtSection .btn');
-        } else {
-          throw new Error("解答を確認するボタンのテキストが一致しません: " + btnText);
+
+      // 4連問の1問目の問題IDを取得（取得済みならレジューム時の読み飛ばし対象）
+      const problemId = await getProblemId(page);
+      if (problemId && seenIds.has(problemId)) {
+        stopReason = STOP_REASONS.REPEATED_ID; // 同じ問題IDに戻った＝セットを一周した
+        break;
+      }
+      const previousId = lastQuestion ? lastQuestion.id : null;
+      if (problemId) {
+        seenIds.add(problemId);
+        lastQuestion = { url: page.url(), id: problemId };
+      }
+      const alreadyScraped = Boolean(problemId) && completedIds.has(problemId);
+      // 取得済みの問題は解説を表示せずに次の問題へ進む（解説の表示に失敗して failures に記録しないよう、ページを操作する前に読み飛ばす）
+      if (alreadyScraped) {
+        logVerbose(`問題ID ${problemId} は取得済みのため読み飛ばします。`);
+        try {
+          await page.waitForSelector(anyOf('nextButton'), { visible: true, timeout: waits.content });
+          await throttle.beforeQuestion();
+          await clickAndWaitForQuestionChange(page, anyOf('nextButton'), waits);
+        } catch (err) {
+          if (await recoverSession()) {
+            pageIndex--;
+            continue;
+          }
+          console.error(`問題ID ${problemId}：読み飛ばし時の遷移エラー:`, err);
+          stopReason = STOP_REASONS.ERROR;
+          break;
         }
-      } catch (error) {
-        console.error(`問題 ${pageIndex + 1}：「解答を確認する」ボタンのクリックエラー:`, error);
+        pageIndex--; // 読み飛ばした問題は取得数に数えない
+        continue;
       }
+      progress.begin(problemId);
+      timer.mark('ページの読み込み');
   
-      // ③ 解説部が表示されるまで待機（より具体的な子要素で待機）
-      await page.waitForSelector('div.questionResult .resultContent--currentCorrectAnswer', {
-        visible: true,
-        timeout: 15000,
-      });
-  
-      console.log(`問題 ${pageIndex + 1} の解説が表示されました。`);
+      // ①〜③ 4問目まで進めて解説を表示する（失敗したらページを開き直して再試行）
+      try {
+        await withRetry(async (attempt) => {
+          if (attempt > 0) {
+            if (!(await recoverSession())) {
+              await page.reload({ waitUntil: 'domcontentloaded' });
+            }
+            await page.waitForSelector(anyOf('header'), { visible: true, timeout: waits.content });
+          }
+          await showExplanation(page, `問題 ${pageIndex + 1}`, waits);
+        }, { retries: options.retries, backoff: options.retryBackoff, label: `問題 ${pageIndex + 1}`, signal: options.signal });
+      } catch (err) {
+        // 解説が表示されないと「次の問題へ」に進めないため、failures に記録して終了する（rescrape で後から取得し直せる）
+        failures.push(failureEntry(problemId, err, { previousId }));
+        progress.error();
+        progress.advance(problemId);
+        stopReason = STOP_REASONS.ERROR;
+        break;
+      }
+
+      timer.mark('解説の表示');
+
+      // 解説の画像も読み込み終わってから取得する
+      await waitForImages(page, waits);
   
   
       // まず、ページ内のテキスト情報・画像URL等を取得
-      const explanationData = await page.evaluate(() => {
+      // 候補のうち実際に一致するセレクタを選んでおく（サイトの変更に備えて lib/selectors.js で管理）
+      const sel = await resolveSelectors(page, ['descContent', 'descTitle', 'descDetail', 'figureCaption']);
+      const explanationData = await page.evaluate((sel) => {
         // KEYWORD の取得
-        const sectionKeyword = Array.from(document.querySelectorAll("div.descContent"))
-          .find(el => el.querySelector(".descContent--title")?.innerText.trim() === "KEYWORD");
+        const sectionKeyword = Array.from(document.querySelectorAll(sel.descContent))
+          .find(el => el.querySelector(sel.descTitle)?.innerText.trim() === "KEYWORD");
         let keyword = "";
         if (sectionKeyword) {
-          const details = Array.from(sectionKeyword.querySelectorAll(".descContent--detail"));
+          const details = Array.from(sectionKeyword.querySelectorAll(sel.descDetail));
           keyword = details.map(detail => detail.innerText.trim()).join("\n");
         }
   
         // 解法の要点の取得
-        const sectionExplanationPoints = Array.from(document.querySelectorAll("div.descContent"))
-          .find(el => el.querySelector(".descContent--title")?.innerText.trim() === "解法の要点");
+        const sectionExplanationPoints = Array.from(document.querySelectorAll(sel.descContent))
+          .find(el => el.querySelector(sel.descTitle)?.innerText.trim() === "解法の要点");
         let explanationPoints = "";
         if (sectionExplanationPoints) {
-          const details = Array.from(sectionExplanationPoints.querySelectorAll(".descContent--detail"));
+          const details = Array.from(sectionExplanationPoints.querySelectorAll(sel.descDetail));
           explanationPoints = details.map(detail => detail.innerText.trim()).join("\n");
         }
   
         // 診断の取得
-        const sectionDiagnosis = Array.from(document.querySelectorAll("div.descContent"))
-          .find(el => el.querySelector(".descContent--title")?.innerText.trim() === "診断");
+        const sectionDiagnosis = Array.from(document.querySelectorAll(sel.descContent))
+          .find(el => el.querySelector(sel.descTitle)?.innerText.trim() === "診断");
         let diagnosis = "";
         if (sectionDiagnosis) {
-          const details = Array.from(sectionDiagnosis.querySelectorAll(".descContent--detail"));
+          const details = Array.from(sectionDiagnosis.querySelectorAll(sel.descDetail));
           diagnosis = details.map(detail => detail.innerText.trim()).join("\n");
         }
   
         // 選択肢解説の取得
-        const sectionChoicesExplanation = Array.from(document.querySelectorAll("div.descContent"))
-          .find(el => el.querySelector(".descContent--title")?.innerText.trim() === "選択肢解説");
+        const sectionChoicesExplanation = Array.from(document.querySelectorAll(sel.descContent))
+          .find(el => el.querySelector(sel.descTitle)?.innerText.trim() === "選択肢解説");
         let choicesExplanation = "";
         if (sectionChoicesExplanation) {
-          const details = Array.from(sectionChoicesExplanation.querySelectorAll(".descContent--detail"));
+          const details = Array.from(sectionChoicesExplanation.querySelectorAll(sel.descDetail));
           choicesExplanation = details.map(detail => detail.innerText.trim()).join("\n");
         }
   
         // ガイドラインの取得
-        const sectionGuideline = Array.from(document.querySelectorAll("div.descContent"))
-          .find(el => el.querySelector(".descContent--title")?.innerText.trim() === "ガイドライン");
+        const sectionGuideline = Array.from(document.querySelectorAll(sel.descContent))
+          .find(el => el.querySelector(sel.descTitle)?.innerText.trim() === "ガイドライン");
         let guideline = "";
         if (sectionGuideline) {
-          const details = Array.from(sectionGuideline.querySelectorAll(".descContent--detail"));
+          const details = Array.from(sectionGuideline.querySelectorAll(sel.descDetail));
           guideline = details.map(detail => detail.innerText.trim()).join("\n");
         }
   
   // 画像診断の抽出：画像URLとそのキャプション
   let explanationImages = [];
   let imageDiagnosisCaption = "";
-  const imageBlock = Array.from(document.querySelectorAll('div.descContent'))
+  const imageBlock = Array.from(document.querySelectorAll(sel.descContent))
     .find(block => {
-      const titleElem = block.querySelector('.descContent--title');
+      const titleElem = block.querySelector(sel.descTitle);
       return titleElem && titleElem.innerText.trim() === '画像診断';
     });
   if (imageBlock) {
@@ -213,14 +340,14 @@ async function scrape(page, numPages) {
         }
       });
       // キャプションの取得：優先的に div.figure 内の <p> 要素をチェック
-      const captionElem = imageBlock.querySelector('div.figure p');
+      const captionElem = imageBlock.querySelector(sel.figureCaption);
       if (captionElem) {
         imageDiagnosisCaption = captionElem.innerText.trim();
       }
     } else {
       // 画像が存在しない場合は、キャプションのみが存在するケースとする
       // 例として、descContent--detail 内のテキストから最初の [番号] 部分を除いた残りのテキストをキャプションとする
-      const detailElem = imageBlock.querySelector('.descContent--detail');
+      const detailElem = imageBlock.querySelector(sel.descDetail);
       if (detailElem) {
         // detailElem 内のテキスト全体を取得
         let fullText = detailElem.innerText.trim();
@@ -240,41 +367,17 @@ async function scrape(page, numPages) {
           explanationImages,
           imageDiagnosisCaption
         };
-      });
+      }, sel);
   
-    // Node 側で画像要素をキャプチャして Base64 に変換
+    // 元の画像ファイルをダウンロードし、できなければ画像要素をキャプチャーして取り込む（lib/image-fetch.js）
     if (explanationData.explanationImages && explanationData.explanationImages.length > 0) {
-        const processedExplanationImages = [];
-        for (const src of explanationData.explanationImages) {
-        if (src.startsWith("http")) {
-            try {
-            // まず、指定した画像要素が完全に読み込まれているか（complete かつ naturalWidth > 0）を待つ
-            await page.waitForFunction(
-                selector => {
-                const img = document.querySelector(selector);
-                return img && img.complete && img.naturalWidth > 0;
-                },
-                { timeout: 5000 },
-                `img[src="${src}"]`
-            );
-            // その後、画像要素を取得してスクリーンショットを撮る
-            const imageElement = await page.$(`img[src="${src}"]`);
-            if (imageElement) {
-                const screenshotData = await imageElement.screenshot({ encoding: 'base64' });
-                processedExplanationImages.push(`data:image/png;base64,${screenshotData}`);
-            } else {
-                processedExplanationImages.push(src);
-            }
-            } catch (err) {
-            console.error("解説画像キャプチャエラー:", src, err);
-            processedExplanationImages.push(src);
-            }
-        } else {
-            // 既に data URL の場合はそのまま
-            processedExplanationImages.push(src);
-        }
-        }
-        explanationData.explanationImages = processedExplanationImages;
+        explanationData.explanationImages = await captureImages(page, explanationData.explanationImages, {
+            imageStore: options.imageStore,
+            throttle,
+            waits,
+            signal: options.imageSignal || options.signal,
+            label: `問題 ${pageIndex + 1} の解説画像`
+        });
     }
   
   
@@ -287,101 +390,92 @@ async function scrape(page, numPages) {
         !explanationData.guideline &&
         (!explanationData.explanationImages || explanationData.explanationImages.length === 0)
       ) {
+        stopReason = STOP_REASONS.EMPTY_CONTENT;
         break;
       }
   
-      const problemData = {}; // ここでは空オブジェクトとする
+      const problemData = { problemId }; // 4連問では問題IDのみ保持する
       const combinedData = {
         problem: problemData,
         explanation: explanationData,
       };
   
-      console.log(`問題 ${pageIndex + 1} のデータ:`, combinedData);
+      timer.mark('解説の取得');
+      logVerbose(`問題 ${pageIndex + 1} のデータ:`, formatForLog(combinedData));
+      timer.stop(`問題 ${pageIndex + 1}`, problemId);
+      progress.advance(problemId);
       results.push(combinedData);
+      if (options.checkpointPath) {
+        appendCheckpoint(options.checkpointPath, combinedData);
+      }
+      if (problemId) {
+        completedIds.add(problemId);
+      }
   
-      // 次の問題へ遷移するためのボタンをクリック
+      if (pageIndex + 1 >= numPages) {
+        break;
+      }
+
+      // 次の問題へ遷移するためのボタンをクリック（ボタンがなければセットの最後）
+      if (!(await hasNextButton(page, waits.content))) {
+        // セッション切れでログイン画面に戻された場合は、結果画面とみなさずにログインし直して続ける
+        if (await recoverSession()) {
+          continue;
+        }
+        stopReason = (await isSummaryScreen(page, lastQuestion && lastQuestion.url)) ? STOP_REASONS.SUMMARY_SCREEN : STOP_REASONS.NO_NEXT_BUTTON;
+        break;
+      }
+      await throttle.beforeQuestion();
       try {
-        await page.waitForSelector("div.toNextWrapper--btn", { visible: true, timeout: 10000 });
-        await page.evaluate(() => {
-          const btn = document.querySelector("div.toNextWrapper--btn");
-          if (btn) btn.click();
-        });
-        await new Promise((resolve) => setTimeout(resolve, 2000));
-        await page.waitForSelector("div.header, [data-v-1e8b4a81].header", {
-          visible: true,
-          timeout: 10000,
-        });
+        await clickAndWaitForQuestionChange(page, anyOf('nextButton'), waits);
       } catch (err) {
+        // ログイン画面も問題ページ以外なので、結果画面の判定より先にセッション切れから復帰する
+        if (await recoverSession()) {
+          continue; // 開き直した問題（取得済み）から「次の問題へ」で進む
+        }
+        if (await isSummaryScreen(page, lastQuestion && lastQuestion.url)) {
+          stopReason = STOP_REASONS.SUMMARY_SCREEN;
+          break;
+        }
         console.error(`問題 ${pageIndex + 1}：次の問題への遷移エラー:`, err);
+        stopReason = STOP_REASONS.ERROR;
         break;
       }
     }
-    return results;
+    console.log(`スクレイピング終了: ${results.length} 問取得（終了理由: ${describeStopReason(stopReason)}）`);
+    console.log(timer.summary());
+    reportFailures(failures);
+    return { results, stopReason, failures, timings: timer.byId };
   }
   
 
 /**
- * 画像ソース（URLまたはBase64のdata URL）を受け取り、
- * URLの場合は axios で取得してBase64のdata URLに変換し、
- * 同時に画像サイズも取得して返します。
- * すでに data URL の場合は、Base64部分をデコードしてサイズを取得します。
- *
+ * 画像ソース（画像ストアの参照・data URL・URL）を受け取り、Base64のdata URLと画像サイズを返す関数（lib/image-fetch.js の loadImage）
  * 戻り値は { dataUrl, dimensions } のオブジェクトです。
  *
- * @param {string} src - 画像の URL または data URL
- * @param {string} [cookieHeader] - オプションで axios のリクエストヘッダー用 Cookie 文字列
+ * @param {string} src - 画像ストアの参照（"sha256:..."）、画像の URL または data URL
+ * @param {string} [cookieHeader] - URL の画像を取得するときの Cookie 文字列
+ * @param {Object} [options]
+ * @param {Object} [options.throttle] - アクセス間隔（lib/throttle.js）。URL から取得する前に間隔を空ける
+ * @param {Object} [options.imageStore] - 画像ストア（lib/image-store.js）。参照の画像を読み込み、記録済みのサイズを返す
  */
-async function processImage(src, cookieHeader) {
-    if (src.startsWith('data:')) {
-      try {
-        // data URL の場合はそのまま変換
-        const base64Data = src.split(',')[1];
-        const buffer = Buffer.from(base64Data, 'base64');
-        const dimensions = sizeOf(buffer);
-        return { dataUrl: src, dimensions };
-      } catch (error) {
-        console.error("processImage(data URL) error:", error);
-        return { dataUrl: src, dimensions: null };
-      }
-    } else {
-      try {
-        // node-fetch を使って画像データを取得する
-        const headers = {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/102.0.5005.63 Safari/537.36',
-          'Referer': 'https://cbt.medilink-study.com',
-          'Accept-Language': 'ja,en-US;q=0.9,en;q=0.8',
-          'Cache-Control': 'no-cache',
-          'Pragma': 'no-cache'
-        };
-        if (cookieHeader) {
-          headers['Cookie'] = cookieHeader;
-        }
-  
-        const response = await fetch(src, { headers });
-        if (!response.ok) {
-          console.error(`processImage: HTTP error ${response.status} for ${src}`);
-          return { dataUrl: null, dimensions: null };
-        }
-        const contentType = response.headers.get('content-type');
-        const buffer = await response.buffer();
-        const base64 = buffer.toString('base64');
-        const dataUrl = `data:${contentType};base64,${base64}`;
-        const dimensions = sizeOf(buffer);
-        return { dataUrl, dimensions };
-      } catch (error) {
-        console.error("processImage(fetch) error:", error);
-        return { dataUrl: null, dimensions: null };
-      }
-    }
-  }
+async function processImage(src, cookieHeader, options = {}) {
+  return loadImage(src, { ...options, cookieHeader });
+}
 
 /**
  * PDF を生成する関数
  * @param {Array<Object>} contents - 各解説データの配列
  * @param {string} fileName - 生成するPDFのファイル名（拡張子は自動付与）
  * @param {string} cookieHeader - 画像取得時に使用する Cookie ヘッダー文字列
+ * @param {Object} [options]
+ * @param {Object} [options.throttle] - 画像を URL から取得する間隔（lib/throttle.js）
+ * @param {Object} [options.imageStore] - 参照（"sha256:..."）の画像を読み込む画像ストア（lib/image-store.js）
+ * @param {Object} [options.imageLayout] - 画像の並べ方の最大の幅・高さなど（config.imageLayout。lib/image-layout.js）
+ * @param {boolean} [options.imageAppendix] - 末尾に全画像を横幅いっぱいに載せた付録を付け、本文の画像から付録へリンクする（lib/image-appendix.js）
+ * @param {Object} [options.imageQuality] - 画像を PDF 上の表示サイズに合わせて縮小・圧縮する設定（lib/image-quality.js。--quality）
  */
-async function generatePdf(contents, fileName, cookieHeader) {
+async function generatePdf(contents, fileName, cookieHeader, options = {}) {
   const documentDefinition = {
     content: [],
     defaultStyle: { font: 'NotoSansJP' },
@@ -397,84 +491,25 @@ async function generatePdf(contents, fileName, cookieHeader) {
     }
   };
 
-  // A4用紙の左右マージンを除いた利用可能横幅
-  const availableWidth = 515.28;
-  const maxAllowedWidth = availableWidth / 3; // 約171.76pt
-
-  function getScaledWidth(obj) {
-    if (obj && obj.dimensions && obj.dimensions.width) {
-      return obj.dimensions.width > maxAllowedWidth ? maxAllowedWidth : obj.dimensions.width;
-    }
-    return maxAllowedWidth;
-  }
+  // 画像の付録（options.imageAppendix 指定時のみ。本文の画像に「図 N」と付録へのリンクを付ける）
+  const appendix = options.imageAppendix ? createImageAppendix(options.imageLayout, options.imageQuality) : null;
 
   for (const content of contents) {
     // --- 【解説ページ】 ---
     documentDefinition.content.push({ text: "解説", style: 'explanationHeader' });
 
-    // 画像診断の出力（画像とそのキャプション）
+    // 画像診断の出力（画像とそのキャプション。キャプションは画像と同じページに置く）
     if (content.explanationImageSrcs && content.explanationImageSrcs.length > 0) {
-      const total = content.explanationImageSrcs.length;
-      if (total === 1) {
-        const processed = await processImage(content.explanationImageSrcs[0], cookieHeader);
-        if (processed.dataUrl) {
-          const scaledWidth = getScaledWidth(processed);
-          documentDefinition.content.push({
-            image: processed.dataUrl,
-            width: scaledWidth,
-            margin: [0, 5, 0, 5]
-          });
-        } else {
-          documentDefinition.content.push({ text: "解説画像読み込みエラー", style: 'error' });
-        }
-      } else {
-        const firstRowCount = Math.ceil(total / 2);
-        let processedImages = [];
-        for (let i = 0; i < total; i++) {
-          const img = await processImage(content.explanationImageSrcs[i], cookieHeader);
-          processedImages.push(img);
-        }
-        let tableBody = [];
-        let row1 = [];
-        for (let i = 0; i < firstRowCount; i++) {
-          if (processedImages[i] && processedImages[i].dataUrl) {
-            row1.push({ image: processedImages[i].dataUrl, width: getScaledWidth(processedImages[i]) });
-          } else {
-            row1.push({ text: "解説画像読み込みエラー", style: 'error' });
-          }
-        }
-        tableBody.push(row1);
-        if (total > firstRowCount) {
-          let row2 = [];
-          for (let i = firstRowCount; i < total; i++) {
-            if (processedImages[i] && processedImages[i].dataUrl) {
-              row2.push({ image: processedImages[i].dataUrl, width: getScaledWidth(processedImages[i]) });
-            } else {
-              row2.push({ text: "解説画像読み込みエラー", style: 'error' });
-            }
-          }
-          while (row2.length < firstRowCount) {
-            row2.push({ text: "" });
-          }
-          tableBody.push(row2);
-        }
-        documentDefinition.content.push({
-          table: {
-            widths: tableBody[0].map(() => '*'),
-            body: tableBody
-          },
-          layout: 'noBorders',
-          margin: [0, 5, 0, 5]
-        });
-      }
-      // 画像診断キャプションが存在する場合、画像の下に出力
-      if (content.imageDiagnosisCaption && content.imageDiagnosisCaption.trim() !== "") {
-        documentDefinition.content.push({
-          text: content.imageDiagnosisCaption,
-          style: 'analysis',
-          margin: [0, 5, 0, 5]
-        });
+      const images = [];
+      for (const src of content.explanationImageSrcs) {
+        const image = await processImage(src, cookieHeader, options);
+        images.push(appendix ? appendix.add(image, content.problemId) : image);
       }
+      const caption = content.imageDiagnosisCaption && content.imageDiagnosisCaption.trim() !== ""
+        ? { text: content.imageDiagnosisCaption, style: 'analysis', margin: [0, 5, 0, 5] }
+        : null;
+      const compressed = await compressForLayout(images, options.imageQuality, options.imageLayout);
+      documentDefinition.content.push(layoutImages(compressed, { layout: options.imageLayout, errorText: "解説画像読み込みエラー", caption }));
     }
 
     // その他の解説テキスト群の出力
@@ -492,6 +527,10 @@ async function generatePdf(contents, fileName, cookieHeader) {
     documentDefinition.content.push({ text: '', pageBreak: 'after' });
   }
 
+  if (appendix) {
+    documentDefinition.content.push(...(await appendix.content()));
+  }
+
   try {
     const extension = "pdf";
     const pdfDoc = pdfMake.createPdf(documentDefinition);
@@ -504,57 +543,32 @@ async function generatePdf(contents, fileName, cookieHeader) {
   }
 }
 
-async function main() {
-  const browser = await puppeteer.launch({ headless: true });
-  const page = await browser.newPage();
-
-  // ログイン情報・URL
-  const loginUrl = 'https://login.medilink-study.com/login';
-  const email = '';
-  const password = '';
-  const startUrl = 'https://cbt.medilink-study.com/Answer/2009400360';
-  const fileName = "4連問解答";
-  const numberOfPages = 120;
-
-  try {
-    // ① ログイン処理
-    await page.goto(loginUrl, { waitUntil: 'networkidle2' });
-    await page.waitForSelector('input[name="username"]', { visible: true });
-    await page.type('input[name="username"]', email, { delay: 100 });
-    await page.waitForSelector('input[name="password"]', { visible: true });
-    await page.type('input[name="password"]', password, { delay: 100 });
-    await Promise.all([
-      page.waitForNavigation({ waitUntil: 'networkidle2' }),
-      page.click('button[type="submit"]')
-    ]);
-
-    // ② 最初の問題ページへ移動
-    await page.goto(startUrl, { waitUntil: 'domcontentloaded' });
-
-    // 問題と解説のスクレイピング
-    const explanationDataArray = await scrape(page, numberOfPages);
-
-    // PDF生成のため、再度最新の Cookie 情報を取得
-    const cookieHeader = await getCookieHeader(page);
-
-    // PDF生成のため、各解説データを contents 配列に整形
-    const contents = explanationDataArray.map(data => ({
-      keyword: data.explanation.keyword,
-      explanationPoints: data.explanation.explanationPoints,
-      diagnosis: data.explanation.diagnosis,
-      choicesExplanation: data.explanation.choicesExplanation,
-      guideline: data.explanation.guideline,
-      explanationImageSrcs: data.explanation.explanationImages,
-      imageDiagnosisCaption: data.explanation.imageDiagnosisCaption
-    }));
-      
-    // PDF生成
-    await generatePdf(contents, fileName, cookieHeader);
-  } catch (error) {
-    console.error('エラー:', error);
-  } finally {
-    await browser.close();
-  }
+/**
+ * scrape の戻り値を generatePdf に渡す contents 配列に整形する関数
+ * @param {Array<Object>} explanationDataArray - scrape で取得した各問題・解説データの配列
+ * @returns {Array<Object>}
+ */
+function toPdfContents(explanationDataArray) {
+  return explanationDataArray.map(data => ({
+    problemId: data.problem ? data.problem.problemId : '',
+    keyword: data.explanation.keyword,
+    explanationPoints: data.explanation.explanationPoints,
+    diagnosis: data.explanation.diagnosis,
+    choicesExplanation: data.explanation.choicesExplanation,
+    guideline: data.explanation.guideline,
+    explanationImageSrcs: data.explanation.explanationImages,
+    imageDiagnosisCaption: data.explanation.imageDiagnosisCaption
+  }));
 }
 
-main();
+module.exports = {
+  getCookieHeader,
+  autoScroll,
+  clickNextQuestion,
+  showExplanation,
+  getProblemId,
+  scrape,
+  processImage,
+  generatePdf,
+  toPdfContents
+};
@@ -4,8 +4,21 @@ const pdfMake = require('pdfmake/build/pdfmake');
 const vfsFonts = require('./build/vfs_fonts.js');
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
-const sizeOf = require('image-size');
+const { appendCheckpoint } = require('./lib/checkpoint.js');
+const { STOP_REASONS, describeStopReason, hasNextButton, isSummaryScreen } = require('./lib/end-of-set.js');
+const { resolveWaits, clickAndWaitForQuestionChange, waitForNetworkIdle, waitForImages } = require('./lib/waits.js');
+const { createQuestionTimer } = require('./lib/timing.js');
+const { anyOf, resolveSelectors, clickFirst } = require('./lib/selectors.js');
+const { withRetry } = require('./lib/retry.js');
+const { FAILURE_STEPS, stepError, failureEntry, reportFailures } = require('./lib/failures.js');
+const { logVerbose, formatForLog } = require('./lib/log.js');
+const { NULL_PROGRESS } = require('./lib/progress.js');
+const { isAborted } = require('./lib/interrupt.js');
+const { NULL_THROTTLE } = require('./lib/throttle.js');
+const { captureImages, loadImage } = require('./lib/image-fetch.js');
+const { layoutImages } = require('./lib/image-layout.js');
+const { createImageAppendix } = require('./lib/image-appendix.js');
+const { compressForLayout } = require('./lib/image-quality.js');
 
 
 // vfs登録（PDFMake用フォントファイルの仮想ファイルシステム）
@@ -49,60 +62,223 @@ async function autoScroll(page) {
 }
 
 /**
- * 指定されたページ（ログイン済みの状態）から、連続して numPages 件の問題・解説データをスクレイピングする
- * ※ 基本事項（div.basic）の内容を、タイトル、詳細テキスト、画像 URL として抽出
+ * 問題ページのフッター（div.question-footer）から問題IDを取得する関数
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @returns {Promise<string>} - 問題ID（取得できなければ空文字）
  */
-async function scrapeQuestions(page, numPages) {
-  const results = [];
+async function getProblemId(page) {
+  return page.evaluate((footerSelector) => {
+    let id = '';
+    const footerElem = document.querySelector(footerSelector);
+    if (footerElem) {
+      const m = footerElem.innerText.match(/ID\s*:\s*(\d+)/);
+      if (m && m[1]) {
+        id = m[1];
+      }
+    }
+    return id;
+  }, anyOf('questionFooter'));
+}
 
-  for (let i = 0; i < numPages; i++) {
-    console.log(`--- 問題 ${i + 1} のスクレイピング開始 ---`);
-
-    // ページ遷移後・スクロールして動的コンテンツ読み込み
-    await new Promise(resolve => setTimeout(resolve, 10000));
-    await autoScroll(page);
-    await page.waitForSelector('div.header, [data-v-1e8b4a81].header', { visible: true, timeout: 10000 });
-
-    // ① ヘッダー（問題番号）の取得
-    const headerData = await page.evaluate(() => {
-      let problemNumber = '';
-      const headerElem = document.querySelector('div.header') || document.querySelector('[data-v-1e8b4a81].header');
-      if (headerElem) {
-        problemNumber = headerElem.querySelector('span')?.innerText.trim() || '';
+/**
+ * 問題ページへ遷移した後、動的コンテンツが読み込まれるのを待つ関数
+ * ヘッダーの表示 → 通信が落ち着く → スクロールして lazy-loading 画像を読み込み → 画像の読み込み完了、の順に待つ
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @param {Object} [waits] - 待機の上限（config.waits）
+ */
+async function waitForQuestionPage(page, waits) {
+  const bounds = resolveWaits(waits);
+  await page.waitForSelector(anyOf('header'), { visible: true, timeout: bounds.content });
+  await waitForNetworkIdle(page, bounds);
+  await autoScroll(page);
+  await waitForImages(page, bounds);
+}
+
+/**
+ * 取得済みの問題を読み飛ばす関数
+ * 「解答を確認する」→「次の問題へ」の順にクリックし、次の問題に切り替わるまで待つ
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @param {Object} [waits] - 待機の上限（config.waits）
+ */
+async function skipQuestion(page, waits) {
+  const bounds = resolveWaits(waits);
+  await page.waitForSelector(anyOf('answerButton'), { visible: true, timeout: bounds.content });
+  await clickFirst(page, 'answerButton');
+  await page.waitForSelector(anyOf('nextButton'), { visible: true, timeout: bounds.content });
+  await clickAndWaitForQuestionChange(page, anyOf('nextButton'), bounds);
+}
+
+/**
+ * 現在表示中の問題ページから、問題・解説・基本事項を1問分スクレイピングする関数
+ * 「解答を確認する」をクリックして解説を表示するところまで行い、次の問題への遷移は呼び出し側で行う
+ * @param {Page} page - Puppeteer の page インスタンス（問題ページを表示済みのもの）
+ * @param {string} label - ログ用の問題の呼び名（例: "問題 3"）
+ * @param {Object} [waits] - 待機の上限（config.waits）
+ * @param {Object} [imageOptions] - 画像の取り込み（lib/image-fetch.js の captureImages に渡す）
+ * @param {Object} [imageOptions.imageStore] - 画像の保存先（lib/image-store.js）。指定時は画像を保存して参照を、省略時は data URL を combinedData に入れる
+ * @param {Object} [imageOptions.throttle] - アクセス間隔（lib/throttle.js）。画像をダウンロードする前に間隔を空ける
+ * @param {AbortSignal} [imageOptions.signal] - 中断（lib/interrupt.js）。中断されたら画像のダウンロードをやめてスクリーンショットで取り込む
+ * @returns {Promise<Object>} - combinedData
+ *   正解表示が現れなかった場合は、失敗した段階（lib/failures.js の FAILURE_STEPS）を step に付けたエラーを投げる
+ */
+async function scrapeCurrentQuestion(page, label, waits, imageOptions = {}) {
+  const bounds = resolveWaits(waits);
+
+  // ② 問題文の取得（表示されるまで待つ）
+  let questionText = "";
+  try {
+    const handle = await page.waitForFunction((questionSelector) => {
+      const pElem = document.querySelector(questionSelector);
+      const text = pElem ? pElem.innerText.trim() : "";
+      return text !== "" ? text : false;
+    }, { timeout: bounds.content, polling: 'mutation' }, anyOf('questionText'));
+    questionText = await handle.jsonValue();
+  } catch (e) {
+    questionText = "";
+  }
+  if (questionText.trim() === "") {
+    console.warn(`${label} の問題文が取得できませんでした。`);
+    questionText = "【問題文なし】";
+  }
+
+  // 問題表示中の要素について、候補のうち実際に一致するセレクタを選んでおく
+  const sel = await resolveSelectors(page, ['problemNumber', 'problemImages', 'choices']);
+
+  // ① ヘッダー（問題番号）の取得
+  const headerData = await page.evaluate((sel) => {
+    const numberElem = document.querySelector(sel.problemNumber);
+    return { problemNumber: numberElem ? numberElem.innerText.trim() : '' };
+  }, sel);
+
+  // ③ 問題画像の取得（URL文字列として取得）
+  let problemImageSrcs = await page.evaluate((sel) => {
+    let images = [];
+    const imgElems = document.querySelectorAll(sel.problemImages);
+    imgElems.forEach(img => {
+      let src = img.getAttribute('src') || img.getAttribute('data-src') || "";
+      if (src && src.trim() !== "") {
+        images.push(src.trim());
       }
-      return { problemNumber };
     });
+    return images;
+  }, sel);
+
+  // ③-2 問題画像は元の画像ファイルをダウンロードし、できなければ画像要素をキャプチャーして取り込む（lib/image-fetch.js）
+  const processedProblemImages = await captureImages(page, problemImageSrcs, { ...imageOptions, waits, label: `${label} の問題画像` });
+
+  // ④ 選択肢の取得（重複除外）
+  const choicesRaw = await page.evaluate((sel) => {
+    let arr = [];
+    const elems = document.querySelectorAll(sel.choices);
+    elems.forEach(el => {
+      const txt = el.innerText.trim();
+      if (txt) arr.push(txt);
+    });
+    return arr;
+  }, sel);
+  const choices = [...new Set(choicesRaw)];
+
+  // ⑤ 問題IDの取得
+  const problemId = await getProblemId(page);
+
+  // 統合：問題データの作成
+  const problemData = {
+    problemNumber: headerData.problemNumber,
+    questionText: questionText,
+    problemImageSrcs: processedProblemImages,
+    problemId: problemId,
+    choices: choices
+  };
 
-    // ② 問題文の取得（retry を使用）
-    let questionText = "";
-    const maxRetries = 120;
-    let retries = 0;
-    while (retries < maxRetries && questionText.trim() === "") {
-      questionText = await page.evaluate(() => {
-        const qc = document.querySelector('div.question-content') ||
-                   document.querySelector('[data-v-3fb3fcc8] .question-content');
-        if (qc) {
-          const pElem = qc.querySelector('.body p');
-          return pElem ? pElem.innerText.trim() : "";
+  // ⑥ 「解答を確認する」ボタンをクリックして解説パートを表示
+  let clickError = null;
+  try {
+    await page.waitForSelector(anyOf('answerButton'), { visible: true, timeout: bounds.content });
+    await clickFirst(page, 'answerButton');
+  } catch (error) {
+    console.error(`${label}：「解答を確認する」ボタンのクリックエラー:`, error);
+    clickError = error;
+  }
+
+  try {
+    await page.waitForSelector(anyOf('correctAnswer'), { visible: true, timeout: bounds.content });
+  } catch (e) {
+    console.error(`${label}：正解表示が現れませんでした:`, e);
+    // ボタンを押せなかったのが原因なら、その段階で失敗したものとして記録する
+    throw clickError ? stepError(FAILURE_STEPS.ANSWER_BUTTON, clickError) : stepError(FAILURE_STEPS.CORRECT_ANSWER, e);
+  }
+  // 解説の画像も読み込み終わってから取得する
+  await waitForImages(page, bounds);
+
+  // ⑦ 【解説部分】の取得
+  const answerSel = await resolveSelectors(page, ['correctAnswer', 'descContent', 'descTitle', 'descDetail', 'basic', 'basicTitle', 'basicDetail']);
+  let explanationData = await page.evaluate((sel) => {
+    let correctAnswer = '';
+    const correctElem = document.querySelector(sel.correctAnswer);
+    if (correctElem) {
+      correctAnswer = correctElem.innerText.trim();
+    }
+    let explanationPoints = '';
+    const pointsBlock = Array.from(document.querySelectorAll(sel.descContent)).find(block => {
+      const title = block.querySelector(sel.descTitle)?.innerText.trim() || '';
+      return title === '解法の要点';
+    });
+    if (pointsBlock) {
+      explanationPoints = pointsBlock.querySelector(sel.descDetail)?.innerText.trim() || '';
+    } else {
+      explanationPoints = "解法の要点なし";
+    }
+    let optionAnalysis = '';
+    const optionBlock = Array.from(document.querySelectorAll(sel.descContent)).find(block => {
+      const title = block.querySelector(sel.descTitle)?.innerText.trim() || '';
+      return title === '選択肢解説';
+    });
+    if (optionBlock) {
+      optionAnalysis = optionBlock.querySelector(sel.descDetail)?.innerText.trim() || '';
+    }
+    let guideline = '';
+    const guidelineBlock = Array.from(document.querySelectorAll(sel.descContent)).find(block => {
+      const title = block.querySelector(sel.descTitle)?.innerText.trim() || '';
+      return title === 'ガイドライン';
+    });
+    if (guidelineBlock) {
+      guideline = guidelineBlock.querySelector(sel.descDetail)?.innerText.trim() || '';
+    }
+    // 解説画像の取得
+    let explanationImages = [];
+    const imageBlock = Array.from(document.querySelectorAll(sel.descContent)).find(block => {
+      const title = block.querySelector(sel.descTitle)?.innerText.trim() || '';
+      return title === '画像診断';
+    });
+    if (imageBlock) {
+      const imgElems = imageBlock.querySelectorAll('div.figure img, img');
+      imgElems.forEach(img => {
+        let src = img.getAttribute('src') || img.getAttribute('data-src') || "";
+        if (src && src.trim() !== "") {
+          explanationImages.push(src.trim());
         }
-        return "";
       });
-      if (questionText.trim() !== "") break;
-      await new Promise(resolve => setTimeout(resolve, 500));
-      retries++;
-    }
-    if (questionText.trim() === "") {
-      console.warn(`問題 ${i + 1} の問題文が取得できませんでした。`);
-      questionText = "【問題文なし】";
     }
+    return { correctAnswer, explanationPoints, optionAnalysis, guideline, explanationImages };
+  }, answerSel);
+
+  // ⑦-2 解説画像も同様に取り込む
+  if (explanationData.explanationImages && explanationData.explanationImages.length > 0) {
+    explanationData.explanationImages = await captureImages(page, explanationData.explanationImages, { ...imageOptions, waits, label: `${label} の解説画像` });
+  }
 
-    // ③ 問題画像の取得（URL文字列として取得）
-    let problemImageSrcs = await page.evaluate(() => {
-      const qc = document.querySelector('div.question-content') ||
-                 document.querySelector('[data-v-3fb3fcc8] .question-content');
+
+  // --- 追加：基本事項などの取得 ---
+  // ページに「div.basic」が存在すれば、タイトル、テキスト、かつ内部の画像 URL を毎回抽出する
+  const basicData = await page.evaluate((sel) => {
+    const basicElem = document.querySelector(sel.basic);
+    if (basicElem) {
+      const title = basicElem.querySelector(sel.basicTitle)?.innerText.trim() || '';
+      const contentElem = basicElem.querySelector(sel.basicDetail);
+      const textContent = contentElem ? contentElem.innerText.trim() : '';
       let images = [];
-      if (qc) {
-        const imgElems = qc.querySelectorAll('div.figure img');
+      if (contentElem) {
+        const imgElems = contentElem.querySelectorAll('img');
         imgElems.forEach(img => {
           let src = img.getAttribute('src') || img.getAttribute('data-src') || "";
           if (src && src.trim() !== "") {
@@ -110,279 +286,205 @@ async function scrapeQuestions(page, numPages) {
           }
         });
       }
-      return images;
-    });
-
-    // ③-2 問題画像のURLがある場合は、対象画像要素をキャプチャーして Base64 に変換
-    const processedProblemImages = [];
-    for (const src of problemImageSrcs) {
-      if (src.startsWith('http')) {
-        try {
-          const imageElement = await page.$(`img[src="${src}"]`);
-          if (imageElement) {
-            const screenshotData = await imageElement.screenshot({ encoding: 'base64' });
-            processedProblemImages.push(`data:image/png;base64,${screenshotData}`);
-          } else {
-            processedProblemImages.push(src);
-          }
-        } catch (err) {
-          console.error("問題画像キャプチャエラー:", src, err);
-          processedProblemImages.push(src);
-        }
-      } else {
-        processedProblemImages.push(src);
-      }
+      return { title, textContent, images };
     }
+    return null;
+  }, answerSel);
+  // 基本事項画像も同様に取り込む
+  if (basicData && basicData.images && basicData.images.length > 0) {
+    basicData.images = await captureImages(page, basicData.images, { ...imageOptions, waits, label: `${label} の基本事項画像` });
+  }
+  // 更新（または保持）する globalBasicData（必要に応じて）
+  if (basicData) {
+    globalBasicData = basicData;
+  }
 
-    // ④ 選択肢の取得（重複除外）
-    const choicesRaw = await page.evaluate(() => {
-      let arr = [];
-      const elems = document.querySelectorAll('ul.multiple-answer-options li div.ans');
-      elems.forEach(el => {
-        const txt = el.innerText.trim();
-        if (txt) arr.push(txt);
-      });
-      return arr;
-    });
-    const choices = [...new Set(choicesRaw)];
-
-    // ⑤ 問題IDの取得
-    const problemId = await page.evaluate(() => {
-      let id = '';
-      const footerElem = document.querySelector('div.question-footer');
-      if (footerElem) {
-        const m = footerElem.innerText.match(/ID\s*:\s*(\d+)/);
-        if (m && m[1]) {
-          id = m[1];
-        }
-      }
-      return id;
-    });
+  const combinedData = {
+    problem: problemData,
+    explanation: explanationData,
+    basic: basicData  // 各ページでスクレイピングした基本事項を格納
+  };
 
-    // 統合：問題データの作成
-    const problemData = {
-      problemNumber: headerData.problemNumber,
-      questionText: questionText,
-      problemImageSrcs: processedProblemImages,
-      problemId: problemId,
-      choices: choices
-    };
+  return combinedData;
+}
 
-    // ⑥ 「解答を確認する」ボタンをクリックして解説パートを表示
-    try {
-      await page.waitForSelector('div#answerCbtSection div.btn', { visible: true, timeout: 5000 });
-      await page.evaluate(() => {
-        const btn = document.querySelector('div#answerCbtSection div.btn');
-        if (btn) btn.click();
-      });
-    } catch (error) {
-      console.error(`問題 ${i + 1}：「解答を確認する」ボタンのクリックエラー:`, error);
+/**
+ * 指定されたページ（ログイン済みの状態）から、連続して numPages 件の問題・解説データをスクレイピングする
+ * ※ 基本事項（div.basic）の内容を、タイトル、詳細テキスト、画像 URL として抽出
+ * 「次の問題へ」ボタンがない・結果画面に遷移した・同じ問題IDに戻った場合はセットの終わりとみなして終了する
+ *
+ * @param {Page} page - Puppeteer の page インスタンス（ログイン後のもの）
+ * @param {number} [numPages=Infinity] - 取得する問題数の上限（省略時はセットの終わりまで）
+ * @param {Object} [options]
+ * @param {string} [options.checkpointPath] - 1問取得するごとに結果を追記するチェックポイントファイル（JSONL）
+ * @param {Set<string>} [options.completedIds] - 取得済みの問題ID（該当する問題は読み飛ばし、numPages にも数えない）
+ * @param {Object} [options.waits] - 待機の上限（config.waits）
+ * @param {Object} [options.session] - セッション切れからの復帰（lib/session.js の createSessionGuard の戻り値）
+ * @param {number} [options.retries=2] - 1問の取得に失敗したときに、ページを開き直して再試行する回数
+ * @param {number} [options.retryBackoff=2000] - 1回目の再試行までの待ち時間（ms）。以降は2倍ずつ延ばす
+ * @param {Object} [options.progress] - 進捗の表示（lib/progress.js の createProgress の戻り値）
+ * @param {AbortSignal} [options.signal] - 中断（lib/interrupt.js）。中断されたら今の問題の後で終了する
+ * @param {Object} [options.throttle] - アクセス間隔・上限（lib/throttle.js の createThrottle の戻り値）。次の問題へ進む前に待つ
+ * @param {Object} [options.imageStore] - 画像の保存先（lib/image-store.js の createImageStore の戻り値）。省略時は data URL のまま results に入れる
+ * @returns {Promise<{ results: Array<Object>, stopReason: string, failures: Array<Object>, timings: Object<string, number> }>}
+ *   stopReason は STOP_REASONS のいずれか、failures は再試行しても取得できなかった問題（lib/failures.js の failureEntry）、
+ *   timings は問題IDごとの所要時間（ms）
+ */
+async function scrapeQuestions(page, numPages = Infinity, options = {}) {
+  const results = [];
+  const completedIds = options.completedIds || new Set();
+  const seenIds = new Set(); // この実行中に表示された問題ID（一周の検出用）
+  const waits = resolveWaits(options.waits);
+  const timer = createQuestionTimer();
+  const progress = options.progress || NULL_PROGRESS;
+  const throttle = options.throttle || NULL_THROTTLE;
+  let stopReason = STOP_REASONS.COUNT;
+  let lastQuestion = null; // 最後に表示した問題（セッション切れからの再開位置）
+  const failures = [];
+
+  // ログイン画面に戻されていたら、ログインし直して最後に表示した問題を開き直す
+  // 開き直した問題は取得済みなので読み飛ばされ、「次の問題へ」で続きから取得する
+  const recoverSession = async () => {
+    if (!options.session || !lastQuestion) return false;
+    if (!(await options.session.recover(page, lastQuestion.url))) return false;
+    seenIds.delete(lastQuestion.id); // 開き直した問題は一周の検出に数えない
+    return true;
+  };
+
+  for (let i = 0; i < numPages; i++) {
+    if (isAborted(options.signal)) {
+      stopReason = STOP_REASONS.INTERRUPTED;
+      break;
     }
+    logVerbose(`--- 問題 ${i + 1} のスクレイピング開始 ---`);
+    timer.start();
 
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    await recoverSession();
 
-    try {
-      await page.waitForSelector('div.resultContent--currentCorrect', { visible: true, timeout: 10000 });
-    } catch (e) {
-      console.error(`問題 ${i + 1}：正解表示が現れませんでした:`, e);
+    // 動的コンテンツ・画像の読み込みを待つ
+    await waitForQuestionPage(page, waits);
+
+    // 同じ問題IDに戻ってきたら、セットを一周したとみなして終了
+    const currentId = await getProblemId(page);
+    if (currentId && seenIds.has(currentId)) {
+      stopReason = STOP_REASONS.REPEATED_ID;
+      break;
+    }
+    const previousId = lastQuestion ? lastQuestion.id : null;
+    if (currentId) {
+      seenIds.add(currentId);
+      lastQuestion = { url: page.url(), id: currentId };
+    }
+
+    // 取得済みの問題（レジューム時）は二重に取得せず読み飛ばす
+    if (currentId && completedIds.has(currentId)) {
+      logVerbose(`問題ID ${currentId} は取得済みのため読み飛ばします。`);
       try {
-        await page.evaluate(() => {
-          const btn = document.querySelector('div.toNextWrapper--btn');
-          if (btn) btn.click();
-        });
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        await throttle.beforeQuestion();
+        await skipQuestion(page, waits);
       } catch (err) {
-        console.error(`問題 ${i + 1}：次の問題への遷移エラー:`, err);
+        if (await recoverSession()) {
+          i--;
+          continue;
+        }
+        console.error(`問題ID ${currentId}：読み飛ばし時の遷移エラー:`, err);
+        stopReason = STOP_REASONS.ERROR;
+        break;
       }
+      i--; // 読み飛ばした問題は取得数に数えない
       continue;
     }
 
-    // ⑦ 【解説部分】の取得
-    let explanationData = await page.evaluate(() => {
-      let correctAnswer = '';
-      const correctElem = document.querySelector('div.resultContent--currentCorrect span.resultContent--currentCorrectAnswer');
-      if (correctElem) {
-        correctAnswer = correctElem.innerText.trim();
-      }
-      let explanationPoints = '';
-      const pointsBlock = Array.from(document.querySelectorAll('div.descContent')).find(block => {
-        const title = block.querySelector('.descContent--title')?.innerText.trim() || '';
-        return title === '解法の要点';
-      });
-      if (pointsBlock) {
-        explanationPoints = pointsBlock.querySelector('.descContent--detail')?.innerText.trim() || '';
-      } else {
-        explanationPoints = "解法の要点なし";
-      }
-      let optionAnalysis = '';
-      const optionBlock = Array.from(document.querySelectorAll('div.descContent')).find(block => {
-        const title = block.querySelector('.descContent--title')?.innerText.trim() || '';
-        return title === '選択肢解説';
-      });
-      if (optionBlock) {
-        optionAnalysis = optionBlock.querySelector('.descContent--detail')?.innerText.trim() || '';
-      }
-      let guideline = '';
-      const guidelineBlock = Array.from(document.querySelectorAll('div.descContent')).find(block => {
-        const title = block.querySelector('.descContent--title')?.innerText.trim() || '';
-        return title === 'ガイドライン';
-      });
-      if (guidelineBlock) {
-        guideline = guidelineBlock.querySelector('.descContent--detail')?.innerText.trim() || '';
-      }
-      // 解説画像の取得
-      let explanationImages = [];
-      const imageBlock = Array.from(document.querySelectorAll('div.descContent')).find(block => {
-        const title = block.querySelector('.descContent--title')?.innerText.trim() || '';
-        return title === '画像診断';
-      });
-      if (imageBlock) {
-        const imgElems = imageBlock.querySelectorAll('div.figure img, img');
-        imgElems.forEach(img => {
-          let src = img.getAttribute('src') || img.getAttribute('data-src') || "";
-          if (src && src.trim() !== "") {
-            explanationImages.push(src.trim());
-          }
-        });
-      }
-      return { correctAnswer, explanationPoints, optionAnalysis, guideline, explanationImages };
-    });
+    progress.begin(currentId);
+    timer.mark('ページの読み込み');
 
-    // ⑦-2 解説画像のURLがある場合はキャプチャーして Base64 に変換
-    if (explanationData.explanationImages && explanationData.explanationImages.length > 0) {
-      const processedExplanationImages = [];
-      for (const src of explanationData.explanationImages) {
-        if (src.startsWith('http')) {
-          try {
-            const imageElement = await page.$(`img[src="${src}"]`);
-            if (imageElement) {
-              const screenshotData = await imageElement.screenshot({ encoding: 'base64' });
-              processedExplanationImages.push(`data:image/png;base64,${screenshotData}`);
-            } else {
-              processedExplanationImages.push(src);
-            }
-          } catch (err) {
-            console.error("解説画像キャプチャエラー:", src, err);
-            processedExplanationImages.push(src);
+    // 失敗したらページを開き直して再試行する
+    let combinedData;
+    try {
+      combinedData = await withRetry(async (attempt) => {
+        if (attempt > 0) {
+          if (!(await recoverSession())) {
+            await page.reload({ waitUntil: 'domcontentloaded' });
           }
-        } else {
-          processedExplanationImages.push(src);
+          await waitForQuestionPage(page, waits);
         }
+        return scrapeCurrentQuestion(page, `問題 ${i + 1}`, waits, { imageStore: options.imageStore, throttle, signal: options.signal });
+      }, { retries: options.retries, backoff: options.retryBackoff, label: `問題 ${i + 1}`, signal: options.signal });
+    } catch (err) {
+      // 取得できなかった問題は failures に記録して次の問題へ（rescrape で後から取得し直せる）
+      failures.push(failureEntry(currentId, err, { previousId }));
+      progress.error();
+      progress.advance(currentId);
+      try {
+        await throttle.beforeQuestion();
+        await clickAndWaitForQuestionChange(page, anyOf('nextButton'), waits);
+      } catch (navErr) {
+        console.error(`問題 ${i + 1}：次の問題への遷移エラー:`, navErr);
+        stopReason = STOP_REASONS.ERROR;
+        break;
       }
-      explanationData.explanationImages = processedExplanationImages;
+      continue;
     }
+    const problemId = combinedData.problem.problemId;
+    timer.mark('問題・解説の取得');
 
-    // --- 追加：基本事項などの取得 ---
-    // ページに「div.basic」が存在すれば、タイトル、テキスト、かつ内部の画像 URL を毎回抽出する
-    const basicData = await page.evaluate(() => {
-      const basicElem = document.querySelector('div.basic');
-      if (basicElem) {
-        const title = basicElem.querySelector('.basic--title span')?.innerText.trim() || '';
-        const contentElem = basicElem.querySelector('.basicsContent--detail');
-        const textContent = contentElem ? contentElem.innerText.trim() : '';
-        let images = [];
-        if (contentElem) {
-          const imgElems = contentElem.querySelectorAll('img');
-          imgElems.forEach(img => {
-            let src = img.getAttribute('src') || "";
-            if (src && src.trim() !== "") {
-              images.push(src.trim());
-            }
-          });
-        }
-        return { title, textContent, images };
-      }
-      return null;
-    });
-    // 基本事項画像のURLがある場合はキャプチャーして Base64 に変換
-    if (basicData && basicData.images && basicData.images.length > 0) {
-      const processedBasicImages = [];
-      for (const src of basicData.images) {
-        if (src.startsWith('http')) {
-          try {
-            const imageElement = await page.$(`img[src="${src}"]`);
-            if (imageElement) {
-              const screenshotData = await imageElement.screenshot({ encoding: 'base64' });
-              processedBasicImages.push(`data:image/png;base64,${screenshotData}`);
-            } else {
-              processedBasicImages.push(src);
-            }
-          } catch (err) {
-            console.error("基本事項画像キャプチャエラー:", src, err);
-            processedBasicImages.push(src);
-          }
-        } else {
-          processedBasicImages.push(src);
-        }
-      }
-      basicData.images = processedBasicImages;
+    logVerbose(`問題 ${i + 1} のデータ:`, formatForLog(combinedData));
+    timer.stop(`問題 ${i + 1}`, problemId);
+    progress.advance(problemId);
+    results.push(combinedData);
+    if (options.checkpointPath) {
+      appendCheckpoint(options.checkpointPath, combinedData);
     }
-    // 更新（または保持）する globalBasicData（必要に応じて）
-    if (basicData) {
-      globalBasicData = basicData;
+    if (problemId) {
+      completedIds.add(problemId);
     }
 
-    const combinedData = {
-      problem: problemData,
-      explanation: explanationData,
-      basic: basicData  // 各ページでスクレイピングした基本事項を格納
-    };
-
-    console.log(`問題 ${i + 1} のデータ:`, combinedData);
-    results.push(combinedData);
+    if (i + 1 >= numPages) {
+      break;
+    }
 
-    // ⑨ 「次の問題へ」ボタンをクリックして次ページへ遷移
+    // ⑨ 「次の問題へ」ボタンをクリックして次ページへ遷移（ボタンがなければセットの最後）
+    if (!(await hasNextButton(page, waits.content))) {
+      // セッション切れでログイン画面に戻された場合は、結果画面とみなさずにログインし直して続ける
+      if (await recoverSession()) {
+        continue;
+      }
+      stopReason = (await isSummaryScreen(page, lastQuestion && lastQuestion.url)) ? STOP_REASONS.SUMMARY_SCREEN : STOP_REASONS.NO_NEXT_BUTTON;
+      break;
+    }
+    await throttle.beforeQuestion();
     try {
-      await page.waitForSelector('div.toNextWrapper--btn', { visible: true, timeout: 10000 });
-      await page.evaluate(() => {
-        const btn = document.querySelector('div.toNextWrapper--btn');
-        if (btn) btn.click();
-      });
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      await page.waitForSelector('div.header, [data-v-1e8b4a81].header', { visible: true, timeout: 10000 });
+      await clickAndWaitForQuestionChange(page, anyOf('nextButton'), waits);
     } catch (err) {
+      // ログイン画面も問題ページ以外なので、結果画面の判定より先にセッション切れから復帰する
+      if (await recoverSession()) {
+        continue; // 開き直した問題（取得済み）から「次の問題へ」で進む
+      }
+      if (await isSummaryScreen(page, lastQuestion && lastQuestion.url)) {
+        stopReason = STOP_REASONS.SUMMARY_SCREEN;
+        break;
+      }
       console.error(`問題 ${i + 1}：次の問題への遷移エラー:`, err);
+      stopReason = STOP_REASONS.ERROR;
       break;
     }
   }
 
-  return { results};
+  console.log(`スクレイピング終了: ${results.length} 問取得（終了理由: ${describeStopReason(stopReason)}）`);
+  console.log(timer.summary());
+  reportFailures(failures);
+  return { results, stopReason, failures, timings: timer.byId };
 }
 
 
 /**
- * 画像ソース（URLまたはBase64のdata URL）を受け取り、URLの場合はaxiosで取得してBase64のdata URLに変換し、同時に画像サイズも取得して返す
+ * 画像ソース（画像ストアの参照・data URL・URL）を受け取り、Base64のdata URLと画像サイズを返す関数（lib/image-fetch.js の loadImage）
  * 戻り値は { dataUrl, dimensions } のオブジェクト
+ * options.imageStore（lib/image-store.js）: 参照の画像の読み込み先 / options.cookieHeader: URL の画像を取得するときの Cookie /
+ * options.throttle（lib/throttle.js）: URL から取得する前に間隔を空ける
  */
-async function processImage(src) {
-  if (src.startsWith('data:')) {
-    try {
-      const base64Data = src.split(',')[1];
-      const buffer = Buffer.from(base64Data, 'base64');
-      const dimensions = sizeOf(buffer);
-      return { dataUrl: src, dimensions };
-    } catch (error) {
-      console.error("processImage(data URL) error:", error);
-      return { dataUrl: src, dimensions: null };
-    }
-  } else {
-    try {
-      const response = await axios.get(src, { responseType: 'arraybuffer' });
-      if (response.status === 200) {
-        const contentType = response.headers['content-type'];
-        const buffer = Buffer.from(response.data, 'binary');
-        const base64 = buffer.toString('base64');
-        const dataUrl = `data:${contentType};base64,${base64}`;
-        const dimensions = sizeOf(buffer);
-        return { dataUrl, dimensions };
-      } else {
-        return { dataUrl: null, dimensions: null };
-      }
-    } catch (error) {
-      console.error("processImage(URL) error:", error);
-      return { dataUrl: null, dimensions: null };
-    }
-  }
+async function processImage(src, options = {}) {
+  return loadImage(src, options);
 }
 
 /**
@@ -390,9 +492,13 @@ async function processImage(src) {
  * contents は各問題・解説データの配列（problem, explanation）
  * globalBasicData は基本事項のデータ（タイトル、テキスト、images）であり、解説と同じページに掲載する
  *
- * ※ 画像はA4用紙の利用可能横幅（515.28pt）を3分割した幅以内に縮小する
+ * ※ 画像は枚数と縦横比に合わせて並べる（lib/image-layout.js。最大の幅・高さは options.imageLayout = config.imageLayout）
+ * options.throttle（lib/throttle.js）を渡すと、画像を URL から取得する間隔を空ける
+ * 画像ストアの参照の画像は options.imageStore（lib/image-store.js）から読み込み、URL のまま残った画像は options.cookieHeader を付けて取得する
+ * options.imageAppendix を指定すると、末尾に全画像を横幅いっぱいに載せた付録を付け、本文の画像から付録へリンクする（lib/image-appendix.js）
+ * options.imageQuality（lib/image-quality.js。--quality）を渡すと、画像を PDF 上の表示サイズに合わせて縮小・圧縮してから埋め込む
  */
-async function generatePdf(contents, fileName) {
+async function generatePdf(contents, fileName, options = {}) {
   const documentDefinition = {
     content: [],
     defaultStyle: { font: 'NotoSansJP' },
@@ -408,14 +514,19 @@ async function generatePdf(contents, fileName) {
     }
   };
 
-  const availableWidth = 515.28;
-  const maxAllowedWidth = availableWidth / 3; // 約171.76pt
+  // 画像の付録（options.imageAppendix 指定時のみ。本文の画像に「図 N」と付録へのリンクを付ける）
+  const appendix = options.imageAppendix ? createImageAppendix(options.imageLayout, options.imageQuality) : null;
 
-  function getScaledWidth(obj) {
-    if (obj && obj.dimensions && obj.dimensions.width) {
-      return obj.dimensions.width > maxAllowedWidth ? maxAllowedWidth : obj.dimensions.width;
+  // 画像を読み込み、枚数と縦横比に合わせて並べる（lib/image-layout.js。--quality 指定時は表示サイズに合わせて圧縮する）
+  async function pushImages(srcs, errorText, problemId) {
+    if (!srcs || srcs.length === 0) return;
+    const images = [];
+    for (const src of srcs) {
+      const image = await processImage(src, options);
+      images.push(appendix ? appendix.add(image, problemId) : image);
     }
-    return maxAllowedWidth;
+    const compressed = await compressForLayout(images, options.imageQuality, options.imageLayout);
+    documentDefinition.content.push(layoutImages(compressed, { layout: options.imageLayout, errorText }));
   }
 
   let index = 0;
@@ -428,63 +539,8 @@ async function generatePdf(contents, fileName) {
       { text: content.problem.questionText, style: 'question' }
     );
 
-    // ◆ 問題画像の追加（既存処理）
-    if (content.problem.problemImageSrcs && content.problem.problemImageSrcs.length > 0) {
-      const total = content.problem.problemImageSrcs.length;
-      if (total === 1) {
-        const processed = await processImage(content.problem.problemImageSrcs[0]);
-        if (processed.dataUrl) {
-          const scaledWidth = getScaledWidth(processed);
-          documentDefinition.content.push({
-            image: processed.dataUrl,
-            width: scaledWidth,
-            margin: [0, 5, 0, 5]
-          });
-        } else {
-          documentDefinition.content.push({ text: "問題画像読み込みエラー", style: 'error' });
-        }
-      } else {
-        const firstRowCount = Math.ceil(total / 2);
-        const secondRowCount = total - firstRowCount;
-        let processedImages = [];
-        for (let i = 0; i < total; i++) {
-          const img = await processImage(content.problem.problemImageSrcs[i]);
-          processedImages.push(img);
-        }
-        let tableBody = [];
-        let row1 = [];
-        for (let i = 0; i < firstRowCount; i++) {
-          if (processedImages[i] && processedImages[i].dataUrl) {
-            row1.push({ image: processedImages[i].dataUrl, width: getScaledWidth(processedImages[i]) });
-          } else {
-            row1.push({ text: "問題画像読み込みエラー", style: 'error' });
-          }
-        }
-        tableBody.push(row1);
-        if (secondRowCount > 0) {
-          let row2 = [];
-          for (let i = firstRowCount; i < total; i++) {
-            if (processedImages[i] && processedImages[i].dataUrl) {
-              row2.push({ image: processedImages[i].dataUrl, width: getScaledWidth(processedImages[i]) });
-            } else {
-              row2.push({ text: "問題画像読み込みエラー", style: 'error' });
-            }
-          }
-          while (row2.length < firstRowCount) {
-            row2.push({ text: "" });
-          }
-          tableBody.push(row2);
-        }
-        documentDefinition.content.push({
-          table: {
-            widths: tableBody[0].map(() => '*'),
-            body: tableBody
-          },
-          layout: 'noBorders',
-          margin: [0, 5, 0, 5]
-        });
-      }
-    }
+    // ◆ 問題画像の追加
+    await pushImages(content.problem.problemImageSrcs, "問題画像読み込みエラー", content.problem.problemId);
 
     // 選択肢の追加
     if (content.problem.choices && content.problem.choices.length > 0) {
@@ -500,63 +556,8 @@ async function generatePdf(contents, fileName) {
     if (content.explanation) {
       documentDefinition.content.push({ text: "解説", style: 'explanationHeader' });
 
-      // ◆ 解説画像の追加（既存処理）
-      if (content.explanation.explanationImageSrcs && content.explanation.explanationImageSrcs.length > 0) {
-        const total = content.explanation.explanationImageSrcs.length;
-        if (total === 1) {
-          const processed = await processImage(content.explanation.explanationImageSrcs[0]);
-          if (processed.dataUrl) {
-            const scaledWidth = getScaledWidth(processed);
-            documentDefinition.content.push({
-              image: processed.dataUrl,
-              width: scaledWidth,
-              margin: [0, 5, 0, 5]
-            });
-          } else {
-            documentDefinition.content.push({ text: "解説画像読み込みエラー", style: 'error' });
-          }
-        } else {
-          const firstRowCount = Math.ceil(total / 2);
-          const secondRowCount = total - firstRowCount;
-          let processedImages = [];
-          for (let i = 0; i < total; i++) {
-            const img = await processImage(content.explanation.explanationImageSrcs[i]);
-            processedImages.push(img);
-          }
-          let tableBody = [];
-          let row1 = [];
-          for (let i = 0; i < firstRowCount; i++) {
-            if (processedImages[i] && processedImages[i].dataUrl) {
-              row1.push({ image: processedImages[i].dataUrl, width: getScaledWidth(processedImages[i]) });
-            } else {
-              row1.push({ text: "解説画像読み込みエラー", style: 'error' });
-            }
-          }
-          tableBody.push(row1);
-          if (secondRowCount > 0) {
-            let row2 = [];
-            for (let i = firstRowCount; i < total; i++) {
-              if (processedImages[i] && processedImages[i].dataUrl) {
-                row2.push({ image: processedImages[i].dataUrl, width: getScaledWidth(processedImages[i]) });
-              } else {
-                row2.push({ text: "解説画像読み込みエラー", style: 'error' });
-              }
-            }
-            while (row2.length < firstRowCount) {
-              row2.push({ text: "" });
-            }
-            tableBody.push(row2);
-          }
-          documentDefinition.content.push({
-            table: {
-              widths: tableBody[0].map(() => '*'),
-              body: tableBody
-            },
-            layout: 'noBorders',
-            margin: [0, 5, 0, 5]
-          });
-        }
-      }
+      // ◆ 解説画像の追加
+      await pushImages(content.explanation.explanationImages, "解説画像読み込みエラー", content.problem.problemId);
 
       // 解説テキスト群
       documentDefinition.content.push({ text: "解法の要点", style: 'explanationHeader' });
@@ -574,68 +575,17 @@ async function generatePdf(contents, fileName) {
     if (content.basic) {
       documentDefinition.content.push({ text: content.basic.title || "基本事項など", style: 'explanationHeader' });
       documentDefinition.content.push({ text: content.basic.textContent, style: 'analysis' });
-      if (content.basic.images && content.basic.images.length > 0) {
-        const totalBasic = content.basic.images.length;
-        if (totalBasic === 1) {
-          const processedBasic = await processImage(content.basic.images[0]);
-          if (processedBasic.dataUrl) {
-            const scaledWidth = getScaledWidth(processedBasic);
-            documentDefinition.content.push({
-              image: processedBasic.dataUrl,
-              width: scaledWidth,
-              margin: [0, 5, 0, 5]
-            });
-          } else {
-            documentDefinition.content.push({ text: "基本事項画像読み込みエラー", style: 'error' });
-          }
-        } else {
-          let processedBasicImages = [];
-          for (let j = 0; j < totalBasic; j++) {
-            const img = await processImage(content.basic.images[j]);
-            processedBasicImages.push(img);
-          }
-          const firstRowCount = Math.ceil(totalBasic / 2);
-          const secondRowCount = totalBasic - firstRowCount;
-          let tableBody = [];
-          let row1 = [];
-          for (let j = 0; j < firstRowCount; j++) {
-            if (processedBasicImages[j] && processedBasicImages[j].dataUrl) {
-              row1.push({ image: processedBasicImages[j].dataUrl, width: getScaledWidth(processedBasicImages[j]) });
-            } else {
-              row1.push({ text: "基本事項画像読み込みエラー", style: 'error' });
-            }
-          }
-          tableBody.push(row1);
-          if (secondRowCount > 0) {
-            let row2 = [];
-            for (let j = firstRowCount; j < totalBasic; j++) {
-              if (processedBasicImages[j] && processedBasicImages[j].dataUrl) {
-                row2.push({ image: processedBasicImages[j].dataUrl, width: getScaledWidth(processedBasicImages[j]) });
-              } else {
-                row2.push({ text: "基本事項画像読み込みエラー", style: 'error' });
-              }
-            }
-            while (row2.length < firstRowCount) {
-              row2.push({ text: "" });
-            }
-            tableBody.push(row2);
-          }
-          documentDefinition.content.push({
-            table: {
-              widths: tableBody[0].map(() => '*'),
-              body: tableBody
-            },
-            layout: 'noBorders',
-            margin: [0, 5, 0, 5]
-          });
-        }
-      }
+      await pushImages(content.basic.images, "基本事項画像読み込みエラー", content.problem.problemId);
     }
     // 改ページ（解説ページ終了）
     documentDefinition.content.push({ text: '', pageBreak: 'after' });
     }
   }
 
+  if (appendix) {
+    documentDefinition.content.push(...(await appendix.content()));
+  }
+
   try {
     const extension = "pdf";
     const pdfDoc = pdfMake.createPdf(documentDefinition);
@@ -648,34 +598,13 @@ async function generatePdf(contents, fileName) {
   }
 }
 
-async function main() {
-  const browser = await puppeteer.launch({ headless: true });
-  const page = await browser.newPage();
-
-  const loginUrl = 'https://login.medilink-study.com/login'; // ログインURL
-  const email = ' ';           // ログイン用メール
-  const password = ' ';                 // ログイン用パスワード
-  const fileName = "1H 免疫";                  // 保存するPDFのファイル名
-  const startUrl = 'https://cbt.medilink-study.com/Answer/2014100430'; // 最初の問題ページ
-  const numberOfPages = 59;                          // 取得する問題数 
-
-  // ログイン処理
-  await page.goto(loginUrl);
-  await page.type('input[name="username"]', email);
-  await page.type('input[name="password"]', password);
-  await page.click('button[type="submit"]');
-  await page.waitForNavigation();
-
-  // 最初の問題ページへ移動
-  await page.goto(startUrl, { waitUntil: 'domcontentloaded' });
-
-  // 問題と解説のスクレイピング
-  const {results} = await scrapeQuestions(page, numberOfPages);
-
-  // PDF生成（基本事項なども含む）
-  await generatePdf(results, fileName);
-
-  await browser.close();
-}
-
-main().catch((error) => console.error('エラー:', error));
\ No newline at end of file
+module.exports = {
+  autoScroll,
+  getProblemId,
+  waitForQuestionPage,
+  skipQuestion,
+  scrapeCurrentQuestion,
+  scrapeQuestions,
+  processImage,
+  generatePdf
+};
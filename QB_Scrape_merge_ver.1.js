@@ -1,11 +1,22 @@
 const puppeteer = require('puppeteer');
-const fetch = require('node-fetch');
 const pdfMake = require('pdfmake/build/pdfmake');
 const vfsFonts = require('./build/vfs_fonts.js');
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
-const sizeOf = require('image-size');
+const { appendCheckpoint } = require('./lib/checkpoint.js');
+const { STOP_REASONS, describeStopReason, hasNextButton, isSummaryScreen } = require('./lib/end-of-set.js');
+const { resolveWaits, clickAndWaitForQuestionChange, waitForNetworkIdle, waitForImages } = require('./lib/waits.js');
+const { createQuestionTimer } = require('./lib/timing.js');
+const { anyOf, resolveSelectors, clickFirst } = require('./lib/selectors.js');
+const { withRetry } = require('./lib/retry.js');
+const { FAILURE_STEPS, stepError, failureEntry, reportFailures } = require('./lib/failures.js');
+const { logVerbose, formatForLog } = require('./lib/log.js');
+const { NULL_PROGRESS } = require('./lib/progress.js');
+const { isAborted } = require('./lib/interrupt.js');
+const { NULL_THROTTLE } = require('./lib/throttle.js');
+const { getCookieHeader, captureImages, loadImage } = require('./lib/image-fetch.js');
+const { layoutImages } = require('./lib/image-layout.js');
+const { compressForLayout } = require('./lib/image-quality.js');
 const { PDFDocument } = require('pdf-lib');
 
 // vfs登録（PDFMake用フォントファイルの仮想ファイルシステム）
@@ -27,56 +38,12 @@ const fonts = {
 pdfMake.fonts = fonts;
 
 /**
- * 画像の URL または data URL を受け取り、Base64のdata URL と画像サイズを返す関数
+ * 画像ソース（画像ストアの参照・data URL・URL）を受け取り、Base64のdata URL と画像サイズを返す関数（lib/image-fetch.js の loadImage）
+ * 画像ストアの参照（"sha256:..."）は options.imageStore から読み込み、URL は cookieHeader を付けて取得する
+ * options.throttle（lib/throttle.js）を渡すと、URL から取得する前に間隔を空ける
  */
-async function processImage(src, cookieHeader) {
-  if (src.startsWith('data:')) {
-    try {
-      const base64Data = src.split(',')[1];
-      const buffer = Buffer.from(base64Data, 'base64');
-      const dimensions = sizeOf(buffer);
-      return { dataUrl: src, dimensions };
-    } catch (error) {
-      console.error("processImage(data URL) error:", error);
-      return { dataUrl: src, dimensions: null };
-    }
-  } else {
-    try {
-      const headers = {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/102.0.5005.63 Safari/537.36',
-        'Referer': 'https://cbt.medilink-study.com',
-        'Accept-Language': 'ja,en-US;q=0.9,en;q=0.8',
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache'
-      };
-      if (cookieHeader) {
-        headers['Cookie'] = cookieHeader;
-      }
-      const response = await fetch(src, { headers });
-      if (!response.ok) {
-        console.error(`processImage: HTTP error ${response.status} for ${src}`);
-        return { dataUrl: null, dimensions: null };
-      }
-      const contentType = response.headers.get('content-type');
-      const buffer = await response.buffer();
-      const base64 = buffer.toString('base64');
-      const dataUrl = `data:${contentType};base64,${base64}`;
-      const dimensions = sizeOf(buffer);
-      return { dataUrl, dimensions };
-    } catch (error) {
-      console.error("processImage(fetch) error:", error);
-      return { dataUrl: null, dimensions: null };
-    }
-  }
-}
-
-/**
- * Puppeteer のページから Cookie 情報を取得し、
- * "name1=value1; name2=value2; ..." の形式に整形する関数
- */
-async function getCookieHeader(page) {
-  const cookies = await page.cookies();
-  return cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+async function processImage(src, cookieHeader, options = {}) {
+  return loadImage(src, { ...options, cookieHeader });
 }
 
 /**
@@ -101,78 +68,199 @@ async function autoScroll(page) {
 }
 
 /**
- * 次の問題への遷移をクリックする関数
+ * 次の問題への遷移をクリックする関数（問題が切り替わるまで待つ）
+ * waits には待機の上限（config.waits）を渡す。切り替わったかどうかを返す（失敗してもエラーは投げない）
  */
-async function clickNextQuestion(page, questionIndex = 0) {
+async function clickNextQuestion(page, questionIndex = 0, waits) {
+  const bounds = resolveWaits(waits);
   try {
-    await new Promise((resolve) => setTimeout(resolve, 10000));
+    await waitForNetworkIdle(page, bounds);
     await autoScroll(page);
-    await page.waitForSelector('div#answerCbtSection', { visible: true, timeout: 10000 });
-    await page.evaluate(() => {
-      const nextBtn = document.querySelector('div#answerCbtSection > div.btn');
-      if (nextBtn) {
-        nextBtn.click();
-      } else {
-        throw new Error("次へボタンが見つかりませんでした");
-      }
-    });
-    await page.waitForSelector('div.question-content', { visible: true, timeout: 10000 });
+    await page.waitForSelector(anyOf('answerSection'), { visible: true, timeout: bounds.content });
+    await clickAndWaitForQuestionChange(page, anyOf('answerButton'), bounds);
+    return true;
   } catch (error) {
     console.error(`問題 ${questionIndex + 1}：次の問題へのクリックエラー:`, error);
+    return false;
   }
 }
 
+/**
+ * 4連問の1問目から「次へ」で4問目まで進めて「解答を確認する」をクリックし、解説が表示されるまで待つ関数
+ * 解説が表示されなければ、失敗した段階（lib/failures.js の FAILURE_STEPS）を step に付けたエラーを投げる
+ */
+async function showExplanation(page, label, waits) {
+  const bounds = resolveWaits(waits);
+  let subQuestionFailed = false;
+  for (let j = 0; j < 3; j++) {
+    if (!(await clickNextQuestion(page, j, bounds))) {
+      subQuestionFailed = true;
+    }
+  }
+
+  await autoScroll(page);
+
+  let clickError = null;
+  try {
+    await page.waitForSelector(anyOf('answerButton'), { visible: true, timeout: bounds.content });
+    const btnText = await page.evaluate((buttonSelector) => {
+      const btn = document.querySelector(buttonSelector);
+      return btn ? btn.innerText.trim() : "";
+    }, anyOf('answerButton'));
+    if (btnText.includes("解答を確認する")) {
+      await clickFirst(page, 'answerButton');
+    } else {
+      throw new Error("解答を確認するボタンのテキストが一致しません: " + btnText);
+    }
+  } catch (error) {
+    console.error(`${label}：「解答を確認する」ボタンのクリックエラー:`, error);
+    clickError = error;
+  }
+
+  try {
+    await page.waitForSelector(anyOf('correctAnswer'), { visible: true, timeout: bounds.content });
+  } catch (error) {
+    if (subQuestionFailed) throw stepError(FAILURE_STEPS.SUB_QUESTION, clickError || error);
+    throw clickError ? stepError(FAILURE_STEPS.ANSWER_BUTTON, clickError) : stepError(FAILURE_STEPS.CORRECT_ANSWER, error);
+  }
+
+  logVerbose(`${label} の解説が表示されました。`);
+}
+
+/**
+ * 問題ページのフッター（div.question-footer）から問題IDを取得する関数
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @returns {Promise<string>} - 問題ID（取得できなければ空文字）
+ */
+async function getProblemId(page) {
+  return page.evaluate((footerSelector) => {
+    const footerElem = document.querySelector(footerSelector);
+    const m = footerElem ? footerElem.innerText.match(/ID\s*:\s*(\d+)/) : null;
+    return m && m[1] ? m[1] : '';
+  }, anyOf('questionFooter'));
+}
+
 /**
  * スクレイピング処理：指定されたページから numPages 件の問題・解説データを取得する
+ * options.checkpointPath を指定すると1問ごとに JSONL へ追記し、
+ * options.completedIds に含まれる問題（取得済み）は読み飛ばす（numPages にも数えない）
+ * numPages を省略した場合はセットの終わり（次へボタンなし・結果画面・同じ問題IDに戻る）まで取得し、
+ * { results, stopReason } を返す
+ * 待機は固定時間ではなく要素の表示・問題の切り替わりで判定し、その上限は options.waits（config.waits）で変えられる
+ * options.session（lib/session.js の createSessionGuard）を渡すと、セッションが切れたときにログインし直して続きから取得する
+ * 解説を表示できなかった問題は options.retries 回（待ち時間 options.retryBackoff から2倍ずつ延ばす）まで開き直して再試行し、
+ * それでも取得できなければ failures（lib/failures.js の failureEntry）に記録して終了する
+ * timings には問題IDごとの所要時間（ms）を返す
+ * options.progress（lib/progress.js の createProgress）を渡すと、1問ごとに進捗の表示を更新する
+ * options.signal（lib/interrupt.js）が中断されたら、今の問題の後で終了する（終了理由は STOP_REASONS.INTERRUPTED）
+ * （画像のダウンロードも中断する。options.imageSignal を渡すと、画像のダウンロードだけをその signal で中断する）
+ * options.throttle（lib/throttle.js の createThrottle）を渡すと、次の問題へ進む前にアクセスの間隔を空ける
+ * options.imageStore（lib/image-store.js の createImageStore）を渡すと、画像を保存して参照を results に入れる（省略時は data URL）
  */
-async function scrape(page, numPages) {
+async function scrape(page, numPages = Infinity, options = {}) {
   const results = [];
+  const completedIds = options.completedIds || new Set();
+  const seenIds = new Set(); // この実行中に表示された問題ID（一周の検出用）
+  const waits = resolveWaits(options.waits);
+  const timer = createQuestionTimer();
+  const progress = options.progress || NULL_PROGRESS;
+  const throttle = options.throttle || NULL_THROTTLE;
+  let stopReason = STOP_REASONS.COUNT;
+  let lastQuestion = null; // 最後に表示した問題（セッション切れからの再開位置）
+  const failures = [];
+
+  // ログイン画面に戻されていたら、ログインし直して最後に表示した問題を開き直す
+  // 開き直した問題は取得済みなので読み飛ばされ、「次の問題へ」で続きから取得する
+  const recoverSession = async () => {
+    if (!options.session || !lastQuestion) return false;
+    if (!(await options.session.recover(page, lastQuestion.url))) return false;
+    seenIds.delete(lastQuestion.id); // 開き直した問題は一周の検出に数えない
+    return true;
+  };
+
   for (let pageIndex = 0; pageIndex < numPages; pageIndex++) {
-    console.log(`--- 問題 ${pageIndex + 1} のスクレイピング開始 ---`);
-    await new Promise((resolve) => setTimeout(resolve, 10000));
+    if (isAborted(options.signal)) {
+      stopReason = STOP_REASONS.INTERRUPTED;
+      break;
+    }
+    logVerbose(`--- 問題 ${pageIndex + 1} のスクレイピング開始 ---`);
+    timer.start();
+    await recoverSession();
+    await page.waitForSelector(anyOf('header'), { visible: true, timeout: waits.content });
+    await waitForNetworkIdle(page, waits);
     await autoScroll(page);
-    await page.waitForSelector('div.header, [data-v-1e8b4a81].header', { visible: true, timeout: 10000 });
 
-    for (let j = 0; j < 3; j++) {
-      await clickNextQuestion(page, j);
-      await new Promise((resolve) => setTimeout(resolve, 2000));
+    // 4連問の1問目の問題IDを取得（取得済みならレジューム時の読み飛ばし対象）
+    const problemId = await getProblemId(page);
+    if (problemId && seenIds.has(problemId)) {
+      stopReason = STOP_REASONS.REPEATED_ID; // 同じ問題IDに戻った＝セットを一周した
+      break;
     }
+    const previousId = lastQuestion ? lastQuestion.id : null;
+    if (problemId) {
+      seenIds.add(problemId);
+      lastQuestion = { url: page.url(), id: problemId };
+    }
+    const alreadyScraped = Boolean(problemId) && completedIds.has(problemId);
+    // 取得済みの問題は解説を表示せずに次の問題へ進む（解説の表示に失敗して failures に記録しないよう、ページを操作する前に読み飛ばす）
+    if (alreadyScraped) {
+      logVerbose(`問題ID ${problemId} は取得済みのため読み飛ばします。`);
+      try {
+        await page.waitForSelector(anyOf('nextButton'), { visible: true, timeout: waits.content });
+        await throttle.beforeQuestion();
+        await clickAndWaitForQuestionChange(page, anyOf('nextButton'), waits);
+      } catch (err) {
+        if (await recoverSession()) {
+          pageIndex--;
+          continue;
+        }
+        console.error(`問題ID ${problemId}：読み飛ばし時の遷移エラー:`, err);
+        stopReason = STOP_REASONS.ERROR;
+        break;
+      }
+      pageIndex--; // 読み飛ばした問題は取得数に数えない
+      continue;
+    }
+    progress.begin(problemId);
+    timer.mark('ページの読み込み');
 
-    await autoScroll(page);
-    await page.waitForSelector('div#answerCbtSection', { visible: true, timeout: 10000 });
-
+    // ①〜③ 4問目まで進めて解説を表示する（失敗したらページを開き直して再試行）
     try {
-      await page.waitForSelector('div#answerCbtSection .btn', { visible: true, timeout: 5000 });
-      const btnText = await page.evaluate(() => {
-        const btn = document.querySelector('div#answerCbtSection .btn');
-        return btn ? btn.innerText.trim() : "";
-      });
-      if (btnText.includes("解答を確認する")) {
-        await page.click('div#answerCbtSection .btn');
-      } else {
-        throw new Error("解答を確認するボタンのテキストが一致しません: " + btnText);
-      }
-    } catch (error) {
-      console.error(`問題 ${pageIndex + 1}：「解答を確認する」ボタンのクリックエラー:`, error);
+      await withRetry(async (attempt) => {
+        if (attempt > 0) {
+          if (!(await recoverSession())) {
+            await page.reload({ waitUntil: 'domcontentloaded' });
+          }
+          await page.waitForSelector(anyOf('header'), { visible: true, timeout: waits.content });
+        }
+        await showExplanation(page, `問題 ${pageIndex + 1}`, waits);
+      }, { retries: options.retries, backoff: options.retryBackoff, label: `問題 ${pageIndex + 1}`, signal: options.signal });
+    } catch (err) {
+      // 解説が表示されないと「次の問題へ」に進めないため、failures に記録して終了する（rescrape で後から取得し直せる）
+      failures.push(failureEntry(problemId, err, { previousId }));
+      progress.error();
+      progress.advance(problemId);
+      stopReason = STOP_REASONS.ERROR;
+      break;
     }
 
-    await page.waitForSelector('div.questionResult .resultContent--currentCorrectAnswer', {
-      visible: true,
-      timeout: 15000,
-    });
+    timer.mark('解説の表示');
 
-    console.log(`問題 ${pageIndex + 1} の解説が表示されました。`);
+    // 解説の画像も読み込み終わってから取得する
+    await waitForImages(page, waits);
 
-    const explanationData = await page.evaluate(() => {
+    // 候補のうち実際に一致するセレクタを選んでおく（サイトの変更に備えて lib/selectors.js で管理）
+    const sel = await resolveSelectors(page, ['descContent', 'descTitle', 'descDetail', 'figureCaption']);
+    const explanationData = await page.evaluate((sel) => {
       // 各セクションのテキストを取得するヘルパー
       const getSectionText = title => {
-        const section = Array.from(document.querySelectorAll("div.descContent"))
+        const section = Array.from(document.querySelectorAll(sel.descContent))
           .find(el => {
-            const titleElem = el.querySelector(".descContent--title");
+            const titleElem = el.querySelector(sel.descTitle);
             return titleElem && titleElem.innerText.trim() === title;
           });
         if (section) {
-          const details = Array.from(section.querySelectorAll(".descContent--detail"));
+          const details = Array.from(section.querySelectorAll(sel.descDetail));
           return details.map(detail => detail.innerText.trim()).join("\n");
         }
         return "";
@@ -187,9 +275,9 @@ async function scrape(page, numPages) {
       // 画像診断の抽出：画像URLとそのキャプション
       let explanationImages = [];
       let imageDiagnosisCaption = "";
-      const imageBlock = Array.from(document.querySelectorAll('div.descContent'))
+      const imageBlock = Array.from(document.querySelectorAll(sel.descContent))
         .find(block => {
-          const titleElem = block.querySelector('.descContent--title');
+          const titleElem = block.querySelector(sel.descTitle);
           return titleElem && titleElem.innerText.trim() === '画像診断';
         });
       if (imageBlock) {
@@ -201,13 +289,13 @@ async function scrape(page, numPages) {
               explanationImages.push(src.trim());
             }
           });
-          const captionElem = imageBlock.querySelector('div.figure p');
+          const captionElem = imageBlock.querySelector(sel.figureCaption);
           if (captionElem) {
             imageDiagnosisCaption = captionElem.innerText.trim();
           }
         } else {
           // 画像が存在しない場合：descContent--detail からキャプションを抽出
-          const detailElem = imageBlock.querySelector('.descContent--detail');
+          const detailElem = imageBlock.querySelector(sel.descDetail);
           if (detailElem) {
             let fullText = detailElem.innerText.trim();
             imageDiagnosisCaption = fullText.replace(/^\[[^\]]*\]\s*/, "");
@@ -224,38 +312,17 @@ async function scrape(page, numPages) {
         explanationImages,
         imageDiagnosisCaption
       };
-    });
+    }, sel);
 
-    // 画像についてのキャプチャ処理（必要なら）
+    // 元の画像ファイルをダウンロードし、できなければ画像要素をキャプチャーして取り込む（lib/image-fetch.js）
     if (explanationData.explanationImages && explanationData.explanationImages.length > 0) {
-      const processedExplanationImages = [];
-      for (const src of explanationData.explanationImages) {
-        if (src.startsWith("http")) {
-          try {
-            await page.waitForFunction(
-              selector => {
-                const img = document.querySelector(selector);
-                return img && img.complete && img.naturalWidth > 0;
-              },
-              { timeout: 5000 },
-              `img[src="${src}"]`
-            );
-            const imageElement = await page.$(`img[src="${src}"]`);
-            if (imageElement) {
-              const screenshotData = await imageElement.screenshot({ encoding: 'base64' });
-              processedExplanationImages.push(`data:image/png;base64,${screenshotData}`);
-            } else {
-              processedExplanationImages.push(src);
-            }
-          } catch (err) {
-            console.error("解説画像キャプチャエラー:", src, err);
-            processedExplanationImages.push(src);
-          }
-        } else {
-          processedExplanationImages.push(src);
-        }
-      }
-      explanationData.explanationImages = processedExplanationImages;
+      explanationData.explanationImages = await captureImages(page, explanationData.explanationImages, {
+        imageStore: options.imageStore,
+        throttle,
+        waits,
+        signal: options.imageSignal || options.signal,
+        label: `問題 ${pageIndex + 1} の解説画像`
+      });
     }
 
     if (
@@ -266,47 +333,67 @@ async function scrape(page, numPages) {
       !explanationData.guideline &&
       (!explanationData.explanationImages || explanationData.explanationImages.length === 0)
     ) {
+      stopReason = STOP_REASONS.EMPTY_CONTENT;
       break;
     }
 
-    const problemData = {}; // 必要に応じて問題文なども追加
+    const problemData = { problemId }; // 必要に応じて問題文なども追加
     const combinedData = {
       problem: problemData,
       explanation: explanationData,
     };
 
-    console.log(`問題 ${pageIndex + 1} のデータ:`, combinedData);
+    timer.mark('解説の取得');
+    logVerbose(`問題 ${pageIndex + 1} のデータ:`, formatForLog(combinedData));
+    timer.stop(`問題 ${pageIndex + 1}`, problemId);
+    progress.advance(problemId);
     results.push(combinedData);
+    if (options.checkpointPath) {
+      appendCheckpoint(options.checkpointPath, combinedData);
+    }
+    if (problemId) {
+      completedIds.add(problemId);
+    }
+
+    if (pageIndex + 1 >= numPages) {
+      break;
+    }
 
+    if (!(await hasNextButton(page, waits.content))) {
+      // セッション切れでログイン画面に戻された場合は、結果画面とみなさずにログインし直して続ける
+      if (await recoverSession()) {
+        continue;
+      }
+      stopReason = (await isSummaryScreen(page, lastQuestion && lastQuestion.url)) ? STOP_REASONS.SUMMARY_SCREEN : STOP_REASONS.NO_NEXT_BUTTON;
+      break;
+    }
+    await throttle.beforeQuestion();
     try {
-      await page.waitForSelector("div.toNextWrapper--btn", { visible: true, timeout: 10000 });
-      await page.evaluate(() => {
-        const btn = document.querySelector("div.toNextWrapper--btn");
-        if (btn) btn.click();
-      });
-      await new Promise((resolve) => setTimeout(resolve, 2000));
-      await page.waitForSelector("div.header, [data-v-1e8b4a81].header", { visible: true, timeout: 10000 });
+      await clickAndWaitForQuestionChange(page, anyOf('nextButton'), waits);
     } catch (err) {
+      // ログイン画面も問題ページ以外なので、結果画面の判定より先にセッション切れから復帰する
+      if (await recoverSession()) {
+        continue; // 開き直した問題（取得済み）から「次の問題へ」で進む
+      }
+      if (await isSummaryScreen(page, lastQuestion && lastQuestion.url)) {
+        stopReason = STOP_REASONS.SUMMARY_SCREEN;
+        break;
+      }
       console.error(`問題 ${pageIndex + 1}：次の問題への遷移エラー:`, err);
+      stopReason = STOP_REASONS.ERROR;
       break;
     }
   }
-  return results;
+  console.log(`スクレイピング終了: ${results.length} 問取得（終了理由: ${describeStopReason(stopReason)}）`);
+  console.log(timer.summary());
+  reportFailures(failures);
+  return { results, stopReason, failures, timings: timer.byId };
 }
 
 /**
  * 各問題の解説データ（1問分の content オブジェクト）から、pdfMake を使ってその問題の解説PDF（バッファ）を生成する関数
  */
-async function generateSingleQuestionPdfBuffer(content, cookieHeader) {
-  // 最大横幅の設定（例として 171.76pt）
-  function getScaledWidth(obj) {
-    const maxAllowedWidth = 171.76;
-    if (obj && obj.dimensions && obj.dimensions.width) {
-      return obj.dimensions.width > maxAllowedWidth ? maxAllowedWidth : obj.dimensions.width;
-    }
-    return maxAllowedWidth;
-  }
-
+async function generateSingleQuestionPdfBuffer(content, cookieHeader, options = {}) {
   const docDefinition = {
     content: [],
     defaultStyle: { font: 'NotoSansJP' },
@@ -327,65 +414,18 @@ async function generateSingleQuestionPdfBuffer(content, cookieHeader) {
   // 画像診断セクション タイトル
   docDefinition.content.push({ text: "画像診断", style: 'explanationHeader' });
 
-  // 画像診断の出力（画像とそのキャプション）
-  if (content.explanationImages && content.explanationImages.length > 0) {
-    const total = content.explanationImages.length;
-    if (total === 1) {
-      const processed = await processImage(content.explanationImages[0], cookieHeader);
-      if (processed.dataUrl) {
-        const scaledWidth = getScaledWidth(processed);
-        docDefinition.content.push({
-          image: processed.dataUrl,
-          width: scaledWidth,
-          margin: [0, 5, 0, 5]
-        });
-      } else {
-        docDefinition.content.push({ text: "解説画像読み込みエラー", style: 'error' });
-      }
-    } else {
-      const firstRowCount = Math.ceil(total / 2);
-      let processedImages = [];
-      for (let i = 0; i < total; i++) {
-        const img = await processImage(content.explanationImages[i], cookieHeader);
-        processedImages.push(img);
-      }
-      let tableBody = [];
-      let row1 = [];
-      for (let i = 0; i < firstRowCount; i++) {
-        if (processedImages[i] && processedImages[i].dataUrl) {
-          row1.push({ image: processedImages[i].dataUrl, width: getScaledWidth(processedImages[i]) });
-        } else {
-          row1.push({ text: "解説画像読み込みエラー", style: 'error' });
-        }
-      }
-      tableBody.push(row1);
-      if (total > firstRowCount) {
-        let row2 = [];
-        for (let i = firstRowCount; i < total; i++) {
-          if (processedImages[i] && processedImages[i].dataUrl) {
-            row2.push({ image: processedImages[i].dataUrl, width: getScaledWidth(processedImages[i]) });
-          } else {
-            row2.push({ text: "解説画像読み込みエラー", style: 'error' });
-          }
-        }
-        while (row2.length < firstRowCount) {
-          row2.push({ text: "" });
-        }
-        tableBody.push(row2);
-      }
-      docDefinition.content.push({
-        table: {
-          widths: tableBody[0].map(() => '*'),
-          body: tableBody
-        },
-        layout: 'noBorders',
-        margin: [0, 5, 0, 5]
-      });
-    }
-
-    
+  // 画像診断の出力（画像とそのキャプション。キャプションは画像と同じページに置く）
+  const images = [];
+  for (const src of content.explanationImages || []) {
+    images.push(await processImage(src, cookieHeader, options));
   }
-  docDefinition.content.push({ text: content.imageDiagnosisCaption, style: 'analysis', margin: [0, 5, 0, 5] });
+  // --quality 指定時は、画像を PDF 上の表示サイズに合わせて縮小・圧縮する（lib/image-quality.js）
+  const compressed = await compressForLayout(images, options.imageQuality, options.imageLayout);
+  docDefinition.content.push(layoutImages(compressed, {
+    layout: options.imageLayout,
+    errorText: "解説画像読み込みエラー",
+    caption: { text: content.imageDiagnosisCaption, style: 'analysis', margin: [0, 5, 0, 5] }
+  }));
 
   docDefinition.content.push({ text: "KEYWORD", style: 'explanationHeader' });
   docDefinition.content.push({ text: content.keyword, style: 'analysis' });
@@ -408,8 +448,15 @@ async function generateSingleQuestionPdfBuffer(content, cookieHeader) {
 /**
  * 4B.pdf（ベースPDF）と各問題ごとの解説PDF（スクレイピング結果）を交互に差し込み、1つのPDFを生成する関数
  * ※4B.pdf は1問につき4ページのグループとなっている前提
+ * options.throttle（lib/throttle.js）を渡すと、画像を URL から取得する間隔を空ける
+ * 参照（"sha256:..."）の画像は options.imageStore（lib/image-store.js）から読み込む
+ * 画像の並べ方の最大の幅・高さなどは options.imageLayout（config.imageLayout。lib/image-layout.js）に従う
  */
-async function mergeScrapedWithBase(contents, basePdfPath, outputPdfPath, cookieHeader) {
+async function mergeScrapedWithBase(contents, basePdfPath, outputPdfPath, cookieHeader, options = {}) {
+  if (options.imageAppendix) {
+    // 問題ごとに別々に生成した PDF をつなぐため、付録へのリンクを張れない
+    console.warn('ベースPDFへの差し込みでは画像の付録（--image-appendix）は生成しません。');
+  }
   const basePdfBytes = fs.readFileSync(basePdfPath);
   const basePdfDoc = await PDFDocument.load(basePdfBytes);
   const mergedPdf = await PDFDocument.create();
@@ -426,7 +473,7 @@ async function mergeScrapedWithBase(contents, basePdfPath, outputPdfPath, cookie
       }
     }
     // 各問題ごとのスクレイピング結果PDFを生成
-    const buffer = await generateSingleQuestionPdfBuffer(contents[i].explanation, cookieHeader);
+    const buffer = await generateSingleQuestionPdfBuffer(contents[i].explanation, cookieHeader, options);
     const scrapedPdfDoc = await PDFDocument.load(buffer);
     const scrapedPageCount = scrapedPdfDoc.getPageCount();
     for (let k = 0; k < scrapedPageCount; k++) {
@@ -440,48 +487,20 @@ async function mergeScrapedWithBase(contents, basePdfPath, outputPdfPath, cookie
   console.log(`Merged PDF saved as: ${outputPdfPath}`);
 }
 
-async function generatePdf(contents, fileName, cookieHeader) {
+async function generatePdf(contents, fileName, cookieHeader, options = {}) {
   // mergeScrapedWithBase で各問題ごとのPDFと4B.pdfをマージする
-  await mergeScrapedWithBase(contents, '4B.pdf', `${fileName}_merged.pdf`, cookieHeader);
-}
-
-async function main() {
-  const browser = await puppeteer.launch({ headless: true });
-  const page = await browser.newPage();
-
-  // ログイン情報・URL
-  const loginUrl = 'https://login.medilink-study.com/login';
-  const email = '';
-  const password = '';
-  const startUrl = 'https://cbt.medilink-study.com/Answer/2009400360';
-  const fileName = "4連問";
-  const numberOfPages = 120;
-
-  try {
-    await page.goto(loginUrl, { waitUntil: 'networkidle2' });
-    await page.waitForSelector('input[name="username"]', { visible: true });
-    await page.type('input[name="username"]', email, { delay: 100 });
-    await page.waitForSelector('input[name="password"]', { visible: true });
-    await page.type('input[name="password"]', password, { delay: 100 });
-    await Promise.all([
-      page.waitForNavigation({ waitUntil: 'networkidle2' }),
-      page.click('button[type="submit"]')
-    ]);
-
-    await page.goto(startUrl, { waitUntil: 'domcontentloaded' });
-
-    const explanationDataArray = await scrape(page, numberOfPages);
-    const cookieHeader = await getCookieHeader(page);
-    const contents = explanationDataArray.map(data => ({
-      explanation: data.explanation
-    }));
-
-    await generatePdf(contents, fileName, cookieHeader);
-  } catch (error) {
-    console.error('エラー:', error);
-  } finally {
-    await browser.close();
-  }
+  await mergeScrapedWithBase(contents, '4B.pdf', `${fileName}_merged.pdf`, cookieHeader, options);
 }
 
-main();
+module.exports = {
+  processImage,
+  getCookieHeader,
+  autoScroll,
+  clickNextQuestion,
+  showExplanation,
+  getProblemId,
+  scrape,
+  generateSingleQuestionPdfBuffer,
+  mergeScrapedWithBase,
+  generatePdf
+};
@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+const JSZip = require('jszip');
+const { explanationSections, escapeHtml, textToHtml, decodeDataUrl, IMAGE_EXTENSIONS } = require('./sections.js');
+
+// ノートタイプ（モデル）の ID は固定にする
+// 再エクスポート時も同じモデル・同じ GUID になるので、Anki 側ではカードが重複せず更新される
+const MODEL_ID = 1708000000001;
+const MODEL_NAME = 'QB_Scrape';
+
+// フィールドの区切り文字（Anki の仕様）
+const FIELD_SEPARATOR = '\x1f';
+
+// Anki の GUID に使われる base91 の文字セット
+const BASE91_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!#$%&()*+,-./:;<=>?@[]^_`{|}~';
+
+const CARD_CSS = `.card { font-family: "Noto Sans JP", sans-serif; font-size: 16px; text-align: left; color: black; background-color: white; }
+.qb-heading { font-weight: bold; margin-top: 1em; }
+.qb-images img { max-width: 100%; margin: 4px 0; }
+.qb-answer { font-size: 1.2em; font-weight: bold; }`;
+
+const SCHEMA = `
+CREATE TABLE col (
+  id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+  ver integer not null, dty integer not null, usn integer not null, ls integer not null,
+  conf text not null, models text not null, decks text not null, dconf text not null, tags text not null
+);
+CREATE TABLE notes (
+  id integer primary key, guid text not null, mid integer not null, mod integer not null,
+  usn integer not null, tags text not null, flds text not null, sfld integer not null,
+  csum integer not null, flags integer not null, data text not null
+);
+CREATE TABLE cards (
+  id integer primary key, nid integer not null, did integer not null, ord integer not null,
+  mod integer not null, usn integer not null, type integer not null, queue integer not null,
+  due integer not null, ivl integer not null, factor integer not null, reps integer not null,
+  lapses integer not null, left integer not null, odue integer not null, odid integer not null,
+  flags integer not null, data text not null
+);
+CREATE TABLE revlog (
+  id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+  ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null,
+  type integer not null
+);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+/**
+ * 文字列から base91 形式の GUID を生成する関数
+ * 同じ入力からは常に同じ GUID になる（genanki の guid_for と同じ考え方）
+ */
+function stableGuid(key) {
+  let value = BigInt('0x' + crypto.createHash('sha256').update(key).digest('hex').slice(0, 16));
+  let guid = '';
+  const base = BigInt(BASE91_CHARS.length);
+  while (value > 0n) {
+    guid = BASE91_CHARS[Number(value % base)] + guid;
+    value /= base;
+  }
+  return guid || BASE91_CHARS[0];
+}
+
+/**
+ * 文字列から 32bit の整数 ID を生成する関数（デッキ ID 用）
+ */
+function stableId(key) {
+  return parseInt(crypto.createHash('sha1').update(key).digest('hex').slice(0, 8), 16);
+}
+
+/**
+ * Anki のチェックサム（ソートフィールドの SHA1 の先頭8桁を整数化したもの）
+ */
+function fieldChecksum(text) {
+  return parseInt(crypto.createHash('sha1').update(text).digest('hex').slice(0, 8), 16);
+}
+
+/**
+ * HTML タグを除いたテキストを返す関数（ソートフィールド用）
+ */
+function stripHtml(html) {
+  return html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Anki のタグに使えるよう空白を "_" に置き換える関数
+ */
+function toTag(text) {
+  return String(text).trim().replace(/\s+/g, '_');
+}
+
+/**
+ * メディア（画像）を管理するクラス
+ * 同じファイル名は一度だけ登録し、apkg 内では "0", "1", ... の名前で格納する
+ */
+class MediaCollection {
+  constructor() {
+    this.files = [];
+    this.names = new Set();
+  }
+
+  /**
+   * 画像を登録し、カード内の <img> タグを返す（data URL でない画像は登録できないので空文字）
+   * @param {string} src - 画像の data URL
+   * @param {string} baseName - ファイル名（拡張子なし）
+   */
+  add(src, baseName) {
+    const decoded = decodeDataUrl(src);
+    if (!decoded) return '';
+    const fileName = `${baseName}.${IMAGE_EXTENSIONS[decoded.mimeType] || 'png'}`;
+    if (!this.names.has(fileName)) {
+      this.names.add(fileName);
+      this.files.push({ fileName, buffer: decoded.buffer });
+    }
+    return `<img src="${escapeHtml(fileName)}">`;
+  }
+}
+
+/**
+ * 画像リストを登録し、まとめた HTML を返す関数
+ */
+function imagesHtml(media, images, baseName) {
+  const tags = (images || []).map((src, k) => media.add(src, `${baseName}_${k + 1}`)).filter(Boolean);
+  return tags.length > 0 ? `<div class="qb-images">${tags.join('')}</div>` : '';
+}
+
+/**
+ * 1問分の combinedData から、ノートの表面・裏面の HTML を組み立てる関数
+ * 表面：問題文・問題画像・選択肢、裏面：正解・解説の各セクション・基本事項
+ * @param {Object} item - 1問分の combinedData
+ * @param {number} index - 問題の通し番号（問題IDがない場合のファイル名に使う）
+ * @param {MediaCollection} media
+ * @returns {{ front: string, back: string }}
+ */
+function buildNoteFields(item, index, media) {
+  const problem = item.problem || {};
+  const explanation = item.explanation || {};
+  const key = problem.problemId || `item${index + 1}`;
+
+  const front = [];
+  if (problem.questionText) {
+    front.push(`<div class="qb-question">${textToHtml(problem.questionText)}</div>`);
+  } else {
+    front.push(`<div class="qb-question">問題ID: ${escapeHtml(key)}</div>`);
+  }
+  front.push(imagesHtml(media, problem.problemImageSrcs, `qb_${key}_problem`));
+  if (problem.choices && problem.choices.length > 0) {
+    front.push(`<ul class="qb-choices">${problem.choices.map(choice => `<li>${textToHtml(choice)}</li>`).join('')}</ul>`);
+  }
+
+  const back = [];
+  if (explanation.correctAnswer && explanation.correctAnswer.trim() !== '') {
+    back.push('<div class="qb-heading">正解</div>');
+    back.push(`<div class="qb-answer">${textToHtml(explanation.correctAnswer)}</div>`);
+  }
+  explanationSections(item).forEach((section, k) => {
+    back.push(`<div class="qb-heading">${escapeHtml(section.title)}</div>`);
+    if (section.text) {
+      back.push(`<div>${textToHtml(section.text)}</div>`);
+    }
+    back.push(imagesHtml(media, section.images, `qb_${key}_s${k + 1}`));
+  });
+
+  return { front: front.join(''), back: back.join('') };
+}
+
+/**
+ * 1問分の combinedData からタグの配列を作る関数（章と問題番号）
+ */
+function buildTags(item, chapter) {
+  const tags = ['QB'];
+  if (chapter) tags.push(`QB::${toTag(chapter)}`);
+  const problemNumber = item.problem && item.problem.problemNumber;
+  if (problemNumber) tags.push(`QB::問題番号::${toTag(problemNumber)}`);
+  return tags;
+}
+
+/**
+ * col テーブルに入れるモデル・デッキ・設定の JSON を作る関数
+ */
+function collectionJson(deckId, deckName, now) {
+  const nowSec = Math.floor(now / 1000);
+  const deck = (id, name) => ({
+    id, name, desc: '', mod: nowSec, usn: -1, collapsed: false, browserCollapsed: false,
+    newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0],
+    dyn: 0, conf: 1, extendNew: 10, extendRev: 50
+  });
+  const field = (name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] });
+
+  const models = {
+    [MODEL_ID]: {
+      id: MODEL_ID, name: MODEL_NAME, type: 0, mod: nowSec, usn: -1, sortf: 0, did: deckId,
+      tmpls: [{
+        name: 'Card 1', ord: 0, did: null, bqfmt: '', bafmt: '',
+        qfmt: '{{Front}}',
+        afmt: '{{FrontSide}}<hr id="answer">{{Back}}'
+      }],
+      flds: [field('Front', 0), field('Back', 1)],
+      css: CARD_CSS,
+      latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+      latexPost: '\\end{document}',
+      tags: [], vers: [], req: [[0, 'all', [0]]]
+    }
+  };
+  const decks = { 1: deck(1, 'Default'), [deckId]: deck(deckId, deckName) };
+  const dconf = {
+    1: {
+      id: 1, name: 'Default', mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+      new: { bury: true, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 7], order: 1, perDay: 20, separate: true },
+      rev: { bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, perDay: 100 },
+      lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 }
+    }
+  };
+  const conf = {
+    nextPos: 1, estTimes: true, activeDecks: [1], sortType: 'noteFld', timeLim: 0, sortBackwards: false,
+    addToCur: true, curDeck: 1, newBury: true, newSpread: 0, dueCounts: true, curModel: String(MODEL_ID), collapseTime: 1200
+  };
+  return { models, decks, dconf, conf };
+}
+
+/**
+ * スクレイピング結果を Anki のデッキ（.apkg）として書き出す関数
+ * 各問題を1ノート（表面：問題、裏面：解説）にし、GUID は問題IDから決めるため、
+ * 同じ問題を再エクスポートして取り込んでもカードは重複せず更新される
+ *
+ * @param {Array<Object>} items - combinedData の配列（画像は data URL）
+ * @param {string} outputPath - 出力する .apkg のパス
+ * @param {{ deckName?: string, chapter?: string }} [options]
+ * @returns {Promise<number>} - 書き出したノート数
+ */
+async function exportAnki(items, outputPath, options = {}) {
+  const deckName = options.deckName || options.chapter || 'QB';
+  const deckId = stableId(`qb-deck:${deckName}`);
+  const now = Date.now();
+
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run(SCHEMA);
+
+  const { models, decks, dconf, conf } = collectionJson(deckId, deckName, now);
+  db.run(
+    'INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)',
+    [Math.floor(now / 1000), now, now, JSON.stringify(conf), JSON.stringify(models), JSON.stringify(decks), JSON.stringify(dconf), '{}']
+  );
+
+  const media = new MediaCollection();
+  items.forEach((item, index) => {
+    const { front, back } = buildNoteFields(item, index, media);
+    const problemId = item.problem && item.problem.problemId;
+    const guid = stableGuid(`qb-note:${problemId || `${deckName}:${index + 1}`}`);
+    const tags = buildTags(item, options.chapter);
+    const sortField = stripHtml(front);
+    const noteId = now + index;
+
+    db.run(
+      'INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')',
+      [noteId, guid, MODEL_ID, Math.floor(now / 1000), ` ${tags.join(' ')} `, [front, back].join(FIELD_SEPARATOR), sortField, fieldChecksum(sortField)]
+    );
+    db.run(
+      'INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')',
+      [noteId, noteId, deckId, Math.floor(now / 1000), index + 1]
+    );
+  });
+
+  const zip = new JSZip();
+  zip.file('collection.anki2', Buffer.from(db.export()));
+  db.close();
+
+  const mediaMap = {};
+  media.files.forEach((file, k) => {
+    mediaMap[k] = file.fileName;
+    zip.file(String(k), file.buffer);
+  });
+  zip.file('media', JSON.stringify(mediaMap));
+
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  fs.writeFileSync(outputPath, buffer);
+  console.log(`Ankiデッキを書き出しました: ${outputPath}（${items.length} ノート, 画像 ${media.files.length} 枚）`);
+  return items.length;
+}
+
+module.exports = {
+  exportAnki,
+  buildNoteFields,
+  stableGuid
+};
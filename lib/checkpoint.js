@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * スクレイピング結果（1問分の combinedData）をチェックポイントファイル（JSONL）に1行追記する関数
+ * 途中でクラッシュしても、それまでに取得した問題は失われない
+ * @param {string} filePath - チェックポイントファイルのパス
+ * @param {Object} combinedData - 1問分のスクレイピング結果
+ */
+function appendCheckpoint(filePath, combinedData) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, JSON.stringify(combinedData) + '\n');
+}
+
+/**
+ * チェックポイントファイルを読み込み、取得済みの combinedData の配列を返す関数
+ * 書き込み途中で中断された最終行など、壊れた行は読み飛ばす
+ * @param {string} filePath - チェックポイントファイルのパス
+ * @returns {Array<Object>}
+ */
+function readCheckpoint(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  const entries = [];
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  lines.forEach((line, index) => {
+    if (line.trim() === '') return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      console.warn(`チェックポイント ${filePath} の ${index + 1} 行目を読み込めないため無視します。`);
+    }
+  });
+  return entries;
+}
+
+/**
+ * 読み込めた行だけでチェックポイントファイルを書き直す関数
+ * 中断で途切れた最終行の後ろに追記して、次の行まで壊れてしまうのを防ぐ
+ * @param {string} filePath - チェックポイントファイルのパス
+ * @param {Array<Object>} entries - readCheckpoint の戻り値
+ */
+function rewriteCheckpoint(filePath, entries) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+}
+
+/**
+ * 取得済みデータに含まれる問題IDの Set を返す関数
+ * @param {Array<Object>} entries - readCheckpoint の戻り値
+ * @returns {Set<string>}
+ */
+function completedProblemIds(entries) {
+  return new Set(
+    entries
+      .map(entry => entry.problem && entry.problem.problemId)
+      .filter(Boolean)
+  );
+}
+
+/**
+ * 取得済みデータのうち、最後に取得した問題の問題IDを返す関数（なければ null）
+ * @param {Array<Object>} entries - readCheckpoint の戻り値
+ * @returns {string|null}
+ */
+function lastProblemId(entries) {
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const problemId = entries[i].problem && entries[i].problem.problemId;
+    if (problemId) return problemId;
+  }
+  return null;
+}
+
+module.exports = {
+  appendCheckpoint,
+  readCheckpoint,
+  rewriteCheckpoint,
+  completedProblemIds,
+  lastProblemId
+};
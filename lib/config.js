@@ -0,0 +1,245 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { WAIT_DEFAULTS } = require('./waits.js');
+const { RETRY_DEFAULTS } = require('./retry.js');
+const { DEFAULT_MIN_QUALITY } = require('./report.js');
+const { THROTTLE_DEFAULTS } = require('./throttle.js');
+const { IMAGE_LAYOUT_DEFAULTS } = require('./image-layout.js');
+
+// 設定ファイル名（カレントディレクトリ → ホームディレクトリの順に探す）
+const CONFIG_FILE_NAME = '.qbrc';
+
+// 既定値
+const DEFAULTS = {
+  loginUrl: 'https://login.medilink-study.com/login',
+  baseUrl: 'https://cbt.medilink-study.com',   // 問題ページ（/Answer/{id}）のドメイン
+  email: '',
+  password: '',
+  headless: true,
+  timeouts: {
+    default: 30000,     // waitForSelector などの既定タイムアウト（ms）
+    navigation: 30000   // goto / waitForNavigation のタイムアウト（ms）
+  },
+  waits: { ...WAIT_DEFAULTS },  // 問題の切り替わり・画像の読み込みなどを待つ上限（ms）。lib/waits.js を参照
+  throttle: { ...THROTTLE_DEFAULTS },  // アクセスの間隔と1時間・1日あたりの上限。lib/throttle.js を参照
+  budgetFile: '.qb-budget.json',       // 1時間・1日あたりの上限を数えるために、問題ページを開いた時刻を記録するファイル
+  imageLayout: { ...IMAGE_LAYOUT_DEFAULTS },  // PDF に画像を並べるときの最大の幅・高さ（pt）など。lib/image-layout.js を参照
+  imageAppendix: false,         // PDF の末尾に全画像を横幅いっぱいに載せた付録を付けるか（本文の画像から付録へリンクする）
+  quality: '',                  // PDF に埋め込む画像の圧縮のプリセット（print / tablet / small。空なら圧縮しない）。lib/image-quality.js を参照
+  imageQuality: {},             // プリセットへの上書き（dpi・jpegQuality・grayscale）
+  concurrency: 2,               // 問題ID指定（--ids）のときに並列で開くタブ数
+  retries: RETRY_DEFAULTS.retries,        // 1問の取得に失敗したときの再試行回数
+  retryBackoff: RETRY_DEFAULTS.backoff,   // 1回目の再試行までの待ち時間（ms）。以降は2倍ずつ延ばす
+  sessionFile: '',              // ログイン後の Cookie を保存・再利用するファイル（空なら毎回ログイン）
+  userDataDir: '',              // Chromium のプロファイルを保存するディレクトリ（空なら毎回新しいプロファイル）
+  partialPdf: false,            // Ctrl-C・エラーで中断したときに、途中までの PDF（<out>_partial.pdf）を生成するか
+  minQuality: DEFAULT_MIN_QUALITY,  // 実行レポートの品質（項目の充足率の平均）の下限。下回ると終了コード1（0 なら判定しない）
+  outDir: '.'
+};
+
+// 環境変数と設定キーの対応
+const ENV_KEYS = {
+  QB_EMAIL: 'email',
+  QB_PASSWORD: 'password',
+  QB_LOGIN_URL: 'loginUrl',
+  QB_BASE_URL: 'baseUrl',
+  QB_HEADLESS: 'headless',
+  QB_OUT_DIR: 'outDir',
+  QB_CONCURRENCY: 'concurrency',
+  QB_RETRIES: 'retries',
+  QB_RETRY_BACKOFF: 'retryBackoff',
+  QB_SESSION_FILE: 'sessionFile',
+  QB_USER_DATA_DIR: 'userDataDir',
+  QB_MIN_QUALITY: 'minQuality',
+  QB_PARTIAL_PDF: 'partialPdf',
+  QB_BUDGET_FILE: 'budgetFile',
+  QB_IMAGE_APPENDIX: 'imageAppendix',
+  QB_QUALITY: 'quality'
+};
+
+/**
+ * 設定ファイルの中身を JSON または YAML として解釈する関数
+ * JSON として読めなければ YAML とみなす（js-yaml が必要。入っていなければ JSON のエラーを表示する）
+ * @param {string} text - ファイルの中身
+ * @param {string} filePath - エラーメッセージ用のパス
+ * @returns {Object}
+ */
+function parseConfigText(text, filePath) {
+  try {
+    return JSON.parse(text);
+  } catch (jsonError) {
+    let yaml;
+    try {
+      yaml = require('js-yaml');
+    } catch (err) {
+      throw new Error(`設定ファイルを JSON として読み込めませんでした（${jsonError.message}）: ${filePath}\nYAML で書く場合は js-yaml が必要です（npm install js-yaml）`);
+    }
+    try {
+      return yaml.load(text) || {};
+    } catch (yamlError) {
+      throw new Error(`設定ファイルを読み込めませんでした（JSON: ${jsonError.message} / YAML: ${yamlError.message}）: ${filePath}`);
+    }
+  }
+}
+
+/**
+ * 設定ファイルを探して読み込む関数
+ * @param {string} [explicitPath] - --config で指定されたパス（指定時は存在しなければエラー）
+ * @returns {{ filePath: string|null, values: Object }}
+ */
+function readConfigFile(explicitPath) {
+  const candidates = explicitPath
+    ? [path.resolve(explicitPath)]
+    : [path.resolve(CONFIG_FILE_NAME), path.join(os.homedir(), CONFIG_FILE_NAME)];
+
+  for (const filePath of candidates) {
+    if (fs.existsSync(filePath)) {
+      const values = parseConfigText(fs.readFileSync(filePath, 'utf8'), filePath);
+      return { filePath, values };
+    }
+  }
+  if (explicitPath) {
+    throw new Error(`設定ファイルが見つかりません: ${explicitPath}`);
+  }
+  return { filePath: null, values: {} };
+}
+
+/**
+ * 環境変数から設定値を読み取る関数
+ * @param {Object} env - process.env
+ * @returns {Object}
+ */
+function readEnv(env) {
+  const values = {};
+  for (const [envKey, configKey] of Object.entries(ENV_KEYS)) {
+    if (env[envKey] !== undefined && env[envKey] !== '') {
+      values[configKey] = env[envKey];
+    }
+  }
+  return values;
+}
+
+/**
+ * "true" / "false" などの文字列を真偽値に変換する関数
+ */
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  return !['false', '0', 'no', 'off'].includes(String(value).trim().toLowerCase());
+}
+
+// キー単位でマージする設定項目
+const NESTED_KEYS = ['timeouts', 'waits', 'throttle', 'imageLayout', 'imageQuality'];
+
+/**
+ * 未定義でない値だけを上書きしながら設定オブジェクトをマージする関数
+ * timeouts・waits・throttle・imageLayout・imageQuality はキー単位でマージする
+ */
+function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    if (value === undefined) continue;
+    if (NESTED_KEYS.includes(key) && value && typeof value === 'object') {
+      merged[key] = { ...merged[key], ...value };
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * 値が空（未設定・空白だけ）かどうかを返す関数
+ */
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * ターミナルから1行入力を受け取る関数
+ * hidden を指定すると入力内容をエコーしない（パスワード用）
+ * @param {string} question - 表示するプロンプト
+ * @param {{ hidden?: boolean }} [options]
+ * @returns {Promise<string>}
+ */
+function prompt(question, { hidden = false } = {}) {
+  return new Promise((resolve) => {
+    // hidden のときは、プロンプトを表示した後の出力（入力文字のエコー）を捨てるストリームを readline に渡す
+    let muted = false;
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        if (!muted) process.stdout.write(chunk, encoding);
+        callback();
+      }
+    });
+    const rl = readline.createInterface({ input: process.stdin, output: hidden ? output : process.stdout, terminal: true });
+    rl.question(question, (answer) => {
+      muted = false;
+      if (hidden) process.stdout.write('\n');
+      rl.close();
+      resolve(answer);
+    });
+    muted = hidden;
+  });
+}
+
+/**
+ * 設定を読み込む関数
+ * 優先順位: コマンドライン引数 > 環境変数 > 設定ファイル(.qbrc) > 既定値
+ * それでもメールアドレス・パスワードが空で、ターミナルから実行されている場合は対話的に入力を求める
+ *
+ * @param {Object} [cliOverrides] - コマンドライン引数から得た設定値（未指定のキーは undefined）
+ * @param {{ configPath?: string, env?: Object, interactive?: boolean }} [options]
+ * @returns {Promise<Object>} - 設定オブジェクト
+ */
+async function loadConfig(cliOverrides = {}, options = {}) {
+  const env = options.env || process.env;
+  const interactive = options.interactive !== undefined ? options.interactive : Boolean(process.stdin.isTTY);
+
+  const { filePath, values: fileValues } = readConfigFile(options.configPath);
+
+  let config = mergeConfig(DEFAULTS, fileValues);
+  config = mergeConfig(config, readEnv(env));
+  config = mergeConfig(config, cliOverrides);
+  config.headless = toBoolean(config.headless);
+  config.partialPdf = toBoolean(config.partialPdf);
+  config.imageAppendix = toBoolean(config.imageAppendix);
+  config.configFile = filePath;
+  // YAML・JSON では数字だけのパスワードなどが数値として読み込まれるので、文字列にそろえる
+  for (const key of ['email', 'password']) {
+    config[key] = isBlank(config[key]) ? '' : String(config[key]);
+  }
+
+  if (interactive) {
+    if (isBlank(config.email)) {
+      config.email = await prompt('メールアドレス: ');
+    }
+    if (isBlank(config.password)) {
+      config.password = await prompt('パスワード: ', { hidden: true });
+    }
+  }
+  return config;
+}
+
+/**
+ * ログイン情報が空でないことを確認する関数
+ * 空のまま入力欄に打ち込んでも失敗するだけなので、ブラウザ起動前にエラーにする
+ * @param {Object} config - loadConfig の戻り値
+ */
+function assertCredentials(config) {
+  const missing = [];
+  if (isBlank(config.email)) missing.push('メールアドレス(QB_EMAIL / email)');
+  if (isBlank(config.password)) missing.push('パスワード(QB_PASSWORD / password)');
+  if (missing.length > 0) {
+    throw new Error(`ログイン情報が設定されていません: ${missing.join(', ')}`);
+  }
+}
+
+module.exports = {
+  CONFIG_FILE_NAME,
+  DEFAULTS,
+  loadConfig,
+  assertCredentials
+};
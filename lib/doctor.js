@@ -0,0 +1,67 @@
+const { SELECTORS, checkSelectors } = require('./selectors.js');
+
+// 画面の表示名
+const STAGE_LABELS = {
+  login: 'ログイン画面',
+  question: '問題表示中',
+  answer: '「解答を確認する」の後'
+};
+
+/**
+ * --stage の指定（カンマ区切り）を画面名の配列にする関数
+ * @param {string} text - 例: "question,answer"
+ * @returns {string[]}
+ */
+function parseStages(text) {
+  const stages = text.split(',').map(stage => stage.trim()).filter(Boolean);
+  for (const stage of stages) {
+    if (!STAGE_LABELS[stage]) {
+      throw new Error(`不明な画面です: ${stage}（${Object.keys(STAGE_LABELS).join(' / ')} のいずれか）`);
+    }
+  }
+  return stages;
+}
+
+/**
+ * 1要素分の確認結果を1行にする関数
+ */
+function formatResult(result) {
+  const candidates = SELECTORS[result.key].candidates;
+  if (result.matched && result.index === 0) {
+    return `  OK  ${result.description}: ${result.matched}（${result.count} 件）`;
+  }
+  if (result.matched) {
+    return `  OK  ${result.description}: ${result.matched}（${result.count} 件・${result.index + 1} 番目の候補。先頭の候補は一致しません）`;
+  }
+  if (result.optional) {
+    return `  --  ${result.description}: 一致なし（問題によってはない要素です）`;
+  }
+  return `  NG  ${result.description}: 一致なし（候補: ${candidates.join(' / ')}）`;
+}
+
+/**
+ * 表示中のページでセレクタを確認し、結果を表示する関数
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @param {string[]} stages - 確認する画面
+ * @returns {Promise<number>} - 見つからなかった必須の要素の数
+ */
+async function reportSelectors(page, stages) {
+  const results = await checkSelectors(page, stages);
+  let missing = 0;
+  for (const stage of stages) {
+    console.log(`[${STAGE_LABELS[stage]}]`);
+    for (const result of results.filter(r => r.stage === stage)) {
+      console.log(formatResult(result));
+      if (!result.matched && !result.optional) {
+        missing++;
+      }
+    }
+  }
+  return missing;
+}
+
+module.exports = {
+  STAGE_LABELS,
+  parseStages,
+  reportSelectors
+};
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { isImageRef, createImageStore } = require('./image-store.js');
+
+// ダンプ形式のバージョン（形式を変えたら上げる）
+const DUMP_VERSION = 2;
+const DATA_FILE_NAME = 'data.json';
+const IMAGE_DIR_NAME = 'images';
+
+/**
+ * combinedData 内の画像リストを [オブジェクト, キー] の組で列挙する関数
+ * 単体問題（problemImageSrcs / explanationImages / basic.images）と 4連問（explanationImages）の両方に対応
+ * @param {Object} item - 1問分の combinedData
+ * @returns {Array<[Object, string]>}
+ */
+function imageFields(item) {
+  const fields = [];
+  if (item.problem && Array.isArray(item.problem.problemImageSrcs)) {
+    fields.push([item.problem, 'problemImageSrcs']);
+  }
+  if (item.explanation && Array.isArray(item.explanation.explanationImages)) {
+    fields.push([item.explanation, 'explanationImages']);
+  }
+  if (item.basic && Array.isArray(item.basic.images)) {
+    fields.push([item.basic, 'images']);
+  }
+  return fields;
+}
+
+/**
+ * ダンプディレクトリの画像ストア（images/）を開く関数
+ * スクレイピング中の画像もここに保存するので、--resume で再開してもチェックポイントの参照をそのまま使える
+ * @param {string} dirPath - ダンプディレクトリ
+ */
+function openImageStore(dirPath) {
+  return createImageStore(path.join(dirPath, IMAGE_DIR_NAME));
+}
+
+/**
+ * combinedData の配列の画像の参照を data URL に置き換えた複製を返す関数（エクスポート用）
+ * 画像ストアにない参照は取り出せないので、そのまま残す
+ * @param {Array<Object>} items - combinedData の配列
+ * @param {Object} imageStore - lib/image-store.js の createImageStore の戻り値
+ */
+function inlineImages(items, imageStore) {
+  const inlined = JSON.parse(JSON.stringify(items));
+  for (const item of inlined) {
+    for (const [owner, key] of imageFields(item)) {
+      owner[key] = owner[key].map(src => (isImageRef(src) && imageStore.toDataUrl(src)) || src);
+    }
+  }
+  return inlined;
+}
+
+/**
+ * スクレイピング結果をダンプディレクトリに保存する関数
+ * data.json に { version, kind, source, title, stopReason, createdAt, items } を書く
+ * 画像は images/ の画像ストアに1枚1回だけ保存し、items には参照（"sha256:<ハッシュ>"）を書く
+ * （スクレイピング中に画像ストアに保存済みの画像は参照のまま、data URL の画像はここで保存する）
+ * 画像ストアの index.json もここで書く
+ * @param {string} dirPath - 保存先ディレクトリ
+ * @param {'single'|'renzoku'} kind - スクレイピングの種類（single: 通常問題, renzoku: 4連問）
+ * @param {Array<Object>} items - combinedData の配列
+ * @param {{ source?: string, title?: string, stopReason?: string, imageStore?: Object }} [meta]
+ *   source: 取得したスクレイパー（single / renzoku / merge。rescrape で同じスクレイパーを使う）/
+ *   title: 章・単元名など（PDFのファイル名。エクスポート時のタグ等に使う）
+ *   stopReason: スクレイピングを終了した理由（lib/end-of-set.js の STOP_REASONS）/
+ *   imageStore: スクレイピング中に画像を保存した画像ストア（openImageStore の戻り値。省略時は dirPath の images/ を開く）
+ * @returns {string} - 書き出した data.json のパス
+ */
+function saveDump(dirPath, kind, items, meta = {}) {
+  fs.mkdirSync(path.join(dirPath, IMAGE_DIR_NAME), { recursive: true });
+  const imageStore = meta.imageStore || openImageStore(dirPath);
+
+  // 元の結果（PDF生成に使う）は書き換えないよう、複製してから画像を参照に置き換える
+  const savedItems = JSON.parse(JSON.stringify(items));
+  for (const item of savedItems) {
+    for (const [owner, key] of imageFields(item)) {
+      owner[key] = owner[key].map(src => imageStore.putDataUrl(src));
+    }
+  }
+  imageStore.save();
+
+  const dataPath = path.join(dirPath, DATA_FILE_NAME);
+  const dump = {
+    version: DUMP_VERSION,
+    kind,
+    source: meta.source || kind,
+    title: meta.title || '',
+    stopReason: meta.stopReason || '',
+    createdAt: new Date().toISOString(),
+    items: savedItems
+  };
+  fs.writeFileSync(dataPath, JSON.stringify(dump, null, 2));
+  console.log(`スクレイピング結果を保存しました: ${dataPath}`);
+  return dataPath;
+}
+
+/**
+ * saveDump で保存したダンプを読み込む関数
+ * 画像は参照のまま返すので、generatePdf などには imageStore と一緒に渡す（inlineImages で data URL に戻せる）
+ * @param {string} dirPath - ダンプディレクトリ（または data.json のパス）
+ * @returns {{ version: number, kind: string, source?: string, title: string, stopReason: string, createdAt: string, items: Array<Object>, imageStore: Object }}
+ */
+function loadDump(dirPath) {
+  if (path.basename(dirPath) === DATA_FILE_NAME) {
+    dirPath = path.dirname(dirPath);
+  }
+  const dataPath = path.join(dirPath, DATA_FILE_NAME);
+  if (!fs.existsSync(dataPath)) {
+    throw new Error(`ダンプが見つかりません: ${dataPath}`);
+  }
+  const dump = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+  if (dump.version !== DUMP_VERSION) {
+    throw new Error(`未対応のダンプ形式です（version: ${dump.version}, 対応: ${DUMP_VERSION}）: ${dataPath}`);
+  }
+  return { ...dump, imageStore: openImageStore(dirPath) };
+}
+
+module.exports = {
+  DUMP_VERSION,
+  imageFields,
+  openImageStore,
+  inlineImages,
+  saveDump,
+  loadDump
+};
@@ -0,0 +1,78 @@
+const { anyOf } = require('./selectors.js');
+
+// スクレイピングを終了した理由
+const STOP_REASONS = {
+  COUNT: 'count',                   // 指定した問題数（--count）に達した
+  NO_NEXT_BUTTON: 'no-next-button', // 「次の問題へ」ボタンがない（セットの最後の問題）
+  SUMMARY_SCREEN: 'summary-screen', // 問題ページ以外（結果・成績画面など）に遷移した
+  REPEATED_ID: 'repeated-id',       // 同じ問題IDに戻ってきた（セットを一周した）
+  EMPTY_CONTENT: 'empty-content',   // 解説の全項目が空だった（4連問）
+  ID_LIST: 'id-list',               // 問題ID指定（--ids）で、指定した問題IDをすべて処理した
+  INTERRUPTED: 'interrupted',       // Ctrl-C などで中断した（lib/interrupt.js）
+  ERROR: 'error'                    // 遷移エラーなどで続行できなかった
+};
+
+const STOP_REASON_MESSAGES = {
+  [STOP_REASONS.COUNT]: '指定した問題数に達しました',
+  [STOP_REASONS.NO_NEXT_BUTTON]: '「次の問題へ」ボタンがありません（セットの最後の問題）',
+  [STOP_REASONS.SUMMARY_SCREEN]: '問題ページ以外（結果画面など）に遷移しました',
+  [STOP_REASONS.REPEATED_ID]: '取得済みの問題IDに戻りました（セットを一周しました）',
+  [STOP_REASONS.EMPTY_CONTENT]: '解説の内容が空でした',
+  [STOP_REASONS.ID_LIST]: '指定した問題IDをすべて処理しました',
+  [STOP_REASONS.INTERRUPTED]: '中断しました（Ctrl-C・終了シグナルなど）',
+  [STOP_REASONS.ERROR]: '遷移エラーのため中断しました'
+};
+
+/**
+ * 終了理由を日本語の説明にする関数
+ * @param {string} reason - STOP_REASONS のいずれか
+ */
+function describeStopReason(reason) {
+  return STOP_REASON_MESSAGES[reason] || reason;
+}
+
+/**
+ * 「次の問題へ」ボタンが表示されるかを確認する関数
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @param {number} [timeout=10000] - 待機する最大時間（ms）
+ * @returns {Promise<boolean>}
+ */
+async function hasNextButton(page, timeout = 10000) {
+  try {
+    await page.waitForSelector(anyOf('nextButton'), { visible: true, timeout });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * 問題ページ以外（セット終了後の結果・成績画面など）が表示されているかを判定する関数
+ * 問題ページと同じサイトの /Answer/ 以外のページで、ログインフォームがない場合に true
+ * （セッション切れで転送されたログイン画面や、読み込みに失敗したページは結果画面とみなさない）
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @param {string} [questionUrl] - 直前に表示していた問題ページの URL（省略すると同じサイトかどうかは確認しない）
+ * @returns {Promise<boolean>}
+ */
+async function isSummaryScreen(page, questionUrl) {
+  let current;
+  try {
+    current = new URL(page.url());
+  } catch (err) {
+    return false;
+  }
+  if (/\/Answer\//.test(current.pathname)) {
+    return false;
+  }
+  if (questionUrl && current.origin !== new URL(questionUrl).origin) {
+    return false;
+  }
+  return (await page.$(anyOf('loginUsername'))) === null;
+}
+
+module.exports = {
+  STOP_REASONS,
+  describeStopReason,
+  hasNextButton,
+  isSummaryScreen
+};
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+
+// 取得できなかった問題の一覧（ダンプディレクトリに保存し、rescrape で再取得する）
+const FAILURES_VERSION = 1;
+const FAILURES_FILE_NAME = 'failures.json';
+
+// 失敗した段階（failures.json の step）
+const FAILURE_STEPS = {
+  OPEN: 'open',                       // 問題ページを開く
+  SUB_QUESTION: 'sub-question',       // 4連問の「次へ」で小問を進める
+  ANSWER_BUTTON: 'answer-button',     // 「解答を確認する」のクリック
+  CORRECT_ANSWER: 'correct-answer',   // 正解表示（解説）が現れるのを待つ
+  WRONG_PROBLEM: 'wrong-problem',     // 指定と別の問題が表示された
+  UNKNOWN: 'unknown'
+};
+
+const STEP_DESCRIPTIONS = {
+  [FAILURE_STEPS.OPEN]: '問題ページを開く',
+  [FAILURE_STEPS.SUB_QUESTION]: '4連問の小問を進める',
+  [FAILURE_STEPS.ANSWER_BUTTON]: '「解答を確認する」のクリック',
+  [FAILURE_STEPS.CORRECT_ANSWER]: '正解表示を待つ',
+  [FAILURE_STEPS.WRONG_PROBLEM]: '問題IDの確認',
+  [FAILURE_STEPS.UNKNOWN]: '不明'
+};
+
+/**
+ * 失敗した段階を表示用の文字列にする関数
+ */
+function describeStep(step) {
+  return STEP_DESCRIPTIONS[step] || step;
+}
+
+/**
+ * エラーに失敗した段階を付ける関数（failures.json の step として記録される）
+ * @param {string} step - FAILURE_STEPS のいずれか
+ * @param {Error|string} err - 元のエラー
+ * @returns {Error}
+ */
+function stepError(step, err) {
+  const error = err instanceof Error ? err : new Error(String(err));
+  if (!error.step) {
+    error.step = step;
+  }
+  return error;
+}
+
+/**
+ * failures.json に記録する1問分のエントリを作る関数
+ * @param {string|null} problemId - 問題ID（取得できなかった場合は null）
+ * @param {Error} err - 最後のエラー（stepError で段階が付いていれば step に記録する）
+ * @param {{ attempts?: number, previousId?: string|null }} [info]
+ *   attempts: 試行回数 / previousId: 直前に表示した問題の問題ID（rescrape で結果に差し込む位置）
+ * @returns {{ problemId: string|null, step: string, error: string, attempts: number, previousId: string|null, failedAt: string }}
+ */
+function failureEntry(problemId, err, info = {}) {
+  return {
+    problemId: problemId || null,
+    step: (err && err.step) || FAILURE_STEPS.UNKNOWN,
+    error: err ? String(err.message || err) : '',
+    attempts: info.attempts || (err && err.attempts) || 1,
+    previousId: info.previousId || null,
+    failedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * 取得できなかった問題を一覧表示する関数
+ * @param {Array<Object>} failures - failureEntry の配列
+ */
+function reportFailures(failures) {
+  if (failures.length === 0) return;
+  console.warn(`取得できなかった問題: ${failures.length} 問`);
+  for (const failure of failures) {
+    console.warn(`  問題ID ${failure.problemId || '(不明)'}：${describeStep(failure.step)}で失敗（${failure.attempts} 回試行）: ${failure.error}`);
+  }
+}
+
+/**
+ * 取得できなかった問題の一覧をダンプディレクトリの failures.json に保存する関数
+ * 失敗がなければ、前回の failures.json が残らないよう削除する
+ * @param {string} dirPath - ダンプディレクトリ
+ * @param {'single'|'renzoku'} kind - スクレイピングの種類
+ * @param {Array<Object>} failures - failureEntry の配列
+ * @returns {string|null} - 書き出したパス（失敗がなければ null）
+ */
+function saveFailures(dirPath, kind, failures) {
+  const filePath = path.join(dirPath, FAILURES_FILE_NAME);
+  if (failures.length === 0) {
+    fs.rmSync(filePath, { force: true });
+    return null;
+  }
+  fs.mkdirSync(dirPath, { recursive: true });
+  const data = { version: FAILURES_VERSION, kind, createdAt: new Date().toISOString(), failures };
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  console.log(`取得できなかった問題の一覧を保存しました: ${filePath}（rescrape --dump ${dirPath} で再取得できます）`);
+  return filePath;
+}
+
+/**
+ * failures.json を読み込む関数（なければ空の一覧を返す）
+ * @param {string} dirPath - ダンプディレクトリ
+ * @returns {Array<Object>} - failureEntry の配列
+ */
+function loadFailures(dirPath) {
+  const filePath = path.join(dirPath, FAILURES_FILE_NAME);
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (data.version !== FAILURES_VERSION) {
+    throw new Error(`未対応の failures.json の形式です（version: ${data.version}, 対応: ${FAILURES_VERSION}）: ${filePath}`);
+  }
+  return data.failures;
+}
+
+/**
+ * 前回までの失敗と今回の失敗をまとめる関数（--resume 用）
+ * 同じ問題IDは今回の記録を優先し、今回取得できた問題は除く
+ * @param {Array<Object>} previous - 前回までの failureEntry の配列
+ * @param {Array<Object>} current - 今回の failureEntry の配列
+ * @param {Array<Object>} items - 取得済みの combinedData の配列
+ * @returns {Array<Object>}
+ */
+function mergeFailures(previous, current, items) {
+  const scrapedIds = new Set(items.map(item => item.problem && item.problem.problemId).filter(Boolean));
+  const currentIds = new Set(current.map(failure => failure.problemId).filter(Boolean));
+  return [
+    ...previous.filter(failure => !failure.problemId || !currentIds.has(failure.problemId)),
+    ...current
+  ].filter(failure => !failure.problemId || !scrapedIds.has(failure.problemId));
+}
+
+/**
+ * 再取得した結果を、保存済みの結果に差し込む関数
+ * 同じ問題IDがあれば置き換え、なければ failures.json の previousId（直前の問題）の後ろに、見つからなければ末尾に入れる
+ * @param {Array<Object>} items - 保存済みの combinedData の配列
+ * @param {Array<Object>} failures - 再取得した問題の failureEntry の配列（記録順）
+ * @param {Array<Object>} results - 再取得できた combinedData の配列
+ * @returns {Array<Object>} - 差し込んだ後の配列（items は変更しない）
+ */
+function patchItems(items, failures, results) {
+  const patched = [...items];
+  const indexOf = (id) => patched.findIndex(item => item.problem && item.problem.problemId === id);
+  for (const failure of failures) {
+    const result = results.find(item => item.problem && item.problem.problemId === failure.problemId);
+    if (!result) continue;
+    const existing = indexOf(failure.problemId);
+    if (existing >= 0) {
+      patched[existing] = result;
+      continue;
+    }
+    const previous = failure.previousId ? indexOf(failure.previousId) : -1;
+    if (previous >= 0) {
+      patched.splice(previous + 1, 0, result);
+    } else if (!failure.previousId) {
+      patched.unshift(result);
+    } else {
+      patched.push(result);
+    }
+  }
+  return patched;
+}
+
+module.exports = {
+  FAILURE_STEPS,
+  FAILURES_FILE_NAME,
+  describeStep,
+  stepError,
+  failureEntry,
+  reportFailures,
+  saveFailures,
+  loadFailures,
+  mergeFailures,
+  patchItems
+};
@@ -0,0 +1,120 @@
+// QB_Scrape HTML ビューア（export-html で書き出したフォルダ内で動作する）
+// file:// から開けるよう、データは data.js（window.QB_DATA）で読み込み、fetch やモジュールは使わない
+(function () {
+  'use strict';
+
+  var data = window.QB_DATA || { title: '', items: [] };
+  var items = data.items;
+  var filtered = items.map(function (_, i) { return i; });
+  var position = 0; // filtered 内の位置
+  var answerShown = false;
+
+  var $ = function (id) { return document.getElementById(id); };
+
+  /**
+   * 要素を作る補助関数（テキストは textContent で入れるので HTML として解釈されない）
+   */
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function appendImages(parent, images) {
+    if (!images || images.length === 0) return;
+    var box = el('div', 'images');
+    images.forEach(function (src) {
+      var img = el('img');
+      img.src = src;
+      img.loading = 'lazy';
+      box.appendChild(img);
+    });
+    parent.appendChild(box);
+  }
+
+  function render() {
+    var main = $('question');
+    main.innerHTML = '';
+    $('position').textContent = filtered.length > 0 ? (position + 1) + ' / ' + filtered.length : '0 / 0';
+
+    if (filtered.length === 0) {
+      main.appendChild(el('p', 'empty', '該当する問題がありません'));
+      return;
+    }
+    var item = items[filtered[position]];
+
+    var heading = item.problemNumber ? '問題 ' + item.problemNumber : '問題ID ' + item.problemId;
+    main.appendChild(el('h2', null, heading));
+    if (item.problemId) main.appendChild(el('div', 'meta', '問題ID: ' + item.problemId));
+    if (item.questionText) main.appendChild(el('p', 'question-text', item.questionText));
+    appendImages(main, item.problemImages);
+
+    if (item.choices.length > 0) {
+      var list = el('ul', 'choices');
+      item.choices.forEach(function (choice) { list.appendChild(el('li', null, choice)); });
+      main.appendChild(list);
+    }
+
+    var toggle = el('button', 'toggle', answerShown ? '解答を隠す（Space）' : '解答を表示（Space）');
+    toggle.addEventListener('click', toggleAnswer);
+    main.appendChild(toggle);
+
+    var answer = el('div', 'answer');
+    answer.hidden = !answerShown;
+    if (item.correctAnswer) {
+      answer.appendChild(el('h3', null, '正解'));
+      answer.appendChild(el('p', 'correct', item.correctAnswer));
+    }
+    item.sections.forEach(function (section) {
+      answer.appendChild(el('h3', null, section.title));
+      if (section.text) answer.appendChild(el('p', 'section-text', section.text));
+      appendImages(answer, section.images);
+    });
+    main.appendChild(answer);
+    window.scrollTo(0, 0);
+  }
+
+  function move(delta) {
+    if (filtered.length === 0) return;
+    position = Math.min(Math.max(position + delta, 0), filtered.length - 1);
+    answerShown = false;
+    render();
+  }
+
+  function toggleAnswer() {
+    answerShown = !answerShown;
+    render();
+  }
+
+  function search(query) {
+    var q = query.trim().toLowerCase();
+    filtered = [];
+    items.forEach(function (item, i) {
+      var haystack = (item.questionText + ' ' + item.problemId + ' ' + item.problemNumber).toLowerCase();
+      if (q === '' || haystack.indexOf(q) >= 0) filtered.push(i);
+    });
+    position = 0;
+    answerShown = false;
+    render();
+  }
+
+  document.addEventListener('keydown', function (event) {
+    if (event.target === $('search')) {
+      if (event.key === 'Escape') $('search').blur();
+      return;
+    }
+    if (event.key === 'ArrowRight' || event.key === 'j') move(1);
+    else if (event.key === 'ArrowLeft' || event.key === 'k') move(-1);
+    else if (event.key === ' ' || event.key === 'Enter') { event.preventDefault(); toggleAnswer(); }
+    else if (event.key === '/') { event.preventDefault(); $('search').focus(); }
+  });
+
+  $('prev').addEventListener('click', function () { move(-1); });
+  $('next').addEventListener('click', function () { move(1); });
+  $('search').addEventListener('input', function (event) { search(event.target.value); });
+
+  document.title = (data.title || 'QB') + ' - QB ビューア';
+  $('title').textContent = data.title || 'QB';
+  render();
+})();
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const { explanationSections, escapeHtml, decodeDataUrl, IMAGE_EXTENSIONS } = require('./sections.js');
+
+// ビューアの静的ファイル（index.html と同じフォルダにコピーする）
+const VIEWER_DIR = path.join(__dirname, 'html-viewer');
+const VIEWER_FILES = ['viewer.js', 'viewer.css'];
+const IMAGE_DIR_NAME = 'images';
+
+/**
+ * 画像を images/ に保存し、index.html からの相対パスの配列を返す関数
+ * data URL でない画像（取得できなかった画像の URL）はそのまま返す
+ */
+function writeImages(images, outDir, baseName) {
+  return (images || []).map((src, k) => {
+    const decoded = decodeDataUrl(src);
+    if (!decoded) return src;
+    const fileName = `${baseName}_${k + 1}.${IMAGE_EXTENSIONS[decoded.mimeType] || 'png'}`;
+    fs.writeFileSync(path.join(outDir, IMAGE_DIR_NAME, fileName), decoded.buffer);
+    return `${IMAGE_DIR_NAME}/${encodeURIComponent(fileName)}`;
+  });
+}
+
+/**
+ * 1問分の combinedData をビューア用のデータに変換する関数
+ */
+function toViewerItem(item, index, outDir) {
+  const problem = item.problem || {};
+  const explanation = item.explanation || {};
+  const key = problem.problemId || String(index + 1).padStart(4, '0');
+  return {
+    problemId: problem.problemId || '',
+    problemNumber: problem.problemNumber || '',
+    questionText: problem.questionText || '',
+    choices: problem.choices || [],
+    problemImages: writeImages(problem.problemImageSrcs, outDir, `${key}_problem`),
+    correctAnswer: (explanation.correctAnswer || '').trim(),
+    sections: explanationSections(item).map((section, k) => ({
+      title: section.title,
+      text: section.text,
+      images: writeImages(section.images, outDir, `${key}_s${k + 1}`)
+    }))
+  };
+}
+
+/**
+ * ビューアの index.html を作る関数
+ */
+function buildIndexHtml(title) {
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - QB ビューア</title>
+<link rel="stylesheet" href="viewer.css">
+</head>
+<body>
+<header>
+  <h1 id="title"></h1>
+  <button id="prev" type="button">← 前へ</button>
+  <span id="position"></span>
+  <button id="next" type="button">次へ →</button>
+  <input id="search" type="search" placeholder="問題文を検索（/）">
+  <span class="hint">←/→: 移動　Space: 解答の表示切替</span>
+</header>
+<main id="question"></main>
+<script src="data.js"></script>
+<script src="viewer.js"></script>
+</body>
+</html>
+`;
+}
+
+/**
+ * スクレイピング結果をオフラインで閲覧できる HTML ビューアとして書き出す関数
+ * index.html・viewer.js・viewer.css・data.js と images/ を1つのフォルダにまとめる
+ * file:// で開けるよう、データは JSON ではなく data.js（window.QB_DATA への代入）として書き出す
+ *
+ * @param {Array<Object>} items - combinedData の配列（画像は data URL）
+ * @param {string} outDir - 書き出し先フォルダ
+ * @param {{ title?: string }} [options]
+ * @returns {string} - index.html のパス
+ */
+function exportHtml(items, outDir, options = {}) {
+  const title = options.title || 'QB';
+  fs.mkdirSync(path.join(outDir, IMAGE_DIR_NAME), { recursive: true });
+
+  const data = {
+    title,
+    items: items.map((item, index) => toViewerItem(item, index, outDir))
+  };
+  // </script> などで data.js が途切れないよう "<" はエスケープしておく
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+  fs.writeFileSync(path.join(outDir, 'data.js'), `window.QB_DATA = ${json};\n`);
+
+  for (const fileName of VIEWER_FILES) {
+    fs.copyFileSync(path.join(VIEWER_DIR, fileName), path.join(outDir, fileName));
+  }
+  const indexPath = path.join(outDir, 'index.html');
+  fs.writeFileSync(indexPath, buildIndexHtml(title));
+  console.log(`HTMLビューアを書き出しました: ${indexPath}（${items.length} 問）`);
+  return indexPath;
+}
+
+module.exports = {
+  exportHtml
+};
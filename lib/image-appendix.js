@@ -0,0 +1,71 @@
+const { IMAGE_LAYOUT_DEFAULTS } = require('./image-layout.js');
+const { compressImage } = require('./image-quality.js');
+
+// 付録の画像の高さの上限（pt。A4 の用紙の高さ 841.89 から上下の余白と付録・「図 N」の見出しの分を引いたもの）
+const APPENDIX_MAX_HEIGHT = 660;
+
+/**
+ * PDF の末尾に、問題画像・解説画像を横幅いっぱいに載せる付録を作る仕組みを作る関数
+ * 本文の画像を add() に通すと「図 N」のキャプションと付録へのリンクが付き、最後に content() で付録の要素を取り出す
+ * （リンクは pdfmake の id / linkToDestination を使うので、1つの PDF の中でだけ有効）
+ * 付録は改ページせずに始まるので、本文の最後（各問題の末尾の改ページ）の後に置く
+ * 付録には本文用に圧縮する前の画像を載せる。imageQuality を渡すと、付録の表示サイズに合わせて別に圧縮する
+ *
+ * @param {Object} [layout] - config.imageLayout（付録の画像の幅に maxWidth を使う）
+ * @param {Object|null} [imageQuality] - 画像の圧縮の設定（lib/image-quality.js の resolveImageQuality の戻り値。--quality）
+ * @returns {{ add: (image: Object, problemId?: string) => Object, content: () => Promise<Array<Object>>, count: () => number }}
+ *   add: processImage の戻り値（圧縮前）を受け取り、キャプションとリンクを付けたもの（lib/image-layout.js の layoutImages に渡す）を返す /
+ *   content: 付録の pdfmake の要素（画像がなければ空の配列）/ count: 付録に載せる画像の数
+ */
+function createImageAppendix(layout, imageQuality = null) {
+  const maxWidth = (layout && layout.maxWidth) || IMAGE_LAYOUT_DEFAULTS.maxWidth;
+  const figures = [];
+
+  return {
+    add(image, problemId) {
+      // 読み込めなかった画像は付録に載せない
+      if (!image || !image.dataUrl) {
+        return image;
+      }
+      const number = figures.length + 1;
+      const destination = `qb-figure-${number}`;
+      figures.push({
+        image,
+        destination,
+        label: problemId ? `図 ${number}（問題ID ${problemId}）` : `図 ${number}`
+      });
+      return {
+        ...image,
+        destination,
+        caption: { text: `図 ${number}`, linkToDestination: destination, fontSize: 9, color: '#1a5fb4', alignment: 'center', margin: [0, 2, 0, 0] }
+      };
+    },
+    async content() {
+      if (figures.length === 0) {
+        return [];
+      }
+      const box = { width: maxWidth, height: APPENDIX_MAX_HEIGHT };
+      const content = [{ text: '付録：画像（拡大）', style: 'header' }];
+      for (const item of figures) {
+        const image = imageQuality ? await compressImage(item.image, imageQuality, box) : item.image;
+        content.push({
+          stack: [
+            { text: item.label, id: item.destination, bold: true, fontSize: 10.5, margin: [0, 0, 0, 5] },
+            { image: image.dataUrl, fit: [box.width, box.height], alignment: 'center' }
+          ],
+          margin: [0, 5, 0, 15],
+          unbreakable: true
+        });
+      }
+      return content;
+    },
+    count() {
+      return figures.length;
+    }
+  };
+}
+
+module.exports = {
+  APPENDIX_MAX_HEIGHT,
+  createImageAppendix
+};
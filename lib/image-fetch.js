@@ -0,0 +1,269 @@
+const fetch = require('node-fetch');
+const sizeOf = require('image-size');
+const { decodeDataUrl } = require('./sections.js');
+const { isImageRef, keepImage, loadStoredImage } = require('./image-store.js');
+const { NULL_THROTTLE } = require('./throttle.js');
+const { logVerbose } = require('./log.js');
+
+// 画像をどの方法で取り込んだか（画像ストアの index.json に記録する）
+const IMAGE_METHODS = {
+  DOWNLOAD: 'download',      // 元の画像ファイルをセッションの Cookie 付きでダウンロードした
+  SCREENSHOT: 'screenshot',  // ダウンロードできず、ページ上の画像要素のスクリーンショットを撮った
+  INLINE: 'inline'           // ページに data URL で埋め込まれていた
+};
+
+// PDF（pdfmake）に埋め込める画像の形式。これ以外（webp・avif・gif など）はスクリーンショット（PNG）で取り込む
+const PDF_IMAGE_TYPES = ['image/png', 'image/jpeg'];
+
+// 画像を取得するときのリクエストヘッダー（User-Agent・Referer は表示中のブラウザ・ページのものを付ける）
+const REQUEST_HEADERS = {
+  'Accept': PDF_IMAGE_TYPES.join(','),
+  'Accept-Language': 'ja,en-US;q=0.9,en;q=0.8',
+  'Cache-Control': 'no-cache',
+  'Pragma': 'no-cache'
+};
+
+// 画像のダウンロードを待つ上限の既定値（ms。config.waits.images がなければ使う）
+const DEFAULT_IMAGE_TIMEOUT = 10000;
+
+// スクリーンショットを撮る画像要素に付ける属性（画像の URL ではなく、この属性で要素を探し直す）
+const MARK_ATTRIBUTE = 'data-qb-image';
+
+/**
+ * PDF に埋め込める画像の形式（PNG・JPEG）かどうかを返す関数
+ * @param {string} mimeType
+ */
+function isPdfImageType(mimeType) {
+  return PDF_IMAGE_TYPES.includes(mimeType);
+}
+
+/**
+ * Puppeteer のページから Cookie 情報を取得し、
+ * "name1=value1; name2=value2; ..." の形式に整形する関数
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @returns {Promise<string>}
+ */
+async function getCookieHeader(page) {
+  const cookies = await page.cookies();
+  return cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+}
+
+/**
+ * 画像をダウンロードするときに、ブラウザからの表示と同じに見えるようにするリクエストの情報を返す関数
+ * @param {Page} page - 画像を表示している（またはログイン中の）ページ
+ * @returns {Promise<{ cookieHeader: string, referer: string, userAgent: string }>}
+ */
+async function getRequestContext(page) {
+  return {
+    cookieHeader: await getCookieHeader(page),
+    referer: page.url(),
+    userAgent: await page.browser().userAgent()
+  };
+}
+
+/**
+ * 画像の URL からファイルをダウンロードする関数
+ * セッション切れでログイン画面の HTML が返ってきた場合なども、画像でなければエラーにする
+ * PDF に埋め込めない形式（webp・avif・gif など）の画像もエラーにする（captureImages はスクリーンショットで取り込み直す）
+ * 応答が止まっても待ち続けないよう、timeout を過ぎるか signal が中断されたらエラーにする
+ * @param {string} url
+ * @param {{ cookieHeader?: string, referer?: string, userAgent?: string, timeout?: number, signal?: AbortSignal }} [options]
+ *   timeout: 応答の本文を読み終えるまでの上限（ms。0 なら上限なし）/ signal: 中断（lib/interrupt.js）
+ * @returns {Promise<{ buffer: Buffer, mimeType: string }>}
+ */
+async function downloadImage(url, { cookieHeader, referer, userAgent, timeout = DEFAULT_IMAGE_TIMEOUT, signal } = {}) {
+  const headers = { ...REQUEST_HEADERS };
+  if (userAgent) {
+    headers['User-Agent'] = userAgent;
+  }
+  if (referer) {
+    headers['Referer'] = referer;
+  }
+  if (cookieHeader) {
+    headers['Cookie'] = cookieHeader;
+  }
+
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const timer = timeout > 0 ? setTimeout(abort, timeout) : null;
+  if (signal) {
+    if (signal.aborted) abort();
+    else signal.addEventListener('abort', abort, { once: true });
+  }
+  try {
+    const response = await fetch(url, { headers, signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim();
+    if (!mimeType.startsWith('image/')) {
+      throw new Error(`画像ではありません（${mimeType || 'content-type なし'}）`);
+    }
+    if (!isPdfImageType(mimeType)) {
+      throw new Error(`PDF に埋め込めない画像の形式です（${mimeType}）`);
+    }
+    return { buffer: await response.buffer(), mimeType };
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw new Error(signal && signal.aborted ? '中断したため取得をやめました' : `${timeout}ms 以内に取得できませんでした`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * ページ内で、src・data-src の値が一致する画像要素を探して目印の属性を付け、元の画像の URL を返す関数（page.evaluate で実行する）
+ * srcset があれば最も大きい候補（幅 w・倍率 x が最大のもの）を、なければ data-src・data-original・src の順に選ぶ
+ * @returns {{ url: string, mark: string }|null}
+ */
+function findImageInPage(src, mark, markAttribute) {
+  const img = Array.from(document.images).find(el =>
+    el.getAttribute('src') === src || el.getAttribute('data-src') === src || el.getAttribute('data-original') === src
+  );
+  if (!img) return null;
+  img.setAttribute(markAttribute, mark);
+
+  let best = null;
+  const srcset = img.getAttribute('srcset') || img.getAttribute('data-srcset') || '';
+  for (const candidate of srcset.split(',')) {
+    const [candidateUrl, descriptor = '1x'] = candidate.trim().split(/\s+/);
+    if (!candidateUrl) continue;
+    const size = parseFloat(descriptor) || 1;
+    if (!best || size > best.size) {
+      best = { url: candidateUrl, size };
+    }
+  }
+  const url = best ? best.url : (img.getAttribute('data-src') || img.getAttribute('data-original') || img.getAttribute('src') || src);
+  return { url: new URL(url, document.baseURI).href, mark };
+}
+
+/**
+ * ページ上の画像を取り込み、画像ストアの参照（画像ストアがなければ data URL）の配列を返す関数
+ * 1. 元の画像ファイル（srcset の最大の候補・data-src・src）をセッションの Cookie 付きでダウンロードする
+ * 2. ダウンロードできなければ（waits.images を過ぎても取得できない・中断された・PDF に埋め込めない形式の場合も）、画像要素の読み込みを待ってスクリーンショットを撮る
+ *    data URL で埋め込まれた画像は、PNG・JPEG ならそのまま、それ以外の形式ならスクリーンショットで取り込む
+ * 3. どちらもできなければ、元の src のまま残す（実行レポートで「URL のまま」として数える）
+ * どの方法で取り込んだかは画像ストアの index.json に記録する（--verbose ではログにも表示する）
+ *
+ * @param {Page} page - 画像を表示しているページ
+ * @param {string[]} srcs - ページから取り出した画像の src（data-src）の値
+ * @param {Object} [options]
+ * @param {Object} [options.imageStore] - 画像の保存先（lib/image-store.js）
+ * @param {Object} [options.throttle] - アクセス間隔（lib/throttle.js）。ダウンロードの前に間隔を空ける
+ * @param {Object} [options.waits] - 待機の上限（config.waits。ダウンロード・スクリーンショットの前に画像の読み込みを待つ上限に images を使う）
+ * @param {AbortSignal} [options.signal] - 中断（lib/interrupt.js）。中断されたらダウンロードをやめてスクリーンショットで取り込む
+ * @param {string} [options.label] - ログ用の呼び名（例: "問題 3 の解説画像"）
+ * @returns {Promise<string[]>}
+ */
+async function captureImages(page, srcs, options = {}) {
+  const throttle = options.throttle || NULL_THROTTLE;
+  const label = options.label || '画像';
+  const imageWait = (options.waits && options.waits.images) || DEFAULT_IMAGE_TIMEOUT;
+  const captured = [];
+  let request = null;
+
+  for (let k = 0; k < srcs.length; k++) {
+    const src = srcs[k];
+    const decoded = decodeDataUrl(src);
+    if (decoded && isPdfImageType(decoded.mimeType)) {
+      captured.push(keepImage(options.imageStore, decoded.buffer, decoded.mimeType, { method: IMAGE_METHODS.INLINE }));
+      continue;
+    }
+
+    const found = await page.evaluate(findImageInPage, src, `${Date.now()}-${k}`, MARK_ATTRIBUTE);
+    const url = decoded ? null : (found ? found.url : new URL(src, page.url()).href);
+    try {
+      if (decoded) {
+        throw new Error(`PDF に埋め込めない画像の形式です（${decoded.mimeType}）`);
+      }
+      if (request === null) {
+        request = await getRequestContext(page);
+      }
+      await throttle.beforeImage();
+      const { buffer, mimeType } = await downloadImage(url, { ...request, timeout: imageWait, signal: options.signal });
+      captured.push(keepImage(options.imageStore, buffer, mimeType, { method: IMAGE_METHODS.DOWNLOAD, url }));
+      logVerbose(`${label} ${k + 1}: ダウンロードしました（${url}）`);
+      continue;
+    } catch (err) {
+      console.warn(`${label} ${k + 1} をダウンロードできなかったため、スクリーンショットで取り込みます（${url || 'data URL'}）:`, err.message || err);
+    }
+
+    try {
+      if (!found) {
+        throw new Error('ページ上に画像要素が見つかりません');
+      }
+      const selector = `img[${MARK_ATTRIBUTE}="${found.mark}"]`;
+      // 画像要素が読み込み終わる（complete かつ naturalWidth > 0）まで待つ（超えても撮る）
+      await page.waitForFunction(sel => {
+        const img = document.querySelector(sel);
+        return img && img.complete && img.naturalWidth > 0;
+      }, { timeout: imageWait }, selector).catch(() => {});
+      const imageElement = await page.$(selector);
+      captured.push(keepImage(options.imageStore, await imageElement.screenshot(), 'image/png', { method: IMAGE_METHODS.SCREENSHOT, url }));
+      logVerbose(`${label} ${k + 1}: スクリーンショットで取り込みました`);
+    } catch (err) {
+      console.error(`${label} ${k + 1} を取り込めませんでした（元の URL のまま残します）:`, src, err.message || err);
+      captured.push(src);
+    }
+  }
+  return captured;
+}
+
+/**
+ * PDF の生成時に、画像ソース（画像ストアの参照・data URL・URL）から { dataUrl, dimensions } を作る関数（各スクリプトの processImage の本体）
+ * 画像ストアの参照は記録済みのサイズを使い、URL（取り込めずに残った画像）は Cookie 付きでダウンロードする
+ * PDF に埋め込めない形式（PNG・JPEG 以外）の画像は、読み込めなかった画像（dataUrl: null）として返す
+ * @param {string} src
+ * @param {Object} [options]
+ * @param {Object} [options.imageStore] - 画像ストア（lib/image-store.js）
+ * @param {string} [options.cookieHeader] - URL の画像を取得するときの Cookie
+ * @param {string} [options.referer] - URL の画像を取得するときの Referer（getRequestContext で取得したもの）
+ * @param {string} [options.userAgent] - URL の画像を取得するときの User-Agent（getRequestContext で取得したもの）
+ * @param {number} [options.imageTimeout] - URL の画像の取得を待つ上限（ms。config.waits.images）
+ * @param {Object} [options.throttle] - アクセス間隔（lib/throttle.js）。URL から取得する前に間隔を空ける
+ * @returns {Promise<{ dataUrl: string|null, dimensions: { width: number, height: number }|null }>}
+ */
+async function loadImage(src, options = {}) {
+  if (isImageRef(src)) {
+    return loadStoredImage(options.imageStore, src);
+  }
+  const decoded = decodeDataUrl(src);
+  if (decoded) {
+    // pdfmake は PNG・JPEG 以外を埋め込めず、PDF 全体の生成に失敗するため、読み込めなかった画像として扱う
+    if (!isPdfImageType(decoded.mimeType)) {
+      console.error(`processImage(data URL) error: PDF に埋め込めない画像の形式です（${decoded.mimeType}）`);
+      return { dataUrl: null, dimensions: null };
+    }
+    try {
+      return { dataUrl: src, dimensions: sizeOf(decoded.buffer) };
+    } catch (error) {
+      console.error("processImage(data URL) error:", error);
+      return { dataUrl: src, dimensions: null };
+    }
+  }
+  try {
+    await (options.throttle || NULL_THROTTLE).beforeImage();
+    const { buffer, mimeType } = await downloadImage(src, {
+      cookieHeader: options.cookieHeader,
+      referer: options.referer,
+      userAgent: options.userAgent,
+      timeout: options.imageTimeout
+    });
+    return { dataUrl: `data:${mimeType};base64,${buffer.toString('base64')}`, dimensions: sizeOf(buffer) };
+  } catch (error) {
+    console.error(`processImage(URL) error: ${src}:`, error.message || error);
+    return { dataUrl: null, dimensions: null };
+  }
+}
+
+module.exports = {
+  IMAGE_METHODS,
+  getCookieHeader,
+  getRequestContext,
+  downloadImage,
+  captureImages,
+  loadImage
+};
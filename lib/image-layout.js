@@ -0,0 +1,187 @@
+// PDF に画像を並べるときの既定値（pt。A4 の用紙は 595.28 x 841.89、左右の余白 40 ずつ）
+const IMAGE_LAYOUT_DEFAULTS = {
+  maxWidth: 515.28,   // 画像を並べる横幅の上限（A4 の左右の余白を除いた横幅）。横長の画像1枚ならこの幅いっぱいに表示する
+  maxHeight: 320,     // 1段の高さの上限。縦長の画像はこの高さに収まるよう縮小する
+  maxColumns: 3,      // 1段に並べる画像の枚数の上限
+  gap: 8              // 横に並べた画像の間隔
+};
+
+// 画像のサイズがわからない場合（読み込めなかった画像など）に仮定する縦横比（幅 / 高さ）
+const FALLBACK_ASPECT = 4 / 3;
+
+/**
+ * config.imageLayout に既定値を補い、数値に変換して検証する関数
+ * @param {Object} [settings] - config.imageLayout（IMAGE_LAYOUT_DEFAULTS と同じキー）
+ * @returns {{ maxWidth: number, maxHeight: number, maxColumns: number, gap: number }}
+ */
+function resolveImageLayout(settings) {
+  const layout = {};
+  for (const [key, value] of Object.entries({ ...IMAGE_LAYOUT_DEFAULTS, ...(settings || {}) })) {
+    const number = Number(value);
+    if (key === 'maxColumns') {
+      if (!Number.isInteger(number) || number < 1) {
+        throw new Error('imageLayout.maxColumns には1以上の整数を指定してください');
+      }
+    } else if (key === 'gap') {
+      if (!Number.isFinite(number) || number < 0) {
+        throw new Error('imageLayout.gap には0以上の数値（pt）を指定してください');
+      }
+    } else if (!Number.isFinite(number) || number <= 0) {
+      throw new Error(`imageLayout.${key} には0より大きい数値（pt）を指定してください`);
+    }
+    layout[key] = number;
+  }
+  return layout;
+}
+
+/**
+ * 画像の縦横比（幅 / 高さ）を返す関数
+ */
+function aspectOf(image) {
+  const dimensions = image && image.dimensions;
+  return dimensions && dimensions.width > 0 && dimensions.height > 0
+    ? dimensions.width / dimensions.height
+    : FALLBACK_ASPECT;
+}
+
+/**
+ * 画像を段に分ける関数（先頭から順に、段の高さが maxHeight 以下になるまで横に並べる）
+ * 同じ段の画像は高さをそろえて横幅いっぱいに並べるので、横長の画像は少ない枚数で、縦長の画像は多い枚数で1段になる
+ * @param {number[]} aspects - 各画像の縦横比
+ * @param {Object} layout - resolveImageLayout の戻り値
+ * @returns {number[][]} - 各段の画像の添字
+ */
+function splitRows(aspects, layout) {
+  const rows = [];
+  let row = [];
+  let aspectSum = 0;
+  aspects.forEach((aspect, i) => {
+    row.push(i);
+    aspectSum += aspect;
+    const height = (layout.maxWidth - layout.gap * (row.length - 1)) / aspectSum;
+    if (height <= layout.maxHeight || row.length >= layout.maxColumns) {
+      rows.push(row);
+      row = [];
+      aspectSum = 0;
+    }
+  });
+  if (row.length > 0) {
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * 1枚分の図（画像と、あればその下のキャプション）を作る関数
+ * @param {Object} image - processImage の戻り値（{ dataUrl, dimensions }）に、任意で caption（pdfmake の要素）・destination（画像のリンク先の id）を加えたもの
+ * @param {number} width - 表示する幅
+ * @param {number} height - 表示する高さの上限
+ * @param {string} errorText - 画像を読み込めなかったときに表示する文言
+ */
+function figure(image, width, height, errorText) {
+  const stack = image && image.dataUrl
+    ? [{ image: image.dataUrl, fit: [width, height], alignment: 'center', ...(image.destination ? { linkToDestination: image.destination } : {}) }]
+    : [{ text: errorText, style: 'error' }];
+  if (image && image.caption) {
+    stack.push(image.caption);
+  }
+  return { stack, width };
+}
+
+/**
+ * 画像の枚数と縦横比から、段ごとの画像と、各画像を表示する大きさを決める関数（layoutImages の並べ方）
+ * @param {Array<Object>} images - processImage の戻り値（{ dataUrl, dimensions }）の配列
+ * @param {Object} layout - resolveImageLayout の戻り値
+ * @returns {Array<{ indexes: number[], height: number, widths: number[] }>} - 各段の画像の添字・段の高さ・各画像の幅（pt）
+ */
+function planRows(images, layout) {
+  const aspects = images.map(aspectOf);
+  const rowIndexes = splitRows(aspects, layout);
+  let previousHeight = layout.maxHeight;
+  return rowIndexes.map((indexes, r) => {
+    const aspectSum = indexes.reduce((sum, i) => sum + aspects[i], 0);
+    let height = Math.min(layout.maxHeight, (layout.maxWidth - layout.gap * (indexes.length - 1)) / aspectSum);
+    // 最後の段が余りの数枚だけの場合に、前の段より大きく表示しない
+    if (r > 0 && r === rowIndexes.length - 1) {
+      height = Math.min(height, previousHeight);
+    }
+    previousHeight = height;
+    const widths = indexes.map(i => {
+      const naturalWidth = images[i] && images[i].dimensions && images[i].dimensions.width;
+      // 小数の誤差で横幅を超えないよう切り捨てる
+      return Math.floor(Math.min(aspects[i] * height, naturalWidth || Infinity) * 100) / 100;
+    });
+    return { indexes, height, widths };
+  });
+}
+
+/**
+ * layoutImages で並べたときに、各画像を収める枠の大きさ（pt）を返す関数
+ * 画像の圧縮（lib/image-quality.js）で、PDF 上の表示サイズに合わせて縮小するために使う
+ * @param {Array<Object>} images - layoutImages に渡すのと同じ配列
+ * @param {Object} [settings] - config.imageLayout（IMAGE_LAYOUT_DEFAULTS と同じキー）
+ * @returns {Array<{ width: number, height: number }>} - images と同じ順
+ */
+function planImages(images, settings) {
+  const boxes = new Array(images.length);
+  for (const row of planRows(images, resolveImageLayout(settings))) {
+    row.indexes.forEach((i, k) => {
+      boxes[i] = { width: row.widths[k], height: row.height };
+    });
+  }
+  return boxes;
+}
+
+/**
+ * 画像の枚数と縦横比から、段ごとの枚数と大きさを決めて PDF（pdfmake）の要素を作る関数
+ * - 同じ段の画像は高さをそろえ、横幅いっぱいに並べる（段の高さは layout.maxHeight まで。超える場合は縮小して中央に寄せる）
+ * - 最後の段（余りの画像）は前の段の高さを超えない
+ * - 横長の画像1枚なら横幅いっぱいに、縦長の画像は複数枚を1段に並べる
+ * - 元の画像より大きくは表示しない（元の画像の幅を超えない）
+ * - 1段（画像とそのキャプション）はページをまたいで分割しない。options.caption は最後の段と同じページに置く
+ *
+ * @param {Array<Object>} images - processImage の戻り値（{ dataUrl, dimensions }）の配列。各要素に caption（pdfmake の要素）を付けると画像の下に表示し、
+ *   destination（pdfmake の id）を付けると画像からそこへリンクする（lib/image-appendix.js）
+ * @param {Object} [options]
+ * @param {Object} [options.layout] - config.imageLayout（IMAGE_LAYOUT_DEFAULTS と同じキー）
+ * @param {string} [options.errorText] - 画像を読み込めなかったときに表示する文言（例: "解説画像読み込みエラー"）
+ * @param {Object} [options.caption] - 画像全体のキャプション（pdfmake の要素。例: 4連問の画像診断の説明）
+ * @returns {Object|null} - pdfmake の要素（画像もキャプションもなければ null）
+ */
+function layoutImages(images, options = {}) {
+  const layout = resolveImageLayout(options.layout);
+  const errorText = options.errorText || '画像読み込みエラー';
+
+  const rows = planRows(images, layout).map(({ indexes, height, widths }) => {
+    const figures = indexes.map((i, k) => figure(images[i], widths[k], height, errorText));
+    // 画像の間に gap 幅の空の列を挟み、両端の空の列（余った幅）で段を中央に寄せる
+    const columns = [{ text: '', width: '*' }];
+    figures.forEach((item, k) => {
+      if (k > 0) columns.push({ text: '', width: layout.gap });
+      columns.push(item);
+    });
+    columns.push({ text: '', width: '*' });
+    return { columns, columnGap: 0, margin: [0, 5, 0, 5], unbreakable: true };
+  });
+
+  if (options.caption) {
+    if (rows.length === 0) {
+      return options.caption;
+    }
+    const last = rows.pop();
+    delete last.unbreakable;
+    rows.push({ stack: [last, options.caption], unbreakable: true });
+  }
+  if (rows.length === 0) {
+    return null;
+  }
+  return rows.length === 1 ? rows[0] : { stack: rows };
+}
+
+module.exports = {
+  IMAGE_LAYOUT_DEFAULTS,
+  resolveImageLayout,
+  splitRows,
+  planImages,
+  layoutImages
+};
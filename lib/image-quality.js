@@ -0,0 +1,183 @@
+const { decodeDataUrl } = require('./sections.js');
+const { planImages } = require('./image-layout.js');
+const { logVerbose } = require('./log.js');
+
+// PDF の画質のプリセット（dpi: PDF 上の表示サイズに対する解像度 / jpegQuality: 写真を JPEG にするときの画質 1〜100）
+const QUALITY_PRESETS = {
+  print: { dpi: 300, jpegQuality: 90, grayscale: false },   // 印刷用（ほぼ劣化なし）
+  tablet: { dpi: 150, jpegQuality: 80, grayscale: false },  // タブレットで読む用
+  small: { dpi: 96, jpegQuality: 60, grayscale: false }     // 共有用（できるだけ小さく）
+};
+
+// --quality を付けずに jpegQuality・grayscale などだけを指定した場合に使うプリセット
+const DEFAULT_PRESET = 'print';
+
+// 写真とみなす、標本の画素の色の種類数（これより少なければ図・文字とみなし、JPEG にせず PNG のままにする）
+const PHOTO_MIN_COLORS = 1024;
+// 白黒の画像（CT・X線など）を写真とみなす、標本の画素の濃淡の種類数（白黒は256段階までしかないため別に判定する）
+const PHOTO_MIN_GRAY_LEVELS = 200;
+// 色の種類を数えるために調べる画素の数の上限
+const COLOR_SAMPLES = 10000;
+
+const POINTS_PER_INCH = 72;
+
+/**
+ * config.quality（プリセット名）と config.imageQuality（プリセットへの上書き）から、画像の圧縮の設定を作る関数
+ * どちらも指定されていなければ null（圧縮しない）
+ * 圧縮には jimp 0.x（npm install jimp@0）を使う。jimp 1.x は API が異なるため使えない
+ *
+ * @param {Object} config - loadConfig の戻り値（quality・imageQuality を使う）
+ * @returns {{ preset: string, dpi: number, jpegQuality: number, grayscale: boolean }|null}
+ */
+function resolveImageQuality(config) {
+  const overrides = {};
+  for (const [key, value] of Object.entries(config.imageQuality || {})) {
+    if (value !== undefined && value !== null && value !== '') {
+      overrides[key] = value;
+    }
+  }
+  const preset = config.quality ? String(config.quality).trim().toLowerCase() : '';
+  if (!preset && Object.keys(overrides).length === 0) {
+    return null;
+  }
+  if (preset && !QUALITY_PRESETS[preset]) {
+    throw new Error(`--quality（quality）には ${Object.keys(QUALITY_PRESETS).join(' / ')} のいずれかを指定してください`);
+  }
+
+  let Jimp;
+  try {
+    Jimp = require('jimp');
+  } catch (err) {
+    throw new Error('画像の圧縮（--quality）には jimp 0.x が必要です（npm install jimp@0）');
+  }
+  if (typeof Jimp.read !== 'function') {
+    // jimp 1.x は { Jimp } を export し、API も異なる
+    throw new Error('画像の圧縮（--quality）には jimp 0.x が必要です。jimp 1.x 以降には対応していません（npm install jimp@0）');
+  }
+
+  const settings = { ...QUALITY_PRESETS[preset || DEFAULT_PRESET], ...overrides };
+  const dpi = Number(settings.dpi);
+  if (!Number.isFinite(dpi) || dpi <= 0) {
+    throw new Error('imageQuality.dpi には0より大きい数値を指定してください');
+  }
+  const jpegQuality = Number(settings.jpegQuality);
+  if (!Number.isInteger(jpegQuality) || jpegQuality < 1 || jpegQuality > 100) {
+    throw new Error('--jpeg-quality（imageQuality.jpegQuality）には1〜100の整数を指定してください');
+  }
+  const grayscale = typeof settings.grayscale === 'boolean'
+    ? settings.grayscale
+    : !['false', '0', 'no', 'off'].includes(String(settings.grayscale).trim().toLowerCase());
+
+  return {
+    preset: preset || DEFAULT_PRESET,
+    dpi,
+    jpegQuality,
+    grayscale
+  };
+}
+
+/**
+ * 写真（色・濃淡の種類が多く、透明な部分がない画像）かどうかを返す関数
+ * 図・表・文字の画像は JPEG にすると文字の周りがにじむため、PNG のままにする
+ * @param {Object} bitmap - Jimp の bitmap（{ width, height, data: RGBA の Buffer }）
+ */
+function isPhoto(bitmap) {
+  const pixels = bitmap.width * bitmap.height;
+  const step = Math.max(1, Math.floor(pixels / COLOR_SAMPLES));
+  const colors = new Set();
+  let gray = true;
+  for (let p = 0; p < pixels; p += step) {
+    const offset = p * 4;
+    if (bitmap.data[offset + 3] < 255) {
+      return false;
+    }
+    const [r, g, b] = [bitmap.data[offset], bitmap.data[offset + 1], bitmap.data[offset + 2]];
+    gray = gray && r === g && g === b;
+    colors.add((r << 16) | (g << 8) | b);
+  }
+  return colors.size >= (gray ? PHOTO_MIN_GRAY_LEVELS : PHOTO_MIN_COLORS);
+}
+
+/**
+ * バイト数を「120KB」「1.5MB」の形にする関数（ログ用）
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+  return `${Math.round(bytes / 1024)}KB`;
+}
+
+/**
+ * PDF に埋め込む前に画像を圧縮する関数
+ * 1. PDF 上の表示サイズ（box.width x box.height pt の枠に収めた大きさ）を settings.dpi で表示できる画素数まで縮小する（拡大はしない）
+ * 2. settings.grayscale ならグレースケールにする
+ * 3. 写真は settings.jpegQuality の JPEG に、それ以外（図・文字・透明な部分がある画像）は PNG にする
+ * 縮小もグレースケールもせず、圧縮しても小さくならなければ元の画像のまま返す。圧縮に失敗した場合も元の画像のまま返す
+ * dimensions は元の画像のものを返す（PDF 上の表示サイズは圧縮の有無で変えない）
+ *
+ * @param {{ dataUrl: string|null, dimensions: Object|null }} image - processImage の戻り値（caption などほかのキーはそのまま残す）
+ * @param {Object} settings - resolveImageQuality の戻り値
+ * @param {{ width: number, height: number }} box - PDF 上で画像を収める枠（pt）
+ * @returns {Promise<Object>} - dataUrl だけを圧縮したものに置き換えた image
+ */
+async function compressImage(image, settings, box) {
+  const decoded = image && image.dataUrl ? decodeDataUrl(image.dataUrl) : null;
+  if (!decoded) {
+    return image;
+  }
+  try {
+    const Jimp = require('jimp');
+    const picture = await Jimp.read(decoded.buffer);
+    const { width, height } = picture.bitmap;
+    const maxPixelWidth = Math.max(1, Math.round(box.width / POINTS_PER_INCH * settings.dpi));
+    const maxPixelHeight = Math.max(1, Math.round(box.height / POINTS_PER_INCH * settings.dpi));
+    const scale = Math.min(1, maxPixelWidth / width, maxPixelHeight / height);
+    if (scale < 1) {
+      picture.resize(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+    }
+    // グレースケールにすると色の種類が減るので、写真かどうかはその前に判定する
+    const toJpeg = decoded.mimeType === Jimp.MIME_JPEG || isPhoto(picture.bitmap);
+    if (settings.grayscale) {
+      picture.greyscale();
+    }
+    const mimeType = toJpeg ? Jimp.MIME_JPEG : Jimp.MIME_PNG;
+    if (toJpeg) {
+      picture.quality(settings.jpegQuality);
+    }
+    const buffer = await picture.getBufferAsync(mimeType);
+    if (scale === 1 && !settings.grayscale && buffer.length >= decoded.buffer.length) {
+      return image;
+    }
+    logVerbose(`画像を圧縮しました: ${width}x${height} ${formatBytes(decoded.buffer.length)} → ${picture.bitmap.width}x${picture.bitmap.height} ${formatBytes(buffer.length)}（${mimeType}）`);
+    return { ...image, dataUrl: `data:${mimeType};base64,${buffer.toString('base64')}` };
+  } catch (err) {
+    console.warn('画像を圧縮できなかったため、元の画像のまま埋め込みます:', err.message || err);
+    return image;
+  }
+}
+
+/**
+ * lib/image-layout.js の layoutImages で並べる画像を、それぞれの PDF 上の表示サイズに合わせて圧縮する関数（各スクリプトの pushImages などから呼ぶ）
+ * 3枚並べた段の画像は横幅の約1/3で表示されるので、その大きさまで縮小する
+ * @param {Array<Object>} images - layoutImages に渡す配列（processImage の戻り値）
+ * @param {Object|null} settings - resolveImageQuality の戻り値（null なら圧縮せずにそのまま返す）
+ * @param {Object} [layout] - layoutImages に渡す config.imageLayout
+ * @returns {Promise<Array<Object>>} - images と同じ順
+ */
+async function compressForLayout(images, settings, layout) {
+  if (!settings) {
+    return images;
+  }
+  const boxes = planImages(images, layout);
+  const compressed = [];
+  for (let i = 0; i < images.length; i++) {
+    compressed.push(await compressImage(images[i], settings, boxes[i]));
+  }
+  return compressed;
+}
+
+module.exports = {
+  QUALITY_PRESETS,
+  resolveImageQuality,
+  compressImage,
+  compressForLayout
+};
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sizeOf = require('image-size');
+const { IMAGE_EXTENSIONS, decodeDataUrl } = require('./sections.js');
+
+// スクレイピング結果の中で、画像ストアの画像を指す参照の接頭辞（"sha256:<ハッシュ>"）
+const IMAGE_REF_PREFIX = 'sha256:';
+// 画像ごとの MIME タイプ・サイズを記録するファイル
+const INDEX_FILE_NAME = 'index.json';
+// 索引の形式のバージョン（形式を変えたら上げる）
+const INDEX_VERSION = 1;
+
+/**
+ * 画像ストアの参照（"sha256:<ハッシュ>"）かどうかを返す関数
+ */
+function isImageRef(src) {
+  return typeof src === 'string' && src.startsWith(IMAGE_REF_PREFIX);
+}
+
+/**
+ * 画像の中身のハッシュをファイル名にして、同じ画像を1回だけディスクに保存する画像ストアを作る関数
+ * スクレイピング結果（results・チェックポイント・ダンプ）には画像そのものではなく参照（"sha256:<ハッシュ>"）を入れ、
+ * PDF の生成時に get() で読み込む。画像ごとの MIME タイプ・サイズは index.json に記録するので、読み込み時にデコードし直さない
+ * index.json は put のたびには書かず、save() でまとめて書く（ダンプの保存時。lib/dump.js の saveDump）
+ * save() の前に終了した場合も、開き直したときに索引にない画像ファイルを索引に加えるので、チェックポイントの参照は使える
+ *
+ * @param {string} dirPath - 画像を保存するディレクトリ（ダンプディレクトリの images/）
+ * @returns {{ dirPath: string, put: (buffer: Buffer, mimeType: string, source?: Object) => string, putDataUrl: (src: string) => string,
+ *   has: (ref: string) => boolean, info: (ref: string) => Object|null, get: (ref: string) => Object|null, toDataUrl: (ref: string) => string|null,
+ *   save: () => void }}
+ */
+function createImageStore(dirPath) {
+  const indexPath = path.join(dirPath, INDEX_FILE_NAME);
+  let images = {};
+  if (fs.existsSync(indexPath)) {
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    if (index.version !== INDEX_VERSION) {
+      throw new Error(`未対応の画像ストアの形式です（version: ${index.version}, 対応: ${INDEX_VERSION}）: ${indexPath}`);
+    }
+    images = index.images || {};
+  }
+
+  // 索引に書いていない画像があるか（save() で書く）
+  let unsaved = false;
+  const describe = (buffer, fileName, mimeType, source = {}) => {
+    let dimensions = null;
+    try {
+      const { width, height } = sizeOf(buffer);
+      dimensions = { width, height };
+    } catch (err) {
+      console.warn(`画像のサイズを取得できませんでした（${mimeType}）:`, err.message || err);
+    }
+    return {
+      file: fileName,
+      mimeType,
+      bytes: buffer.length,
+      ...(dimensions || { width: null, height: null }),
+      method: source.method || null,
+      url: source.url || null
+    };
+  };
+
+  // 前回 save() の前に終了した場合に、索引にない画像ファイルを加える（取り込んだ方法・元の URL はわからない）
+  if (fs.existsSync(dirPath)) {
+    for (const fileName of fs.readdirSync(dirPath)) {
+      const match = fileName.match(/^([0-9a-f]{64})\.(\w+)$/);
+      if (!match || images[match[1]]) continue;
+      const mimeType = Object.keys(IMAGE_EXTENSIONS).find(type => IMAGE_EXTENSIONS[type] === match[2]) || 'application/octet-stream';
+      images[match[1]] = describe(fs.readFileSync(path.join(dirPath, fileName)), fileName, mimeType);
+      unsaved = true;
+    }
+  }
+
+  const hashOf = (ref) => (isImageRef(ref) ? ref.slice(IMAGE_REF_PREFIX.length) : null);
+
+  const store = {
+    dirPath,
+    /**
+     * 画像を保存して参照を返す（同じ画像が保存済みなら書き込まない）
+     * @param {Buffer} buffer
+     * @param {string} mimeType - 例: "image/png"
+     * @param {{ method?: string, url?: string }} [source] - 取り込んだ方法（lib/image-fetch.js の IMAGE_METHODS）と元の URL
+     */
+    put(buffer, mimeType, source = {}) {
+      const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+      if (!images[hash]) {
+        const fileName = `${hash}.${IMAGE_EXTENSIONS[mimeType] || 'bin'}`;
+        fs.mkdirSync(dirPath, { recursive: true });
+        fs.writeFileSync(path.join(dirPath, fileName), buffer);
+        images[hash] = describe(buffer, fileName, mimeType, source);
+        unsaved = true;
+      }
+      return `${IMAGE_REF_PREFIX}${hash}`;
+    },
+    /**
+     * data URL の画像を保存して参照を返す（data URL 以外はそのまま返す）
+     */
+    putDataUrl(src) {
+      const decoded = decodeDataUrl(src);
+      return decoded ? store.put(decoded.buffer, decoded.mimeType) : src;
+    },
+    has(ref) {
+      const hash = hashOf(ref);
+      return Boolean(hash && images[hash]);
+    },
+    /**
+     * 保存済みの画像の情報を返す（ファイルは読み込まない）
+     * @returns {{ file: string, mimeType: string, bytes: number, width: number|null, height: number|null, method: string|null, url: string|null }|null}
+     */
+    info(ref) {
+      const hash = hashOf(ref);
+      return hash && images[hash] ? { ...images[hash] } : null;
+    },
+    /**
+     * 保存済みの画像を読み込む（見つからなければ null）
+     * @returns {{ buffer: Buffer, mimeType: string, dimensions: { width: number, height: number }|null }|null}
+     */
+    get(ref) {
+      const entry = store.info(ref);
+      if (!entry) return null;
+      const filePath = path.join(dirPath, entry.file);
+      if (!fs.existsSync(filePath)) {
+        console.warn(`画像ストアのファイルが見つかりません: ${filePath}`);
+        return null;
+      }
+      const dimensions = entry.width && entry.height ? { width: entry.width, height: entry.height } : null;
+      return { buffer: fs.readFileSync(filePath), mimeType: entry.mimeType, dimensions };
+    },
+    /**
+     * 保存済みの画像を data URL にして返す（pdfmake・エクスポート用。見つからなければ null）
+     */
+    toDataUrl(ref) {
+      const image = store.get(ref);
+      return image ? `data:${image.mimeType};base64,${image.buffer.toString('base64')}` : null;
+    },
+    /**
+     * put で加えた画像を index.json にまとめて書く（加えた画像がなければ書かない）
+     */
+    save() {
+      if (!unsaved) return;
+      fs.mkdirSync(dirPath, { recursive: true });
+      fs.writeFileSync(indexPath, JSON.stringify({ version: INDEX_VERSION, images }, null, 2));
+      unsaved = false;
+    }
+  };
+  return store;
+}
+
+/**
+ * スクレイピングで取得した画像を、画像ストアがあれば保存して参照を、なければ data URL を返す関数
+ * （スクレイパーを単体で使う場合は画像ストアなしで、従来どおり results に data URL を入れる）
+ * @param {Object} [imageStore] - createImageStore の戻り値
+ * @param {Buffer|Uint8Array} data - 画像のバイナリ
+ * @param {string} mimeType
+ * @param {{ method?: string, url?: string }} [source] - 取り込んだ方法と元の URL（画像ストアの index.json に記録する）
+ */
+function keepImage(imageStore, data, mimeType, source) {
+  const buffer = Buffer.from(data);
+  if (imageStore) {
+    return imageStore.put(buffer, mimeType, source);
+  }
+  return `data:${mimeType};base64,${buffer.toString('base64')}`;
+}
+
+/**
+ * PDF の生成時に、画像ストアの参照から { dataUrl, dimensions } を作る関数（各スクリプトの processImage と同じ戻り値）
+ * サイズは保存時に記録したものを使い、画像をデコードし直さない。見つからなければ dataUrl は null
+ * @param {Object} [imageStore] - createImageStore の戻り値
+ * @param {string} ref - "sha256:<ハッシュ>"
+ * @returns {{ dataUrl: string|null, dimensions: { width: number, height: number }|null }}
+ */
+function loadStoredImage(imageStore, ref) {
+  const image = imageStore ? imageStore.get(ref) : null;
+  if (!image) {
+    console.error(`processImage: 画像ストアに画像が見つかりません: ${ref}`);
+    return { dataUrl: null, dimensions: null };
+  }
+  return { dataUrl: `data:${image.mimeType};base64,${image.buffer.toString('base64')}`, dimensions: image.dimensions };
+}
+
+module.exports = {
+  IMAGE_REF_PREFIX,
+  isImageRef,
+  createImageStore,
+  keepImage,
+  loadStoredImage
+};
@@ -0,0 +1,58 @@
+// シグナルで中断したときの終了コード（128 + シグナル番号）
+const EXIT_CODES = {
+  SIGINT: 130,
+  SIGTERM: 143
+};
+
+/**
+ * Ctrl-C（SIGINT）・SIGTERM・捕捉されなかった例外で、スクレイピングを途中で止める仕組みを作る関数
+ * 1回目は signal を中断済みにするだけで、スクレイパーは今の問題が終わりしだいループを抜け、取得済みの分を保存する
+ * もう一度シグナルを受け取った場合はすぐに終了する（取得済みの問題はチェックポイントに残るので --resume で再開できる）
+ * Puppeteer の既定のシグナル処理（ブラウザを閉じてすぐに終了する）は launch の handleSIGINT / handleSIGTERM: false で止めておくこと
+ * @returns {{ signal: AbortSignal, dispose: () => void }} - dispose でシグナルの受け取りをやめる
+ */
+function handleInterrupts() {
+  const controller = new AbortController();
+
+  const onSignal = (name) => {
+    if (controller.signal.aborted) {
+      console.warn(`\n${name} を再び受け取ったため、すぐに終了します（取得済みの問題は --resume で再開できます）。`);
+      process.exit(EXIT_CODES[name]);
+    }
+    console.warn(`\n${name} を受け取りました。今の問題が終わりしだい中断し、取得済みの分を保存します（もう一度押すとすぐに終了します）。`);
+    process.exitCode = EXIT_CODES[name];
+    controller.abort(new Error(`${name} で中断しました`));
+  };
+  const onSigint = () => onSignal('SIGINT');
+  const onSigterm = () => onSignal('SIGTERM');
+  const onUncaughtException = (err) => {
+    console.error('エラー: 捕捉されなかった例外のため中断します:', err);
+    process.exitCode = 1;
+    controller.abort(err);
+  };
+
+  process.on('SIGINT', onSigint);
+  process.on('SIGTERM', onSigterm);
+  process.on('uncaughtException', onUncaughtException);
+  return {
+    signal: controller.signal,
+    dispose() {
+      process.off('SIGINT', onSigint);
+      process.off('SIGTERM', onSigterm);
+      process.off('uncaughtException', onUncaughtException);
+    }
+  };
+}
+
+/**
+ * 中断済みかどうかを返す関数（signal を渡されていなければ false）
+ * @param {AbortSignal} [signal]
+ */
+function isAborted(signal) {
+  return Boolean(signal && signal.aborted);
+}
+
+module.exports = {
+  handleInterrupts,
+  isAborted
+};
@@ -0,0 +1,48 @@
+// 詳細ログ（--verbose）を表示するかどうか
+let verboseEnabled = false;
+
+// 詳細ログで data URL を省略するときに残す先頭の文字数
+const DATA_URL_PREVIEW_LENGTH = 30;
+
+/**
+ * 詳細ログの表示を切り替える関数（qb-scrape の --verbose）
+ * @param {boolean} enabled
+ */
+function setVerbose(enabled) {
+  verboseEnabled = Boolean(enabled);
+}
+
+function isVerbose() {
+  return verboseEnabled;
+}
+
+/**
+ * --verbose 指定時だけ表示するログ（各問題の開始・所要時間・取得したデータなど）
+ */
+function logVerbose(...args) {
+  if (verboseEnabled) {
+    console.log(...args);
+  }
+}
+
+/**
+ * 取得したデータをログ用の文字列にする関数
+ * Base64 の画像（data URL）は先頭とサイズだけに省略する
+ * @param {*} value - combinedData など
+ * @returns {string}
+ */
+function formatForLog(value) {
+  return JSON.stringify(value, (key, v) => {
+    if (typeof v === 'string' && v.startsWith('data:') && v.length > DATA_URL_PREVIEW_LENGTH) {
+      return `${v.slice(0, DATA_URL_PREVIEW_LENGTH)}…（${(v.length / 1024).toFixed(1)} KB）`;
+    }
+    return v;
+  }, 2);
+}
+
+module.exports = {
+  setVerbose,
+  isVerbose,
+  logVerbose,
+  formatForLog
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const { explanationSections, decodeDataUrl, IMAGE_EXTENSIONS } = require('./sections.js');
+
+const ASSET_DIR_NAME = 'assets';
+
+// この見出し以降はユーザーの書き込み欄として扱い、再エクスポートしても上書きしない
+const MEMO_HEADING = '## メモ';
+
+/**
+ * front-matter の値を YAML として安全な文字列にする関数
+ */
+function yamlValue(value) {
+  return JSON.stringify(value === undefined || value === null ? '' : String(value));
+}
+
+/**
+ * ファイル名に使えない文字を置き換える関数
+ */
+function safeFileName(name) {
+  return String(name).replace(/[\\/:*?"<>|#^[\]]/g, '_').trim();
+}
+
+/**
+ * 画像を assets/ に保存し、Markdown の画像リンクの配列を返す関数
+ * data URL でない画像（取得できなかった画像の URL）はそのまま外部リンクにする
+ */
+function writeImages(images, vaultDir, baseName) {
+  return (images || []).map((src, k) => {
+    const decoded = decodeDataUrl(src);
+    if (!decoded) {
+      return `![](${src})`;
+    }
+    const fileName = `${baseName}_${k + 1}.${IMAGE_EXTENSIONS[decoded.mimeType] || 'png'}`;
+    fs.writeFileSync(path.join(vaultDir, ASSET_DIR_NAME, fileName), decoded.buffer);
+    return `![](${ASSET_DIR_NAME}/${encodeURI(fileName)})`;
+  });
+}
+
+/**
+ * 既存のノートからユーザーが書き込んだメモ欄（## メモ 以降）を取り出す関数
+ */
+function readMemo(notePath) {
+  if (!fs.existsSync(notePath)) {
+    return `${MEMO_HEADING}\n\n`;
+  }
+  const text = fs.readFileSync(notePath, 'utf8');
+  const index = text.indexOf(`\n${MEMO_HEADING}\n`);
+  return index >= 0 ? text.slice(index + 1) : `${MEMO_HEADING}\n\n`;
+}
+
+/**
+ * 1問分の combinedData から Markdown ノートの本文を作る関数
+ * 見出しは PDF（generatePdf）と同じ並び
+ * @param {Object} item - 1問分の combinedData
+ * @param {string} noteName - ノート名（ファイル名から拡張子を除いたもの）
+ * @param {string} vaultDir - 保管先（画像の保存に使う）
+ * @param {string} chapter - 章・単元名
+ * @returns {string}
+ */
+function buildNote(item, noteName, vaultDir, chapter) {
+  const problem = item.problem || {};
+  const explanation = item.explanation || {};
+  const lines = [
+    '---',
+    `problemNumber: ${yamlValue(problem.problemNumber)}`,
+    `problemId: ${yamlValue(problem.problemId)}`,
+    `correctAnswer: ${yamlValue(explanation.correctAnswer)}`,
+    `chapter: ${yamlValue(chapter)}`,
+    'tags: [QB]',
+    '---',
+    '',
+    `# ${problem.problemNumber ? `問題 ${problem.problemNumber}` : `問題ID ${problem.problemId || noteName}`}`,
+    ''
+  ];
+
+  if (problem.questionText) {
+    lines.push(problem.questionText, '');
+  }
+  const problemImages = writeImages(problem.problemImageSrcs, vaultDir, `${noteName}_problem`);
+  if (problemImages.length > 0) {
+    lines.push(...problemImages, '');
+  }
+  if (problem.choices && problem.choices.length > 0) {
+    lines.push(...problem.choices.map(choice => `- ${choice.replace(/\r?\n/g, ' ')}`), '');
+  }
+  if (explanation.correctAnswer && explanation.correctAnswer.trim() !== '') {
+    lines.push('## 正解', '', explanation.correctAnswer.trim(), '');
+  }
+
+  explanationSections(item).forEach((section, k) => {
+    lines.push(`## ${section.title}`, '');
+    if (section.text) {
+      lines.push(section.text, '');
+    }
+    const images = writeImages(section.images, vaultDir, `${noteName}_s${k + 1}`);
+    if (images.length > 0) {
+      lines.push(...images, '');
+    }
+  });
+  return lines.join('\n');
+}
+
+/**
+ * スクレイピング結果を Markdown（Obsidian の保管庫）として書き出す関数
+ * 問題ごとに <問題ID>.md を作り、画像は assets/ に保存してリンクする
+ * 実行ごとに全問題へのリンクをまとめた索引ノートも作る
+ * 既存ノートの「## メモ」以降は書き込み欄として残したまま、それより上だけを更新する
+ *
+ * @param {Array<Object>} items - combinedData の配列（画像は data URL）
+ * @param {string} vaultDir - 書き出し先の保管庫ディレクトリ
+ * @param {{ chapter?: string }} [options] - chapter: 章・単元名（front-matter と索引名に使う）
+ * @returns {string} - 索引ノートのパス
+ */
+function exportMarkdown(items, vaultDir, options = {}) {
+  const chapter = options.chapter || '';
+  fs.mkdirSync(path.join(vaultDir, ASSET_DIR_NAME), { recursive: true });
+
+  const noteNames = items.map((item, index) => {
+    const problemId = item.problem && item.problem.problemId;
+    const noteName = safeFileName(problemId || `${chapter || 'QB'}_${String(index + 1).padStart(4, '0')}`);
+    const notePath = path.join(vaultDir, `${noteName}.md`);
+    const memo = readMemo(notePath);
+    fs.writeFileSync(notePath, `${buildNote(item, noteName, vaultDir, chapter)}\n${memo}`);
+    return noteName;
+  });
+
+  const runAt = new Date();
+  const stamp = runAt.toISOString().slice(0, 19).replace('T', ' ').replace(/:/g, '-');
+  const indexName = safeFileName(`${chapter || 'QB'} 索引 ${stamp}`);
+  const indexLines = [
+    '---',
+    `chapter: ${yamlValue(chapter)}`,
+    `createdAt: ${yamlValue(runAt.toISOString())}`,
+    `count: ${items.length}`,
+    'tags: [QB, QB索引]',
+    '---',
+    '',
+    `# ${chapter || 'QB'}（${items.length}問）`,
+    ''
+  ];
+  items.forEach((item, index) => {
+    const problemNumber = item.problem && item.problem.problemNumber;
+    indexLines.push(`- [[${noteNames[index]}]]${problemNumber ? ` ${problemNumber}` : ''}`);
+  });
+  const indexPath = path.join(vaultDir, `${indexName}.md`);
+  fs.writeFileSync(indexPath, indexLines.join('\n') + '\n');
+  console.log(`Markdownノートを書き出しました: ${vaultDir}（${items.length} ノート, 索引: ${indexName}.md）`);
+  return indexPath;
+}
+
+module.exports = {
+  exportMarkdown
+};
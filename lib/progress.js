@@ -0,0 +1,133 @@
+// 進捗バーの幅（文字数）
+const BAR_WIDTH = 20;
+
+// 表示中の進捗バーを消してからログを出すために差し替える console のメソッド
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error'];
+
+/**
+ * ミリ秒を「1時間5分」「3分20秒」「45秒」の形にする関数（残り時間の表示用）
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  if (h > 0) return `${h}時間${m}分`;
+  if (m > 0) return `${m}分${s}秒`;
+  return `${s}秒`;
+}
+
+/**
+ * スクレイピングの進捗（進捗バー・表示中の問題ID・1分あたりの問題数・残り時間・エラー数）を表示する仕組みを作る関数
+ * ターミナルでは1行を書き換えて表示し、その間のログは進捗バーを消してから表示する
+ * ターミナル以外（ファイルへのリダイレクトなど）では、1問終わるごとに1行ずつ表示する
+ * 並列のタブで1つを共有してよい
+ *
+ * @param {Object} [params]
+ * @param {number} [params.total=Infinity] - 取得する問題数（わからなければ Infinity。残り時間は表示しない）
+ * @param {NodeJS.WriteStream} [params.stream=process.stderr] - 表示先
+ * @returns {{ begin: (problemId?: string) => void, advance: (problemId?: string) => void, error: () => void, finish: () => void }}
+ *   begin: 問題の取得を始めた / advance: 問題の処理が終わった（取得できなかった場合も呼ぶ）/
+ *   error: 取得に失敗した（再試行しても取得できなかった問題ごとに1回呼ぶ）/ finish: 最後の状態を表示して終了する
+ */
+function createProgress({ total = Infinity, stream = process.stderr } = {}) {
+  const startedAt = Date.now();
+  const interactive = Boolean(stream.isTTY);
+  const knownTotal = Number.isFinite(total) && total > 0;
+  let processed = 0;
+  let errors = 0;
+  let currentId = '';
+  let lineShown = false;
+  let finished = false;
+
+  const line = () => {
+    const elapsed = Date.now() - startedAt;
+    const parts = [];
+    if (knownTotal) {
+      const filled = Math.round(Math.min(processed / total, 1) * BAR_WIDTH);
+      parts.push(`[${'#'.repeat(filled)}${'-'.repeat(BAR_WIDTH - filled)}] ${processed}/${total} 問`);
+    } else {
+      parts.push(`${processed} 問`);
+    }
+    if (currentId) {
+      parts.push(`問題ID ${currentId}`);
+    }
+    parts.push(processed > 0 && elapsed > 0 ? `${(processed / (elapsed / 60000)).toFixed(1)} 問/分` : '- 問/分');
+    if (knownTotal && processed > 0 && processed < total) {
+      parts.push(`残り約 ${formatDuration(elapsed / processed * (total - processed))}`);
+    }
+    parts.push(`エラー ${errors}`);
+    return parts.join(' | ');
+  };
+
+  const clear = () => {
+    if (lineShown) {
+      stream.write('\r\x1b[K');
+      lineShown = false;
+    }
+  };
+  const render = () => {
+    if (interactive && !finished) {
+      stream.write(`\r\x1b[K${line()}`);
+      lineShown = true;
+    }
+  };
+
+  // 進捗バーの行にログが続けて書かれないよう、ログの前に消して後で描き直す
+  const originals = {};
+  if (interactive) {
+    for (const method of CONSOLE_METHODS) {
+      originals[method] = console[method];
+      console[method] = (...args) => {
+        clear();
+        originals[method].apply(console, args);
+        render();
+      };
+    }
+  }
+
+  return {
+    begin(problemId) {
+      currentId = problemId || '';
+      render();
+    },
+    advance(problemId) {
+      processed++;
+      if (problemId) {
+        currentId = problemId;
+      }
+      if (interactive) {
+        render();
+      } else {
+        stream.write(`${line()}\n`);
+      }
+    },
+    error() {
+      errors++;
+      render();
+    },
+    finish() {
+      if (finished) return;
+      if (interactive) {
+        clear();
+        Object.assign(console, originals);
+        stream.write(`${line()}\n`);
+      }
+      finished = true;
+    }
+  };
+}
+
+// 進捗を表示しないときの代わり（スクレイパーを単体で使う場合など）
+const NULL_PROGRESS = Object.freeze({
+  begin() {},
+  advance() {},
+  error() {},
+  finish() {}
+});
+
+module.exports = {
+  formatDuration,
+  createProgress,
+  NULL_PROGRESS
+};
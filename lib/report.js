@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const { imageFields } = require('./dump.js');
+const { isImageRef } = require('./image-store.js');
+const { describeStopReason } = require('./end-of-set.js');
+const { describeStep } = require('./failures.js');
+const { formatSeconds } = require('./timing.js');
+
+// 実行レポートの形式のバージョン（形式を変えたら上げる）
+const REPORT_VERSION = 1;
+const REPORT_FILE_NAME = 'report.json';
+
+// 品質（各問題の項目の充足率の平均）がこれを下回ったら終了コードを1にする
+const DEFAULT_MIN_QUALITY = 0.9;
+
+// スクレイパーが項目を取得できなかったときに入れる文字列（空欄と同じ扱いにする）
+const PLACEHOLDERS = ['【問題文なし】', '解法の要点なし'];
+
+// 種類ごとに確認する項目（[表示名, 値を取り出す関数]）
+const FIELDS = {
+  single: [
+    ['questionText', item => item.problem && item.problem.questionText],
+    ['choices', item => item.problem && item.problem.choices],
+    ['correctAnswer', item => item.explanation && item.explanation.correctAnswer],
+    ['explanationPoints', item => item.explanation && item.explanation.explanationPoints],
+    ['optionAnalysis', item => item.explanation && item.explanation.optionAnalysis]
+  ],
+  renzoku: [
+    ['keyword', item => item.explanation && item.explanation.keyword],
+    ['explanationPoints', item => item.explanation && item.explanation.explanationPoints],
+    ['diagnosis', item => item.explanation && item.explanation.diagnosis],
+    ['choicesExplanation', item => item.explanation && item.explanation.choicesExplanation]
+  ]
+};
+
+/**
+ * 項目が取得できているかを判定する関数（空文字・空配列・PLACEHOLDERS は取得できていないとみなす）
+ */
+function isFilled(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (typeof value !== 'string') {
+    return Boolean(value);
+  }
+  const text = value.trim();
+  return text !== '' && !PLACEHOLDERS.includes(text);
+}
+
+/**
+ * 1問分の取得結果を監査する関数
+ * 画像は画像ストアの参照（または data URL）で保存できたものを embedded、キャプチャーに失敗して元の URL のまま残ったものを fallback として数える
+ * @param {'single'|'renzoku'} kind - スクレイピングの種類
+ * @param {Object} item - 1問分の combinedData
+ * @returns {{ problemId: string|null, completeness: number, missing: string[], images: { total: number, embedded: number, fallback: number }, warnings: string[] }}
+ */
+function auditItem(kind, item) {
+  const fields = FIELDS[kind];
+  if (!fields) {
+    throw new Error(`不明なダンプの種類です: ${kind}`);
+  }
+  const missing = fields.filter(([, get]) => !isFilled(get(item))).map(([name]) => name);
+
+  const images = { total: 0, embedded: 0, fallback: 0 };
+  for (const [owner, key] of imageFields(item)) {
+    for (const src of owner[key]) {
+      images.total++;
+      if (isImageRef(src) || (typeof src === 'string' && src.startsWith('data:'))) {
+        images.embedded++;
+      } else {
+        images.fallback++;
+      }
+    }
+  }
+
+  const warnings = missing.map(name => `${name} がありません`);
+  if (images.fallback > 0) {
+    warnings.push(`画像 ${images.fallback} 枚を取り込めず、元の URL のままです`);
+  }
+  return {
+    problemId: (item.problem && item.problem.problemId) || null,
+    completeness: (fields.length - missing.length) / fields.length,
+    missing,
+    images,
+    warnings
+  };
+}
+
+/**
+ * 実行レポートを作る関数
+ * @param {Object} params
+ * @param {'single'|'renzoku'} params.kind - スクレイピングの種類
+ * @param {string} [params.title] - 章・単元名など
+ * @param {string} [params.stopReason] - 終了理由（STOP_REASONS）
+ * @param {Array<Object>} params.items - combinedData の配列
+ * @param {Array<Object>} [params.failures] - 取得できなかった問題（lib/failures.js の failureEntry）
+ * @param {Object<string, number>} [params.timings] - 問題IDごとの所要時間（ms）。今回取得した問題の分だけ
+ * @param {number} [params.minQuality=0.9] - 品質の下限（0 なら判定しない）
+ * @returns {Object} - report.json に書き出す内容
+ */
+function buildReport({ kind, title, stopReason, items, failures = [], timings = {}, minQuality = DEFAULT_MIN_QUALITY }) {
+  const questions = items.map(item => {
+    const audit = auditItem(kind, item);
+    const durationMs = audit.problemId && timings[audit.problemId] !== undefined ? timings[audit.problemId] : null;
+    return { ...audit, durationMs };
+  });
+
+  // 取得できなかった問題は充足率 0 として品質に含める
+  const total = questions.length + failures.length;
+  const quality = total > 0 ? questions.reduce((sum, q) => sum + q.completeness, 0) / total : 1;
+  const durations = questions.map(q => q.durationMs).filter(ms => ms !== null);
+  const totalMs = durations.reduce((sum, ms) => sum + ms, 0);
+
+  const warnings = [
+    ...questions.flatMap(q => q.warnings.map(warning => `問題ID ${q.problemId || '(不明)'}：${warning}`)),
+    ...failures.map(failure => `問題ID ${failure.problemId || '(不明)'}：${describeStep(failure.step)}で失敗しました（${failure.error}）`)
+  ];
+
+  return {
+    version: REPORT_VERSION,
+    kind,
+    title: title || null,
+    createdAt: new Date().toISOString(),
+    stopReason: stopReason || null,
+    summary: {
+      questions: questions.length,
+      complete: questions.filter(q => q.missing.length === 0).length,
+      incomplete: questions.filter(q => q.missing.length > 0).length,
+      failed: failures.length,
+      quality,
+      minQuality,
+      passed: minQuality <= 0 || quality >= minQuality,
+      images: {
+        total: questions.reduce((sum, q) => sum + q.images.total, 0),
+        embedded: questions.reduce((sum, q) => sum + q.images.embedded, 0),
+        fallback: questions.reduce((sum, q) => sum + q.images.fallback, 0)
+      },
+      timing: {
+        measured: durations.length,
+        totalMs,
+        averageMs: durations.length > 0 ? Math.round(totalMs / durations.length) : null,
+        minMs: durations.length > 0 ? Math.min(...durations) : null,
+        maxMs: durations.length > 0 ? Math.max(...durations) : null
+      }
+    },
+    questions,
+    failures,
+    warnings
+  };
+}
+
+/**
+ * 0〜1 の割合を百分率の文字列にする関数（例: 0.925 → "92.5%"）
+ */
+function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+/**
+ * 実行レポートの要約をコンソールに表示する関数
+ * @param {Object} report - buildReport の戻り値
+ */
+function printReport(report) {
+  const { summary } = report;
+  console.log('--- 実行レポート ---');
+  if (report.stopReason) {
+    console.log(`終了理由: ${describeStopReason(report.stopReason)}`);
+  }
+  console.log(`問題: ${summary.questions} 問（すべての項目あり: ${summary.complete} 問 / 欠けあり: ${summary.incomplete} 問 / 取得できず: ${summary.failed} 問）`);
+  console.log(`画像: ${summary.images.total} 枚（取り込み: ${summary.images.embedded} 枚 / URL のまま: ${summary.images.fallback} 枚）`);
+  if (summary.timing.measured > 0) {
+    console.log(`所要時間: 計 ${formatSeconds(summary.timing.totalMs)}（${summary.timing.measured} 問、平均 ${formatSeconds(summary.timing.averageMs)}、最短 ${formatSeconds(summary.timing.minMs)}、最長 ${formatSeconds(summary.timing.maxMs)}）`);
+  }
+  const threshold = summary.minQuality > 0 ? `（下限: ${formatPercent(summary.minQuality)}）` : '';
+  console.log(`品質: ${formatPercent(summary.quality)}${threshold}`);
+  for (const warning of report.warnings) {
+    console.warn(`  ${warning}`);
+  }
+  if (!summary.passed) {
+    console.warn(`品質が下限を下回りました: ${formatPercent(summary.quality)} < ${formatPercent(summary.minQuality)}`);
+  }
+}
+
+/**
+ * 実行レポートをダンプディレクトリの report.json に保存する関数
+ * @param {string} dirPath - ダンプディレクトリ
+ * @param {Object} report - buildReport の戻り値
+ * @returns {string} - 書き出したパス
+ */
+function saveReport(dirPath, report) {
+  fs.mkdirSync(dirPath, { recursive: true });
+  const filePath = path.join(dirPath, REPORT_FILE_NAME);
+  fs.writeFileSync(filePath, JSON.stringify(report, null, 2));
+  console.log(`実行レポートを保存しました: ${filePath}`);
+  return filePath;
+}
+
+module.exports = {
+  DEFAULT_MIN_QUALITY,
+  REPORT_FILE_NAME,
+  auditItem,
+  buildReport,
+  printReport,
+  saveReport
+};
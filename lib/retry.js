@@ -0,0 +1,60 @@
+const { formatSeconds } = require('./timing.js');
+const { pause } = require('./throttle.js');
+
+// 再試行の既定値
+const RETRY_DEFAULTS = {
+  retries: 2,      // 1問あたりの再試行回数（最初の1回を含まない）
+  backoff: 2000    // 1回目の再試行までの待ち時間（ms）。以降は2倍ずつ延ばす
+};
+
+/**
+ * attempt 回目（1始まり）の再試行までの待ち時間（ms）を返す関数
+ * @param {number} attempt - 再試行の回数目（1, 2, ...）
+ * @param {number} backoff - 1回目の待ち時間（ms）
+ * @returns {number}
+ */
+function backoffDelay(attempt, backoff) {
+  return backoff * 2 ** (attempt - 1);
+}
+
+/**
+ * 失敗したら待ち時間を延ばしながら再試行する関数
+ * サイトが一時的に重い・表示が遅れた場合に、同じ問題をやり直すために使う
+ * @template T
+ * @param {(attempt: number) => Promise<T>} fn - 処理（attempt は 0 始まりの試行回数。1以上なら再試行なので、ページを開き直すなどする）
+ * @param {Object} [options]
+ * @param {number} [options.retries=2] - 再試行の回数
+ * @param {number} [options.backoff=2000] - 1回目の再試行までの待ち時間（ms）
+ * @param {string} [options.label] - ログ用の呼び名（例: "問題 3"）
+ * @param {AbortSignal} [options.signal] - 中断済み（lib/interrupt.js）なら再試行せずに失敗とする（待ち時間の途中で中断されたらすぐに失敗とする）
+ * @returns {Promise<T>} - 最後まで失敗した場合は、最後のエラーに試行回数（attempts）を付けて投げる
+ */
+async function withRetry(fn, options = {}) {
+  const retries = options.retries !== undefined ? options.retries : RETRY_DEFAULTS.retries;
+  const backoff = options.backoff !== undefined ? options.backoff : RETRY_DEFAULTS.backoff;
+  const label = options.label || '処理';
+  const aborted = () => Boolean(options.signal && options.signal.aborted);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || aborted()) {
+        err.attempts = attempt + 1;
+        throw err;
+      }
+      const delay = backoffDelay(attempt + 1, backoff);
+      console.warn(`${label}：失敗しました（${err.message}）。${formatSeconds(delay)}後に再試行します（${attempt + 1}/${retries} 回目）`);
+      await pause(delay, options.signal);
+      if (aborted()) {
+        err.attempts = attempt + 1;
+        throw err;
+      }
+    }
+  }
+}
+
+module.exports = {
+  RETRY_DEFAULTS,
+  backoffDelay,
+  withRetry
+};
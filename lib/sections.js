@@ -0,0 +1,73 @@
+// data URL の MIME タイプと拡張子の対応
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg'
+};
+
+/**
+ * 1問分の combinedData から、解説の各セクション（見出し・本文・画像）を取り出す関数
+ * 通常問題（QB_Scrape_Ver.3.js）と 4連問（QB_Scrape_4continues_ver.1.js）の両方の形式に対応し、
+ * 中身が空のセクションは含めない
+ *
+ * @param {Object} item - 1問分の combinedData（{ problem, explanation, basic }）
+ * @returns {Array<{ title: string, text: string, images: string[] }>}
+ */
+function explanationSections(item) {
+  const explanation = item.explanation || {};
+  const sections = [];
+  const push = (title, text, images = []) => {
+    const hasText = typeof text === 'string' && text.trim() !== '';
+    if (hasText || images.length > 0) {
+      sections.push({ title, text: hasText ? text.trim() : '', images });
+    }
+  };
+
+  push('KEYWORD', explanation.keyword);
+  push('画像診断', explanation.imageDiagnosisCaption, explanation.explanationImages || []);
+  push('解法の要点', explanation.explanationPoints);
+  push('診断', explanation.diagnosis);
+  push('選択肢解説', explanation.optionAnalysis || explanation.choicesExplanation);
+  push('ガイドライン', explanation.guideline);
+  if (item.basic) {
+    push(item.basic.title || '基本事項', item.basic.textContent, item.basic.images || []);
+  }
+  return sections;
+}
+
+/**
+ * HTML の特殊文字をエスケープする関数
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 改行を含むテキストを HTML に変換する関数（改行は <br> にする）
+ */
+function textToHtml(text) {
+  return escapeHtml(text || '').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * data URL を { mimeType, buffer } に変換する関数（data URL でなければ null）
+ */
+function decodeDataUrl(src) {
+  const m = typeof src === 'string' ? src.match(/^data:([^;,]+);base64,(.*)$/) : null;
+  if (!m) return null;
+  return { mimeType: m[1], buffer: Buffer.from(m[2], 'base64') };
+}
+
+module.exports = {
+  IMAGE_EXTENSIONS,
+  explanationSections,
+  escapeHtml,
+  textToHtml,
+  decodeDataUrl
+};
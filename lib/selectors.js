@@ -0,0 +1,231 @@
+// QB のページ要素のセレクタ一覧
+// サイトの Vue のビルドが変わると data-v-xxxx のハッシュが変わるので、各要素について候補を優先順に並べておく
+// （先頭から順に試し、最初に見つかったものを使う）。サイトが変わったときはここだけ直せばよい
+//
+// stage: その要素が現れる画面（login: ログイン画面 / question: 問題表示中 / answer: 「解答を確認する」の後）
+// optional: 問題によっては存在しない要素（doctor で見つからなくてもエラーにしない）
+const SELECTORS = {
+  loginUsername: {
+    description: 'ログイン: メールアドレス入力欄',
+    stage: 'login',
+    candidates: ['input[name="username"]', 'input[type="email"]']
+  },
+  loginPassword: {
+    description: 'ログイン: パスワード入力欄',
+    stage: 'login',
+    candidates: ['input[name="password"]', 'input[type="password"]']
+  },
+  loginSubmit: {
+    description: 'ログイン: 送信ボタン',
+    stage: 'login',
+    candidates: ['button[type="submit"]', 'input[type="submit"]']
+  },
+  header: {
+    description: 'ヘッダー',
+    stage: 'question',
+    candidates: ['div.header', '[data-v-1e8b4a81].header']
+  },
+  problemNumber: {
+    description: 'ヘッダーの問題番号',
+    stage: 'question',
+    candidates: ['div.header span', '[data-v-1e8b4a81].header span']
+  },
+  questionContent: {
+    description: '問題文の枠',
+    stage: 'question',
+    candidates: ['div.question-content', '[data-v-3fb3fcc8] .question-content']
+  },
+  questionText: {
+    description: '問題文',
+    stage: 'question',
+    candidates: ['div.question-content .body p', '[data-v-3fb3fcc8] .question-content .body p']
+  },
+  problemImages: {
+    description: '問題画像',
+    stage: 'question',
+    optional: true,
+    candidates: ['div.question-content div.figure img', '[data-v-3fb3fcc8] .question-content div.figure img']
+  },
+  choices: {
+    description: '選択肢',
+    stage: 'question',
+    optional: true,
+    candidates: ['ul.multiple-answer-options li div.ans']
+  },
+  questionFooter: {
+    description: 'フッター（問題ID）',
+    stage: 'question',
+    candidates: ['div.question-footer']
+  },
+  answerSection: {
+    description: '解答欄',
+    stage: 'question',
+    candidates: ['div#answerCbtSection']
+  },
+  answerButton: {
+    description: '「解答を確認する」「次へ」ボタン',
+    stage: 'question',
+    candidates: ['div#answerCbtSection > div.btn', 'div#answerCbtSection .btn']
+  },
+  correctAnswer: {
+    description: '正解',
+    stage: 'answer',
+    candidates: [
+      'div.resultContent--currentCorrect span.resultContent--currentCorrectAnswer',
+      'div.questionResult .resultContent--currentCorrectAnswer',
+      '.resultContent--currentCorrectAnswer'
+    ]
+  },
+  descContent: {
+    description: '解説の各項目（KEYWORD・解法の要点など）',
+    stage: 'answer',
+    candidates: ['div.descContent']
+  },
+  descTitle: {
+    description: '解説の項目名',
+    stage: 'answer',
+    candidates: ['.descContent--title']
+  },
+  descDetail: {
+    description: '解説の本文',
+    stage: 'answer',
+    candidates: ['.descContent--detail']
+  },
+  figureCaption: {
+    description: '画像診断のキャプション',
+    stage: 'answer',
+    optional: true,
+    candidates: ['div.figure p']
+  },
+  basic: {
+    description: '基本事項',
+    stage: 'answer',
+    optional: true,
+    candidates: ['div.basic']
+  },
+  basicTitle: {
+    description: '基本事項のタイトル',
+    stage: 'answer',
+    optional: true,
+    candidates: ['.basic--title span']
+  },
+  basicDetail: {
+    description: '基本事項の本文',
+    stage: 'answer',
+    optional: true,
+    candidates: ['.basicsContent--detail']
+  },
+  nextButton: {
+    description: '「次の問題へ」ボタン（セットの最後の問題にはない）',
+    stage: 'answer',
+    optional: true,
+    candidates: ['div.toNextWrapper--btn']
+  }
+};
+
+/**
+ * 候補のどれか1つに一致するセレクタ（カンマ区切り）を返す関数
+ * waitForSelector など「どれかが現れればよい」場面で使う
+ * @param {string} key - SELECTORS のキー
+ * @returns {string}
+ */
+function anyOf(key) {
+  const entry = SELECTORS[key];
+  if (!entry) {
+    throw new Error(`未定義のセレクタです: ${key}`);
+  }
+  return entry.candidates.join(', ');
+}
+
+/**
+ * 各候補がページ上でいくつの要素に一致するかを調べる関数
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @param {string[]} keys - SELECTORS のキー
+ * @returns {Promise<Object<string, number[]>>} - キーごとに、候補の順に一致した要素数
+ */
+async function countMatches(page, keys) {
+  const candidates = Object.fromEntries(keys.map(key => [key, SELECTORS[key].candidates]));
+  return page.evaluate((candidates) => {
+    const counts = {};
+    for (const [key, list] of Object.entries(candidates)) {
+      counts[key] = list.map(selector => {
+        try {
+          return document.querySelectorAll(selector).length;
+        } catch (err) {
+          return 0; // ブラウザが解釈できないセレクタは一致なしとみなす
+        }
+      });
+    }
+    return counts;
+  }, candidates);
+}
+
+/**
+ * 表示中のページで、各要素について最初に一致した候補のセレクタを返す関数
+ * どの候補にも一致しない要素は先頭の候補を返す（その後の querySelector で見つからない扱いになる）
+ * 戻り値はそのまま page.evaluate の引数に渡して使う
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @param {string[]} [keys] - SELECTORS のキー（省略時はすべて）
+ * @returns {Promise<Object<string, string>>}
+ */
+async function resolveSelectors(page, keys = Object.keys(SELECTORS)) {
+  const counts = await countMatches(page, keys);
+  const resolved = {};
+  for (const key of keys) {
+    const candidates = SELECTORS[key].candidates;
+    const index = counts[key].findIndex(count => count > 0);
+    resolved[key] = candidates[index >= 0 ? index : 0];
+  }
+  return resolved;
+}
+
+/**
+ * 候補を優先順に試し、最初に見つかった要素を（DOM の click() で）クリックする関数
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @param {string} key - SELECTORS のキー
+ * @returns {Promise<boolean>} - クリックできたら true
+ */
+async function clickFirst(page, key) {
+  return page.evaluate((candidates) => {
+    for (const selector of candidates) {
+      const elem = document.querySelector(selector);
+      if (elem) {
+        elem.click();
+        return true;
+      }
+    }
+    return false;
+  }, SELECTORS[key].candidates);
+}
+
+/**
+ * doctor 用：指定した画面の要素について、どの候補が一致したかを調べる関数
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @param {string[]} stages - 調べる画面（'login' / 'question' / 'answer'）
+ * @returns {Promise<Array<{ key: string, description: string, stage: string, optional: boolean, matched: string|null, index: number, count: number }>>}
+ */
+async function checkSelectors(page, stages) {
+  const keys = Object.keys(SELECTORS).filter(key => stages.includes(SELECTORS[key].stage));
+  const counts = await countMatches(page, keys);
+  return keys.map(key => {
+    const entry = SELECTORS[key];
+    const index = counts[key].findIndex(count => count > 0);
+    return {
+      key,
+      description: entry.description,
+      stage: entry.stage,
+      optional: Boolean(entry.optional),
+      matched: index >= 0 ? entry.candidates[index] : null,
+      index,
+      count: index >= 0 ? counts[key][index] : 0
+    };
+  });
+}
+
+module.exports = {
+  SELECTORS,
+  anyOf,
+  resolveSelectors,
+  clickFirst,
+  checkSelectors
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const { anyOf } = require('./selectors.js');
+
+// セッションファイルの形式のバージョン（形式を変えたら上げる）
+const SESSION_VERSION = 1;
+
+// page.setCookie に渡せる Cookie の項目
+const COOKIE_FIELDS = ['name', 'value', 'domain', 'path', 'expires', 'httpOnly', 'secure', 'sameSite'];
+
+/**
+ * ブラウザの全ドメインの Cookie を取得する関数
+ * page.cookies() は表示中のページの Cookie しか返さないため、ログイン画面（別ドメイン）の Cookie も含めて CDP で取得する
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @returns {Promise<Array<Object>>}
+ */
+async function getAllCookies(page) {
+  const client = await page.target().createCDPSession();
+  try {
+    const { cookies } = await client.send('Network.getAllCookies');
+    return cookies;
+  } finally {
+    await client.detach();
+  }
+}
+
+/**
+ * 保存済みのセッションファイルから Cookie を読み込み、ブラウザに設定する関数
+ * ファイルがない・読み込めない・有効期限切れの Cookie しかない場合は何もしない
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @param {string} filePath - セッションファイルのパス
+ * @returns {Promise<boolean>} - Cookie を設定したかどうか
+ */
+async function restoreSession(page, filePath) {
+  if (!fs.existsSync(filePath)) {
+    return false;
+  }
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    console.warn(`セッションファイルを読み込めないため無視します: ${filePath}`);
+    return false;
+  }
+  if (!saved || saved.version !== SESSION_VERSION || !Array.isArray(saved.cookies)) {
+    console.warn(`セッションファイルの形式が異なるため無視します: ${filePath}`);
+    return false;
+  }
+
+  // 有効期限（秒）が過ぎた Cookie は除く（expires が -1 のものはセッション Cookie）
+  const now = Date.now() / 1000;
+  const cookies = saved.cookies
+    .filter(cookie => !(cookie.expires > 0 && cookie.expires < now))
+    .map(cookie => Object.fromEntries(COOKIE_FIELDS.filter(key => cookie[key] !== undefined).map(key => [key, cookie[key]])));
+  if (cookies.length === 0) {
+    return false;
+  }
+  await page.setCookie(...cookies);
+  console.log(`保存済みのセッションを読み込みました: ${filePath}（保存日時: ${saved.savedAt}）`);
+  return true;
+}
+
+/**
+ * ブラウザの Cookie をセッションファイルに保存する関数
+ * ログイン情報と同じく他人に渡さないよう、所有者のみ読み書きできる権限で保存する
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @param {string} filePath - セッションファイルのパス
+ */
+async function saveSession(page, filePath) {
+  const cookies = await getAllCookies(page);
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  const data = { version: SESSION_VERSION, savedAt: new Date().toISOString(), cookies };
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), { mode: 0o600 });
+}
+
+/**
+ * 表示中のページがログイン画面かどうかを判定する関数
+ * セッションが切れていると、問題ページを開いてもログイン画面へリダイレクトされる
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @param {string} loginUrl - ログイン画面の URL（config.loginUrl）
+ * @returns {Promise<boolean>}
+ */
+async function isLoginPage(page, loginUrl) {
+  const current = new URL(page.url());
+  const login = new URL(loginUrl);
+  if (current.origin === login.origin && current.pathname === login.pathname) {
+    return true;
+  }
+  return (await page.$(anyOf('loginUsername'))) !== null;
+}
+
+/**
+ * 実行中のセッション切れ（ログイン画面への転送）から復帰する仕組みを作る関数
+ * スクレイパーは各問題の前・遷移に失敗したときに recover(page, resumeUrl) を呼び、
+ * ログイン画面に戻されていれば、ログインし直して resumeUrl（同じ問題）を開き直す
+ * 並列のタブが同時にセッション切れを検知しても、ログインし直すのは1回だけにする
+ *
+ * @param {Object} params
+ * @param {string} params.loginUrl - ログイン画面の URL（config.loginUrl）
+ * @param {(page: Page) => Promise<void>} params.login - ログイン画面を開いてログインする関数（ログインできなければ例外）
+ * @param {number} [params.maxReauth=3] - 1回の実行でログインし直す回数の上限
+ * @returns {{ recover: (page: Page, resumeUrl: string) => Promise<boolean> }}
+ */
+function createSessionGuard({ loginUrl, login, maxReauth = 3 }) {
+  let reauthCount = 0;
+  let inProgress = null;
+
+  const reauthenticate = async (page) => {
+    reauthCount++;
+    if (reauthCount > maxReauth) {
+      throw new Error(`セッション切れが続いたため中止します（ログインし直した回数: ${maxReauth} 回）`);
+    }
+    console.warn(`セッションが切れたため、ログインし直します（${reauthCount}/${maxReauth} 回目）。`);
+    await login(page);
+  };
+
+  return {
+    /**
+     * @returns {Promise<boolean>} - ログインし直して resumeUrl を開き直したかどうか（セッションが有効なら false）
+     */
+    async recover(page, resumeUrl) {
+      if (!(await isLoginPage(page, loginUrl))) {
+        return false;
+      }
+      if (!inProgress) {
+        inProgress = reauthenticate(page).finally(() => { inProgress = null; });
+      }
+      await inProgress;
+      await page.goto(resumeUrl, { waitUntil: 'domcontentloaded' });
+      if (await isLoginPage(page, loginUrl)) {
+        throw new Error(`ログインし直しても問題ページを開けませんでした: ${resumeUrl}`);
+      }
+      console.log(`ログインし直しました。${resumeUrl} から再開します。`);
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  restoreSession,
+  saveSession,
+  isLoginPage,
+  createSessionGuard
+};
@@ -0,0 +1,329 @@
+const fs = require('fs');
+const { appendCheckpoint } = require('./checkpoint.js');
+const { createQuestionTimer, formatSeconds } = require('./timing.js');
+const { backoffDelay, RETRY_DEFAULTS } = require('./retry.js');
+const { FAILURE_STEPS, stepError, failureEntry, reportFailures } = require('./failures.js');
+const { logVerbose } = require('./log.js');
+const { NULL_PROGRESS } = require('./progress.js');
+const { isAborted } = require('./interrupt.js');
+const { NULL_THROTTLE, pause } = require('./throttle.js');
+
+// 範囲指定（例: 2014100430-2014100440）で展開する問題数の上限（打ち間違いで膨大な数にならないように）
+const MAX_RANGE_SIZE = 2000;
+
+/**
+ * 問題IDのリストを解析する関数
+ * カンマ・空白・改行区切りで、"開始-終了" または "開始..終了" の範囲指定も使える
+ * "#" 以降はコメントとして無視する（--ids-file 用）
+ * @param {string} text - 例: "2014100430, 2014100432-2014100435"
+ * @returns {string[]} - 問題IDの配列（重複は除き、指定順を保つ）
+ */
+function parseIdList(text) {
+  const ids = [];
+  const tokens = text
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*$/, ''))
+    .join(' ')
+    .split(/[\s,]+/)
+    .filter(Boolean);
+
+  for (const token of tokens) {
+    const range = token.match(/^(\d+)(?:-|\.\.)(\d+)$/);
+    if (range) {
+      const start = BigInt(range[1]);
+      const end = BigInt(range[2]);
+      if (end < start) {
+        throw new Error(`問題IDの範囲が逆順です: ${token}`);
+      }
+      if (end - start + 1n > BigInt(MAX_RANGE_SIZE)) {
+        throw new Error(`問題IDの範囲が大きすぎます（最大 ${MAX_RANGE_SIZE} 件）: ${token}`);
+      }
+      for (let id = start; id <= end; id++) {
+        ids.push(id.toString().padStart(range[1].length, '0'));
+      }
+    } else if (/^\d+$/.test(token)) {
+      ids.push(token);
+    } else {
+      throw new Error(`問題IDとして解釈できません: ${token}`);
+    }
+  }
+  return [...new Set(ids)];
+}
+
+/**
+ * --ids / --ids-file の指定から問題IDの配列を作る関数（どちらも未指定なら null）
+ * @param {{ ids?: string, idsFile?: string }} options
+ * @returns {string[]|null}
+ */
+function resolveIds(options) {
+  if (!options.ids && !options.idsFile) {
+    return null;
+  }
+  const texts = [];
+  if (options.ids) texts.push(options.ids);
+  if (options.idsFile) texts.push(fs.readFileSync(options.idsFile, 'utf8'));
+  const ids = parseIdList(texts.join('\n'));
+  if (ids.length === 0) {
+    throw new Error('問題IDが1つも指定されていません');
+  }
+  return ids;
+}
+
+/**
+ * 問題IDから問題ページのURLを組み立てる関数
+ * @param {string} baseUrl - 問題ページのドメイン（例: https://cbt.medilink-study.com）。URL全体でもよい
+ * @param {string} problemId
+ */
+function problemUrl(baseUrl, problemId) {
+  return new URL(`/Answer/${problemId}`, baseUrl).href;
+}
+
+/**
+ * スクレイピング結果を問題IDの指定順に並べ替える関数（該当しない結果は末尾に残す）
+ * @param {string[]} ids - 問題IDの配列
+ * @param {Array<Object>} items - combinedData の配列
+ * @returns {Array<Object>}
+ */
+function orderByIds(ids, items) {
+  const order = new Map(ids.map((id, index) => [id, index]));
+  const rank = item => {
+    const problemId = item.problem && item.problem.problemId;
+    return order.has(problemId) ? order.get(problemId) : ids.length;
+  };
+  return items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => rank(a.item) - rank(b.item) || a.index - b.index)
+    .map(entry => entry.item);
+}
+
+/**
+ * 問題IDの配列を、順序を保ったまま count 個の連続した区間に分ける関数（空の区間は作らない）
+ * @param {string[]} ids
+ * @param {number} count
+ * @returns {string[][]}
+ */
+function splitIntoSlices(ids, count) {
+  const slices = [];
+  const size = Math.ceil(ids.length / Math.max(count, 1));
+  for (let start = 0; start < ids.length; start += size) {
+    slices.push(ids.slice(start, start + size));
+  }
+  return slices;
+}
+
+/**
+ * 問題IDを指定して1問ずつ直接ページを開き、スクレイピングする関数
+ * 「次の問題へ」ボタンでの連続遷移を使わないので、1問の失敗が残りの問題に影響しない
+ * 失敗した問題IDは、一通り終わった後に待ち時間を延ばしながら個別に再試行する
+ *
+ * @param {Page} page - Puppeteer の page インスタンス（ログイン後のもの）
+ * @param {string[]} ids - 問題IDの配列
+ * @param {(page: Page, label: string, imageOptions: Object) => Promise<Object|null>} scrapeOne - 表示中の問題を1問分取得する関数（失敗時は null）
+ *   imageOptions は画像の取り込み（lib/image-fetch.js の captureImages）に渡す { imageStore, throttle, signal }
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - 問題ページのドメイン
+ * @param {number} [options.retries=2] - 失敗した問題IDを再試行する回数
+ * @param {number} [options.retryBackoff=2000] - 1回目の再試行までの待ち時間（ms）。以降は2倍ずつ延ばす
+ * @param {string} [options.checkpointPath] - 1問取得するごとに結果を追記するチェックポイントファイル（JSONL）
+ * @param {Set<string>} [options.completedIds] - 取得済みの問題ID（該当する問題は読み飛ばす）
+ * @param {string} [options.workerLabel] - 並列実行時にログの先頭に付けるタブ名（例: "タブ2"）
+ * @param {Object} [options.session] - セッション切れからの復帰（lib/session.js の createSessionGuard の戻り値）
+ * @param {Object} [options.progress] - 進捗の表示（lib/progress.js の createProgress の戻り値。並列のタブで共有する）
+ * @param {AbortSignal} [options.signal] - 中断（lib/interrupt.js）。中断されたら今の問題の後で終了する
+ * @param {Object} [options.throttle] - アクセス間隔・上限（lib/throttle.js の createThrottle の戻り値。並列のタブで共有する）。問題ページを開く前に待つ
+ * @param {Object} [options.imageStore] - 画像の保存先（lib/image-store.js の createImageStore の戻り値。scrapeOne に渡す）
+ * @returns {Promise<{ results: Array<Object>, failedIds: string[], failures: Array<Object>, timings: Object<string, number>, interrupted: boolean }>}
+ *   results は ids の順に並ぶ。failures は再試行しても取得できなかった問題（lib/failures.js の failureEntry）、
+ *   timings は問題IDごとの所要時間（ms）、interrupted は中断して未処理の問題が残っているかどうか
+ */
+async function scrapeByIds(page, ids, scrapeOne, options = {}) {
+  const baseUrl = options.baseUrl || 'https://cbt.medilink-study.com';
+  const retries = options.retries !== undefined ? options.retries : RETRY_DEFAULTS.retries;
+  const retryBackoff = options.retryBackoff !== undefined ? options.retryBackoff : RETRY_DEFAULTS.backoff;
+  const completedIds = options.completedIds || new Set();
+  const prefix = options.workerLabel ? `[${options.workerLabel}] ` : '';
+  const resultsById = new Map();
+  const lastErrors = new Map(); // 問題IDごとの最後のエラー（failures に記録する）
+  const attempts = new Map();   // 問題IDごとの試行回数
+  const timer = createQuestionTimer();
+  const progress = options.progress || NULL_PROGRESS;
+  const throttle = options.throttle || NULL_THROTTLE;
+
+  const scrapeId = async (id) => {
+    const url = problemUrl(baseUrl, id);
+    attempts.set(id, (attempts.get(id) || 0) + 1);
+    progress.begin(id);
+    await throttle.beforeQuestion();
+    try {
+      timer.start();
+      await page.goto(url, { waitUntil: 'domcontentloaded' });
+    } catch (err) {
+      console.error(`問題ID ${id}：ページを開けませんでした:`, err);
+      lastErrors.set(id, stepError(FAILURE_STEPS.OPEN, err));
+      return false;
+    }
+    // ログイン画面に戻されたらログインし直して同じ問題を開き直す（ログインできなければ再試行せずに中止する）
+    if (options.session) {
+      await options.session.recover(page, url);
+    }
+    timer.mark('ページを開く');
+    try {
+      const combinedData = await scrapeOne(page, `問題ID ${id}`, { imageStore: options.imageStore, throttle, signal: options.signal });
+      if (!combinedData) {
+        lastErrors.set(id, new Error('問題を取得できませんでした'));
+        return false;
+      }
+      const scrapedId = combinedData.problem && combinedData.problem.problemId;
+      if (scrapedId && scrapedId !== id) {
+        console.error(`問題ID ${id}：別の問題（ID ${scrapedId}）が表示されました。`);
+        lastErrors.set(id, stepError(FAILURE_STEPS.WRONG_PROBLEM, `別の問題（ID ${scrapedId}）が表示されました`));
+        return false;
+      }
+      combinedData.problem.problemId = id;
+      timer.mark('問題・解説の取得');
+      timer.stop(`問題ID ${id}`, id);
+      progress.advance(id);
+      resultsById.set(id, combinedData);
+      completedIds.add(id);
+      if (options.checkpointPath) {
+        appendCheckpoint(options.checkpointPath, combinedData);
+      }
+      return true;
+    } catch (err) {
+      console.error(`問題ID ${id}：スクレイピングエラー:`, err);
+      lastErrors.set(id, err);
+      return false;
+    }
+  };
+
+  let pending = ids.filter(id => {
+    if (completedIds.has(id)) {
+      logVerbose(`問題ID ${id} は取得済みのため読み飛ばします。`);
+      return false;
+    }
+    return true;
+  });
+
+  let interrupted = false;
+  for (let attempt = 0; attempt <= retries && pending.length > 0 && !interrupted; attempt++) {
+    if (attempt > 0) {
+      const delay = backoffDelay(attempt, retryBackoff);
+      console.log(`${prefix}--- 失敗した ${pending.length} 問を ${formatSeconds(delay)}後に再試行します（${attempt}/${retries} 回目） ---`);
+      await pause(delay, options.signal);
+    }
+    const failed = [];
+    for (const [k, id] of pending.entries()) {
+      if (isAborted(options.signal)) {
+        // 再試行の回で残った問題は前の回までに失敗しているので failures に残す（1回目なら未処理のまま）
+        interrupted = true;
+        if (attempt > 0) {
+          failed.push(...pending.slice(k));
+        }
+        break;
+      }
+      logVerbose(`${prefix}--- 問題ID ${id} のスクレイピング開始 ---`);
+      if (!(await scrapeId(id))) {
+        failed.push(id);
+      }
+    }
+    pending = failed;
+  }
+  // 再試行しても取得できなかった問題は、エラー1件・処理済み1問として数える
+  pending.forEach(id => {
+    progress.error();
+    progress.advance(id);
+  });
+
+  console.log(prefix + timer.summary());
+  const failures = pending.map(id => failureEntry(id, lastErrors.get(id), {
+    attempts: attempts.get(id),
+    previousId: ids[ids.indexOf(id) - 1] || null
+  }));
+  if (!options.workerLabel) {
+    reportFailures(failures);
+  }
+  const results = ids.filter(id => resultsById.has(id)).map(id => resultsById.get(id));
+  return { results, failedIds: pending, failures, timings: timer.byId, interrupted };
+}
+
+/**
+ * 複数のタブで並列に、問題IDを直接指定してスクレイピングする関数
+ * 未取得の問題IDを順序を保ったままタブの数に分け、各タブが自分の区間を scrapeByIds で処理する
+ * 結果は ids の順に並べ直して返すので、呼び出し側は1タブのときと同じように扱える
+ * 1つのタブで続行できないエラー（ログインし直せないなど）が起きたら、他のタブも今の問題の後で止め、
+ * すべてのタブが止まってから最初のエラーを投げる（呼び出し側がタブを閉じるのはその後になる）
+ *
+ * @param {Page[]} pages - ログイン済みのセッションを共有するタブ（同じブラウザの page）
+ * @param {string[]} ids - 問題IDの配列
+ * @param {(page: Page, label: string, imageOptions: Object) => Promise<Object|null>} scrapeOne - 表示中の問題を1問分取得する関数（失敗時は null）
+ * @param {Object} [options] - scrapeByIds と同じ
+ * @returns {Promise<{ results: Array<Object>, failedIds: string[], failures: Array<Object>, timings: Object<string, number>, interrupted: boolean }>}
+ *   results・failedIds・failures は ids の順に並ぶ
+ */
+async function scrapeByIdsInParallel(pages, ids, scrapeOne, options = {}) {
+  const completedIds = options.completedIds || new Set();
+  const pending = ids.filter(id => {
+    if (completedIds.has(id)) {
+      logVerbose(`問題ID ${id} は取得済みのため読み飛ばします。`);
+      return false;
+    }
+    return true;
+  });
+  const slices = splitIntoSlices(pending, pages.length);
+  if (slices.length > 1) {
+    console.log(`${slices.length} タブで並列に取得します（${slices.map(slice => slice.length).join(' / ')} 問）`);
+  }
+
+  // 各タブには、中断（options.signal）か他のタブのエラーで中断される signal を渡す
+  const controller = new AbortController();
+  const abort = () => controller.abort(options.signal.reason);
+  if (options.signal) {
+    if (options.signal.aborted) abort();
+    else options.signal.addEventListener('abort', abort, { once: true });
+  }
+  let firstError = null;
+  const settled = await Promise.allSettled(slices.map((slice, k) => scrapeByIds(pages[k], slice, scrapeOne, {
+    ...options,
+    completedIds,
+    signal: controller.signal,
+    workerLabel: slices.length > 1 ? `タブ${k + 1}` : undefined
+  }).catch((err) => {
+    if (!firstError) firstError = err;
+    controller.abort(err);
+    throw err;
+  })));
+  if (options.signal) {
+    options.signal.removeEventListener('abort', abort);
+  }
+  if (firstError) {
+    throw firstError;
+  }
+  const outcomes = settled.map(outcome => outcome.value);
+
+  const failed = new Set(outcomes.flatMap(outcome => outcome.failedIds));
+  // 差し込む位置（直前の問題）は、タブごとの区間ではなく ids 全体の順で記録し直す
+  const failures = outcomes
+    .flatMap(outcome => outcome.failures)
+    .map(failure => ({ ...failure, previousId: ids[ids.indexOf(failure.problemId) - 1] || null }))
+    .sort((a, b) => ids.indexOf(a.problemId) - ids.indexOf(b.problemId));
+  if (slices.length > 1) {
+    reportFailures(failures);
+  }
+  return {
+    results: orderByIds(ids, outcomes.flatMap(outcome => outcome.results)),
+    failedIds: ids.filter(id => failed.has(id)),
+    failures,
+    timings: Object.assign({}, ...outcomes.map(outcome => outcome.timings)),
+    interrupted: outcomes.some(outcome => outcome.interrupted)
+  };
+}
+
+module.exports = {
+  parseIdList,
+  resolveIds,
+  problemUrl,
+  orderByIds,
+  splitIntoSlices,
+  scrapeByIds,
+  scrapeByIdsInParallel
+};
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const { formatDuration } = require('./progress.js');
+
+// アクセス間隔・上限の既定値（サイトに負荷をかけない・アカウントが機械的なアクセスとみなされないように）
+const THROTTLE_DEFAULTS = {
+  minDelay: 1000,    // 問題ページを開く（次の問題へ進む）間隔の最小値（ms）
+  jitter: 1000,      // 間隔に加えるランダムな待ち時間の上限（ms）
+  perHour: 0,        // 直近1時間に開く問題ページ数の上限（0 なら制限しない）
+  perDay: 0,         // 直近24時間に開く問題ページ数の上限（0 なら制限しない）
+  imageDelay: 200    // PDF 生成時に画像を取得する間隔の最小値（ms）
+};
+
+// 上限の判定に使う記録の形式のバージョン（形式を変えたら上げる）
+const BUDGET_VERSION = 1;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * 指定時間待つ関数（signal が中断されたらすぐに戻る）
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+function pause(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal && signal.aborted) {
+      resolve();
+      return;
+    }
+    const done = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    if (signal) signal.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * 時刻を「14:05」の形にする関数
+ */
+function formatClock(time) {
+  const date = new Date(time);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * 問題ページを開いた時刻の記録を読み込む関数（1日の上限は実行をまたいで数える）
+ * ファイルがない・読み込めない場合は空の記録とする
+ * @param {string} filePath
+ * @returns {number[]} - 時刻（ms）の昇順の配列
+ */
+function loadVisits(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data.version === BUDGET_VERSION && Array.isArray(data.visits)) {
+      return data.visits.filter(Number.isFinite).sort((a, b) => a - b);
+    }
+  } catch (err) {
+    // 下で警告する
+  }
+  console.warn(`アクセス記録を読み込めないため、空の記録から数えます: ${filePath}`);
+  return [];
+}
+
+function saveVisits(filePath, visits) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ version: BUDGET_VERSION, visits }));
+}
+
+/**
+ * 上限に達している場合に、再開できる時刻を返す関数（達していなければ 0）
+ * @param {number[]} visits - 問題ページを開いた時刻（昇順）
+ * @param {number} limit - 期間内の上限（0 なら制限しない）
+ * @param {number} windowMs - 期間（ms）
+ * @param {number} now
+ */
+function resumeTime(visits, limit, windowMs, now) {
+  if (!(limit > 0)) return 0;
+  const inWindow = visits.filter(time => time > now - windowMs);
+  if (inWindow.length < limit) return 0;
+  // 期間内の記録が limit - 1 件になる（古い記録が期間から外れる）時刻
+  return inWindow[inWindow.length - limit] + windowMs;
+}
+
+/**
+ * 問題ページの遷移・画像の取得の前に呼び、間隔を空けたり上限に達したら一時停止したりする仕組みを作る関数
+ * 並列のタブで1つを共有してよい（呼び出しは1つずつ順に処理する）
+ *
+ * @param {Object} [settings] - config.throttle（THROTTLE_DEFAULTS と同じキー）
+ * @param {Object} [options]
+ * @param {string} [options.budgetFile] - 問題ページを開いた時刻を記録するファイル（1時間・1日の上限を実行をまたいで数える）
+ * @param {AbortSignal} [options.signal] - 中断（lib/interrupt.js）。中断されたら待たずに戻る
+ * @returns {{ beforeQuestion: () => Promise<void>, beforeImage: () => Promise<void> }}
+ *   beforeQuestion: 問題ページを開く（次の問題へ進む）直前に呼ぶ / beforeImage: 画像を取得する直前に呼ぶ
+ */
+function createThrottle(settings = {}, options = {}) {
+  const limits = { ...THROTTLE_DEFAULTS, ...settings };
+  const budgetFile = (limits.perHour > 0 || limits.perDay > 0) ? options.budgetFile : '';
+  let visits = budgetFile ? loadVisits(budgetFile) : [];
+  let lastQuestionAt = 0;
+  let lastImageAt = 0;
+  let queue = Promise.resolve();
+
+  // 呼び出しを1つずつ順に処理する（並列のタブが同時に呼んでも間隔が空くように）
+  const enqueue = (task) => {
+    queue = queue.then(task, task);
+    return queue;
+  };
+
+  const waitForBudget = async () => {
+    for (;;) {
+      const now = Date.now();
+      visits = visits.filter(time => time > now - DAY_MS);
+      const hourly = resumeTime(visits, limits.perHour, HOUR_MS, now);
+      const daily = resumeTime(visits, limits.perDay, DAY_MS, now);
+      const resumeAt = Math.max(hourly, daily);
+      if (resumeAt <= now) return;
+      const limit = daily >= hourly ? `1日あたりの上限（${limits.perDay} 問）` : `1時間あたりの上限（${limits.perHour} 問）`;
+      console.warn(`${limit}に達したため、${formatClock(resumeAt)} まで一時停止します（あと${formatDuration(resumeAt - now)}）。`);
+      await pause(resumeAt - now, options.signal);
+      if (options.signal && options.signal.aborted) return;
+      console.log('一時停止を終えて再開します。');
+    }
+  };
+
+  return {
+    beforeQuestion() {
+      return enqueue(async () => {
+        const interval = limits.minDelay + Math.random() * limits.jitter;
+        const wait = lastQuestionAt + interval - Date.now();
+        if (wait > 0) {
+          await pause(wait, options.signal);
+        }
+        await waitForBudget();
+        // 中断された場合は問題ページを開かないので記録しない
+        if (options.signal && options.signal.aborted) return;
+        lastQuestionAt = Date.now();
+        if (budgetFile) {
+          visits.push(lastQuestionAt);
+          saveVisits(budgetFile, visits);
+        }
+      });
+    },
+    beforeImage() {
+      return enqueue(async () => {
+        const wait = lastImageAt + limits.imageDelay - Date.now();
+        if (wait > 0) {
+          await pause(wait, options.signal);
+        }
+        lastImageAt = Date.now();
+      });
+    }
+  };
+}
+
+// 間隔を空けないときの代わり（スクレイパーを単体で使う場合など）
+const NULL_THROTTLE = Object.freeze({
+  async beforeQuestion() {},
+  async beforeImage() {}
+});
+
+module.exports = {
+  THROTTLE_DEFAULTS,
+  pause,
+  resumeTime,
+  createThrottle,
+  NULL_THROTTLE
+};
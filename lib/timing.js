@@ -0,0 +1,72 @@
+const { logVerbose } = require('./log.js');
+
+/**
+ * ミリ秒を「12.3 秒」の形にする関数
+ */
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)} 秒`;
+}
+
+/**
+ * 1問ごとの所要時間を計測する関数
+ * start() から stop() までを1問分として記録し、summary() で平均・最短・最長をまとめる
+ * 途中で mark(段階名) を呼ぶと、前の mark()（または start()）からの時間をその段階の時間として記録し、
+ * summary() に段階ごとの平均を加える（取得できずに stop() しなかった問題の分は数えない）
+ * stop() に問題IDを渡すと、byId に問題IDごとの所要時間（ms）を記録する（実行レポート用）
+ * @returns {{ start: () => void, mark: (phase: string) => void, stop: (label: string, problemId?: string) => number, durations: number[], byId: Object<string, number>, summary: () => string }}
+ */
+function createQuestionTimer() {
+  const durations = [];
+  const byId = {};
+  const phaseTotals = new Map(); // 段階名 → { total, count }
+  let startedAt = null;
+  let markedAt = null;
+  let phases = [];
+
+  return {
+    durations,
+    byId,
+    start() {
+      startedAt = markedAt = Date.now();
+      phases = [];
+    },
+    mark(phase) {
+      const now = Date.now();
+      phases.push([phase, now - markedAt]);
+      markedAt = now;
+    },
+    stop(label, problemId) {
+      const elapsed = Date.now() - startedAt;
+      durations.push(elapsed);
+      if (problemId) {
+        byId[problemId] = elapsed;
+      }
+      for (const [phase, ms] of phases) {
+        const entry = phaseTotals.get(phase) || { total: 0, count: 0 };
+        entry.total += ms;
+        entry.count++;
+        phaseTotals.set(phase, entry);
+      }
+      const breakdown = phases.length > 0 ? `（${phases.map(([phase, ms]) => `${phase} ${formatSeconds(ms)}`).join(' / ')}）` : '';
+      logVerbose(`${label} の所要時間: ${formatSeconds(elapsed)}${breakdown}`);
+      return elapsed;
+    },
+    summary() {
+      if (durations.length === 0) {
+        return '所要時間: 取得した問題はありません';
+      }
+      const total = durations.reduce((sum, ms) => sum + ms, 0);
+      const breakdown = phaseTotals.size > 0
+        ? `\n  段階ごとの平均: ${[...phaseTotals].map(([phase, entry]) => `${phase} ${formatSeconds(entry.total / entry.count)}`).join(' / ')}`
+        : '';
+      return `所要時間: 合計 ${formatSeconds(total)}、1問あたり平均 ${formatSeconds(total / durations.length)}` +
+        `（最短 ${formatSeconds(Math.min(...durations))}・最長 ${formatSeconds(Math.max(...durations))}、${durations.length} 問）` +
+        breakdown;
+    }
+  };
+}
+
+module.exports = {
+  formatSeconds,
+  createQuestionTimer
+};
@@ -0,0 +1,126 @@
+const { anyOf } = require('./selectors.js');
+
+// 待機の上限（ms）。設定ファイル（.qbrc）の waits で上書きできる
+// いずれも「最大でこれだけ待つ」値で、条件を満たせばすぐに次へ進む
+const WAIT_DEFAULTS = {
+  question: 15000,     // 次の問題への切り替わり（問題ID・問題文の変化）を待つ上限
+  content: 15000,      // 問題文・正解表示などの要素が表示されるのを待つ上限
+  networkIdle: 5000,   // 通信が落ち着くのを待つ上限（超えても続行する）
+  idleTime: 500,       // この時間通信がなければ、通信が落ち着いたとみなす
+  images: 10000        // 画像の読み込み完了（img.complete）を待つ上限（超えても続行する）
+};
+
+/**
+ * 設定の waits と既定値をマージする関数
+ * @param {Object} [waits] - config.waits
+ * @returns {Object}
+ */
+function resolveWaits(waits) {
+  return { ...WAIT_DEFAULTS, ...(waits || {}) };
+}
+
+/**
+ * 表示中の問題の問題ID（div.question-footer）と問題文を取得する関数
+ * 次の問題に切り替わったかどうかの比較に使う
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @returns {Promise<{ problemId: string, questionText: string }>}
+ */
+async function questionSnapshot(page) {
+  return page.evaluate((footerSelector, contentSelector) => {
+    const footerElem = document.querySelector(footerSelector);
+    const m = footerElem ? footerElem.innerText.match(/ID\s*:\s*(\d+)/) : null;
+    const contentElem = document.querySelector(contentSelector);
+    return {
+      problemId: m && m[1] ? m[1] : '',
+      questionText: contentElem ? contentElem.innerText.trim() : ''
+    };
+  }, anyOf('questionFooter'), anyOf('questionContent'));
+}
+
+/**
+ * 問題が切り替わるまで待つ関数
+ * 問題文が表示され、かつ問題IDまたは問題文が previous と異なれば切り替わったとみなす
+ * （4連問の2〜4問目は問題IDが変わらないことがあるため、問題文の変化でも判定する）
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @param {{ problemId: string, questionText: string }|null} previous - 切り替え前の questionSnapshot（null なら問題文の表示だけを待つ）
+ * @param {Object} [waits] - config.waits
+ */
+async function waitForQuestionChange(page, previous, waits) {
+  const bounds = resolveWaits(waits);
+  await page.waitForFunction((prev, footerSelector, contentSelector) => {
+    const footerElem = document.querySelector(footerSelector);
+    const m = footerElem ? footerElem.innerText.match(/ID\s*:\s*(\d+)/) : null;
+    const problemId = m && m[1] ? m[1] : '';
+    const contentElem = document.querySelector(contentSelector);
+    const questionText = contentElem ? contentElem.innerText.trim() : '';
+    if (questionText === '') return false;
+    return !prev || problemId !== prev.problemId || questionText !== prev.questionText;
+  }, { timeout: bounds.question, polling: 'mutation' }, previous || null, anyOf('questionFooter'), anyOf('questionContent'));
+}
+
+/**
+ * ボタンをクリックし、次の問題に切り替わるまで待つ関数
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @param {string} selector - クリックするボタンのセレクタ
+ * @param {Object} [waits] - config.waits
+ */
+async function clickAndWaitForQuestionChange(page, selector, waits) {
+  const previous = await questionSnapshot(page);
+  const clicked = await page.evaluate((sel) => {
+    const btn = document.querySelector(sel);
+    if (btn) btn.click();
+    return Boolean(btn);
+  }, selector);
+  if (!clicked) {
+    throw new Error(`ボタンが見つかりませんでした: ${selector}`);
+  }
+  await waitForQuestionChange(page, previous, waits);
+}
+
+/**
+ * 通信が落ち着くまで待つ関数
+ * 常時通信しているページもあるため、上限を超えてもエラーにはせず続行する
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @param {Object} [waits] - config.waits
+ * @returns {Promise<boolean>} - 上限内に落ち着いたら true
+ */
+async function waitForNetworkIdle(page, waits) {
+  const bounds = resolveWaits(waits);
+  try {
+    await page.waitForNetworkIdle({ idleTime: bounds.idleTime, timeout: bounds.networkIdle });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * ページ内の画像がすべて読み込み完了（img.complete）になるまで待つ関数
+ * 読み込みに失敗した画像も complete になるので、上限を超えたときだけ警告して続行する
+ * @param {Page} page - Puppeteer の page インスタンス
+ * @param {Object} [waits] - config.waits
+ * @returns {Promise<boolean>} - 上限内に読み込みが終わったら true
+ */
+async function waitForImages(page, waits) {
+  const bounds = resolveWaits(waits);
+  try {
+    await page.waitForFunction(
+      () => Array.from(document.images).every(img => img.complete),
+      { timeout: bounds.images, polling: 100 }
+    );
+    return true;
+  } catch (err) {
+    console.warn(`画像の読み込みが ${bounds.images} ms 以内に終わりませんでした。読み込めた分で続行します。`);
+    return false;
+  }
+}
+
+module.exports = {
+  WAIT_DEFAULTS,
+  resolveWaits,
+  questionSnapshot,
+  waitForQuestionChange,
+  clickAndWaitForQuestionChange,
+  waitForNetworkIdle,
+  waitForImages
+};
@@ -0,0 +1,39 @@
+// モックの問題ページの動作（実際のサイトと同じく、クリック後に少し遅れて表示が変わる）
+// - 「解答を確認する」: 解説パネル（div.questionResult）を表示する
+// - 4連問（#sub-questions がある場合）: 「次へ」で次の小問の問題文に切り替え、最後の小問でボタンを「解答を確認する」にする
+// - 「次の問題へ」: data-next の問題ページへ遷移する
+(function () {
+  var DELAY = 150;
+  var answerButton = document.querySelector('#answerCbtSection > div.btn');
+  var result = document.querySelector('div.questionResult');
+  var nextButton = document.querySelector('div.toNextWrapper--btn');
+  var subData = document.getElementById('sub-questions');
+  var subQuestions = subData ? JSON.parse(subData.textContent) : null;
+  var subIndex = 0;
+
+  if (answerButton) {
+    answerButton.addEventListener('click', function () {
+      if (subQuestions && subIndex < subQuestions.length - 1) {
+        subIndex++;
+        setTimeout(function () {
+          document.querySelector('div.question-content .body p').textContent = subQuestions[subIndex];
+          if (subIndex === subQuestions.length - 1) {
+            answerButton.textContent = '解答を確認する';
+          }
+        }, DELAY);
+        return;
+      }
+      setTimeout(function () {
+        result.hidden = false;
+      }, DELAY);
+    });
+  }
+
+  if (nextButton) {
+    nextButton.addEventListener('click', function () {
+      setTimeout(function () {
+        location.href = nextButton.getAttribute('data-next');
+      }, DELAY);
+    });
+  }
+})();
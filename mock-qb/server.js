@@ -0,0 +1,149 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// テスト用のローカルな QB のモックサーバー
+// fixtures/ の HTML（問題ページ）を /Answer/{id} で返し、ログインフォーム・画像・ページ内の動作用スクリプト（mock.js）も返す
+// トップページと問題ページはログイン（Cookie）していないとログイン画面へリダイレクトする
+// options.sessionPages を指定すると、ログインしてからその数の問題ページを開いた後はセッション切れ（ログイン画面へリダイレクト）になる
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+const CLIENT_SCRIPT = path.join(__dirname, 'mock.js');
+const SESSION_COOKIE = 'qb_session';
+
+// モックサーバーで使えるログイン情報
+const MOCK_CREDENTIALS = {
+  email: 'test@example.com',
+  password: 'mock-password'
+};
+
+// 画像として返す 1x1 の PNG
+const PNG_IMAGE = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+/**
+ * リクエストボディ（application/x-www-form-urlencoded）を読み取る関数
+ */
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, contentType, body) {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(body);
+}
+
+function redirect(res, location, headers = {}) {
+  res.writeHead(302, { Location: location, ...headers });
+  res.end();
+}
+
+/**
+ * fixture の HTML を読み込み、{{origin}} をサーバーの URL に置き換えて mock.js を差し込む関数
+ */
+function renderFixture(fileName, origin) {
+  const html = fs.readFileSync(path.join(FIXTURE_DIR, fileName), 'utf8').replace(/\{\{origin\}\}/g, origin);
+  return html.replace('</body>', '<script src="/mock.js"></script>\n</body>');
+}
+
+/**
+ * リクエストの Cookie からセッションIDを取り出す関数
+ */
+function sessionIdOf(req) {
+  const match = (req.headers.cookie || '').match(new RegExp(`(?:^|;\\s*)${SESSION_COOKIE}=([^;]+)`));
+  return match ? match[1] : null;
+}
+
+/**
+ * モックサーバーを起動する関数
+ * @param {{ port?: number, sessionPages?: number }} [options] - port を省略すると空いているポートを使う /
+ *   sessionPages: 1回のログインで開ける問題ページの数（省略するとセッションは切れない）
+ * @returns {Promise<{ origin: string, loginUrl: string, logins: () => number, close: () => Promise<void> }>}
+ *   logins: これまでにログインした回数
+ */
+function startMockServer(options = {}) {
+  // セッションID → そのセッションで開いた問題ページの数（セッションが切れたら削除する）
+  const sessions = new Map();
+  let loginCount = 0;
+
+  const server = http.createServer(async (req, res) => {
+    const origin = `http://${req.headers.host}`;
+    const url = new URL(req.url, origin);
+    const sessionId = sessionIdOf(req);
+    const loggedIn = sessions.has(sessionId);
+
+    try {
+      if (url.pathname === '/login' && req.method === 'POST') {
+        const form = await readForm(req);
+        if (form.get('username') === MOCK_CREDENTIALS.email && form.get('password') === MOCK_CREDENTIALS.password) {
+          loginCount++;
+          const newSessionId = `mock-${loginCount}`;
+          sessions.set(newSessionId, 0);
+          return redirect(res, '/', { 'Set-Cookie': `${SESSION_COOKIE}=${newSessionId}; Path=/; HttpOnly` });
+        }
+        return redirect(res, '/login?error=1');
+      }
+      if (url.pathname === '/login') {
+        return send(res, 200, 'text/html; charset=utf-8', renderFixture('login.html', origin));
+      }
+      if (url.pathname === '/') {
+        if (!loggedIn) {
+          return redirect(res, '/login');
+        }
+        return send(res, 200, 'text/html; charset=utf-8', '<!DOCTYPE html><html lang="ja"><body><p>ログインしました</p></body></html>');
+      }
+      if (url.pathname === '/mock.js') {
+        return send(res, 200, 'text/javascript; charset=utf-8', fs.readFileSync(CLIENT_SCRIPT));
+      }
+      if (url.pathname.startsWith('/images/')) {
+        return send(res, 200, 'image/png', PNG_IMAGE);
+      }
+
+      const answer = url.pathname.match(/^\/Answer\/(\d+)$/);
+      if (answer) {
+        if (!loggedIn) {
+          return redirect(res, '/login');
+        }
+        const pages = sessions.get(sessionId) + 1;
+        if (options.sessionPages && pages > options.sessionPages) {
+          sessions.delete(sessionId);
+          return redirect(res, '/login');
+        }
+        sessions.set(sessionId, pages);
+        const fileName = `${answer[1]}.html`;
+        if (!fs.existsSync(path.join(FIXTURE_DIR, fileName))) {
+          return send(res, 404, 'text/html; charset=utf-8', '<!DOCTYPE html><html lang="ja"><body><p>問題が見つかりません</p></body></html>');
+        }
+        return send(res, 200, 'text/html; charset=utf-8', renderFixture(fileName, origin));
+      }
+      send(res, 404, 'text/plain; charset=utf-8', 'Not Found');
+    } catch (err) {
+      send(res, 500, 'text/plain; charset=utf-8', String(err));
+    }
+  });
+
+  return new Promise((resolve) => {
+    server.listen(options.port || 0, '127.0.0.1', () => {
+      const origin = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        origin,
+        loginUrl: `${origin}/login`,
+        logins: () => loginCount,
+        close: () => new Promise(done => server.close(() => done()))
+      });
+    });
+  });
+}
+
+module.exports = {
+  MOCK_CREDENTIALS,
+  startMockServer
+};
@@ -0,0 +1,981 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const puppeteer = require('puppeteer');
+
+const single = require('./QB_Scrape_Ver.3.js');
+const renzoku = require('./QB_Scrape_4continues_ver.1.js');
+const merge = require('./QB_Scrape_merge_ver.1.js');
+const { loadConfig, assertCredentials } = require('./lib/config.js');
+const { saveDump, loadDump, openImageStore, inlineImages } = require('./lib/dump.js');
+const { exportAnki } = require('./lib/anki.js');
+const { exportMarkdown } = require('./lib/markdown.js');
+const { exportHtml } = require('./lib/html.js');
+const { readCheckpoint, rewriteCheckpoint, completedProblemIds, lastProblemId } = require('./lib/checkpoint.js');
+const { resolveIds, problemUrl, orderByIds, scrapeByIdsInParallel } = require('./lib/targets.js');
+const { STOP_REASONS, describeStopReason } = require('./lib/end-of-set.js');
+const { anyOf, clickFirst } = require('./lib/selectors.js');
+const { parseStages, reportSelectors } = require('./lib/doctor.js');
+const { restoreSession, saveSession, isLoginPage, createSessionGuard } = require('./lib/session.js');
+const { stepError, reportFailures, saveFailures, loadFailures, mergeFailures, patchItems } = require('./lib/failures.js');
+const { buildReport, printReport, saveReport } = require('./lib/report.js');
+const { setVerbose } = require('./lib/log.js');
+const { createProgress } = require('./lib/progress.js');
+const { handleInterrupts } = require('./lib/interrupt.js');
+const { getRequestContext } = require('./lib/image-fetch.js');
+const { createThrottle } = require('./lib/throttle.js');
+const { resolveImageLayout } = require('./lib/image-layout.js');
+const { resolveImageQuality } = require('./lib/image-quality.js');
+
+// 並列で開くタブ数の上限（増やしすぎるとサイトに負荷がかかり、メモリも不足する）
+const MAX_CONCURRENCY = 6;
+
+const USAGE = `使い方: qb-scrape <コマンド> [オプション]
+
+コマンド:
+  single    通常問題（問題・解説・基本事項）をスクレイピングしてPDFを生成
+  renzoku   4連問の解説をスクレイピングしてPDFを生成
+  merge     4連問の解説をスクレイピングし、ベースPDF（QB公式の問題PDF）に差し込む
+  render    保存済みのスクレイピング結果（--dump）からブラウザなしでPDFを生成
+  export-anki  保存済みのスクレイピング結果（--dump）から Anki デッキ（.apkg）を生成
+  export-md    保存済みのスクレイピング結果（--dump）から Markdown（Obsidian 保管庫）を生成
+  export-html  保存済みのスクレイピング結果（--dump）からオフラインで見られる HTML ビューアを生成
+  doctor    保存したページ（--html）または実際のページで、各要素のセレクタが一致するかを確認
+  rescrape  保存済みのスクレイピング結果（--dump）の failures.json にある問題だけを取得し直し、結果に差し込む
+
+オプション:
+  --start-url <url>   最初の問題ページ（連続で出てくるモードのURL）
+  --count <n>         スクレイピングする問題数の上限（省略時はセットの終わりまで自動で取得）
+  --ids <list>        問題IDを直接指定して1問ずつ開く（例: 2014100430,2014100432-2014100440）
+                      指定時は --start-url / --count は不要
+  --ids-file <path>   問題IDのリストファイル（1行1件・範囲指定可・# 以降はコメント）
+  --retries <n>       1問の取得に失敗したときに再試行する回数（既定: 2）
+  --retry-backoff <ms>  1回目の再試行までの待ち時間（既定: 2000。以降は2倍ずつ延ばす）
+  --min-quality <0-1> 実行レポートの品質（項目の充足率の平均）の下限。下回ると終了コード1（既定: 0.9、0 で判定しない）
+  --concurrency <n>   --ids 指定時に並列で開くタブ数（既定: 2、最大: ${MAX_CONCURRENCY}）
+  --min-delay <ms>    問題ページを開く（次の問題へ進む）間隔の最小値（既定: 1000。並列のタブ全体での間隔）
+  --jitter <ms>       間隔に加えるランダムな待ち時間の上限（既定: 1000）
+  --per-hour <n>      直近1時間に開く問題ページ数の上限。達したら自動で一時停止・再開する（既定: 0 = 制限なし）
+  --per-day <n>       直近24時間に開く問題ページ数の上限（実行をまたいで数える。既定: 0 = 制限なし）
+  --out <name>        出力PDFのファイル名（拡張子なし。merge は <name>_merged.pdf）
+  --base-pdf <path>   merge で使うベースPDF（既定: 4B.pdf）
+  --out-dir <dir>     出力先ディレクトリ（既定: カレントディレクトリ）
+  --config <path>     設定ファイル（既定: ./.qbrc → ~/.qbrc）
+  --headed            ブラウザを表示して実行する
+  --partial-pdf       Ctrl-C・エラーで中断したときに、途中までの PDF（<out>_partial.pdf）も生成する
+  --image-appendix    PDF の末尾に全画像を横幅いっぱいに載せた付録を付け、本文の画像から「図 N」でリンクする（merge では無効）
+  --quality <preset>  PDF に埋め込む画像を縮小・圧縮する（print: 300dpi / tablet: 150dpi / small: 96dpi。省略時は圧縮しない）
+  --jpeg-quality <n>  写真を JPEG にするときの画質（1〜100。既定はプリセットによる）
+  --grayscale         PDF に埋め込む画像をグレースケールにする（印刷用）
+  -v, --verbose       各問題の開始・所要時間の内訳・取得したデータ（画像は省略）などの詳細ログを表示する
+  --budget-file <path>  --per-hour / --per-day のために問題ページを開いた時刻を記録するファイル（既定: .qb-budget.json）
+  --session <path>    ログイン後の Cookie を保存し、次回以降はログインせずに再利用するファイル
+  --user-data-dir <dir>  Chromium のプロファイル（Cookie を含む）を保存して再利用するディレクトリ
+  --checkpoint <path> 1問ごとに結果を追記するチェックポイント（既定: <out>.checkpoint.jsonl）
+  --resume            チェックポイントの続きから再開する（取得済みの問題は再取得しない）
+  --dump <dir>        スクレイピング結果（JSON＋画像）の保存先 / render の読み込み元
+                      （既定: <out>_data）
+  --deck <name>       export-anki のデッキ名（既定: ダンプのタイトル）
+  --vault <dir>       export-md の書き出し先（既定: <out-dir>/QB_vault）
+  --html <path>       doctor で確認する保存済みのページ（HTML ファイル）。省略時はログインして実際のページを確認
+  --stage <list>      --html で確認する画面（login,question,answer のカンマ区切り。既定: question,answer）
+  -h, --help          このヘルプを表示
+
+ログイン情報・設定の優先順位:
+  コマンドライン引数 > 環境変数(QB_EMAIL, QB_PASSWORD, QB_LOGIN_URL, QB_BASE_URL, QB_HEADLESS, QB_OUT_DIR,
+  QB_CONCURRENCY, QB_RETRIES, QB_RETRY_BACKOFF, QB_SESSION_FILE, QB_USER_DATA_DIR, QB_MIN_QUALITY,
+  QB_PARTIAL_PDF, QB_BUDGET_FILE, QB_IMAGE_APPENDIX, QB_QUALITY)
+  > 設定ファイル(.qbrc, JSON/YAML) > 既定値
+  メールアドレス・パスワードが未設定の場合は、ターミナル上で入力を求めます。`;
+
+/**
+ * コマンドライン引数を解析し、コマンド名とオプションを返す関数
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{ command: string, options: Object }}
+ */
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: {
+      'start-url': { type: 'string' },
+      count: { type: 'string' },
+      ids: { type: 'string' },
+      'ids-file': { type: 'string' },
+      retries: { type: 'string' },
+      'retry-backoff': { type: 'string' },
+      'min-quality': { type: 'string' },
+      concurrency: { type: 'string' },
+      'min-delay': { type: 'string' },
+      jitter: { type: 'string' },
+      'per-hour': { type: 'string' },
+      'per-day': { type: 'string' },
+      'budget-file': { type: 'string' },
+      out: { type: 'string' },
+      'base-pdf': { type: 'string' },
+      'out-dir': { type: 'string' },
+      config: { type: 'string' },
+      headed: { type: 'boolean' },
+      'partial-pdf': { type: 'boolean' },
+      'image-appendix': { type: 'boolean' },
+      quality: { type: 'string' },
+      'jpeg-quality': { type: 'string' },
+      grayscale: { type: 'boolean' },
+      verbose: { type: 'boolean', short: 'v' },
+      session: { type: 'string' },
+      'user-data-dir': { type: 'string' },
+      checkpoint: { type: 'string' },
+      resume: { type: 'boolean' },
+      dump: { type: 'string' },
+      deck: { type: 'string' },
+      vault: { type: 'string' },
+      html: { type: 'string' },
+      stage: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    },
+    allowPositionals: true
+  });
+
+  const options = {
+    startUrl: values['start-url'],
+    count: values.count !== undefined ? Number(values.count) : undefined,
+    ids: values.ids,
+    idsFile: values['ids-file'],
+    out: values.out !== undefined ? values.out.replace(/\.pdf$/i, '') : undefined,
+    basePdf: values['base-pdf'],
+    configPath: values.config,
+    checkpoint: values.checkpoint,
+    resume: Boolean(values.resume),
+    dump: values.dump,
+    deck: values.deck,
+    vault: values.vault,
+    html: values.html,
+    stage: values.stage,
+    verbose: Boolean(values.verbose),
+    help: Boolean(values.help)
+  };
+  // アクセス間隔・上限（指定したキーだけを config.throttle に上書きする）
+  const throttle = {};
+  for (const [key, flag] of [['minDelay', 'min-delay'], ['jitter', 'jitter'], ['perHour', 'per-hour'], ['perDay', 'per-day']]) {
+    if (values[flag] !== undefined) {
+      throttle[key] = values[flag];
+    }
+  }
+  // 画像の圧縮のプリセットへの上書き（指定したキーだけを config.imageQuality に上書きする）
+  const imageQuality = {};
+  if (values['jpeg-quality'] !== undefined) {
+    imageQuality.jpegQuality = values['jpeg-quality'];
+  }
+  if (values.grayscale) {
+    imageQuality.grayscale = true;
+  }
+  // 設定ファイル・環境変数より優先する設定値
+  options.configOverrides = {
+    outDir: values['out-dir'],
+    headless: values.headed ? false : undefined,
+    partialPdf: values['partial-pdf'] ? true : undefined,
+    imageAppendix: values['image-appendix'] ? true : undefined,
+    quality: values.quality,
+    imageQuality: Object.keys(imageQuality).length > 0 ? imageQuality : undefined,
+    concurrency: values.concurrency,
+    retries: values.retries,
+    retryBackoff: values['retry-backoff'],
+    minQuality: values['min-quality'],
+    throttle: Object.keys(throttle).length > 0 ? throttle : undefined,
+    budgetFile: values['budget-file'],
+    sessionFile: values.session,
+    userDataDir: values['user-data-dir']
+  };
+  return { command: positionals[0], options };
+}
+
+/**
+ * スクレイピング系コマンドに共通する必須オプションを検証する関数
+ * @param {Object} options - parseCommandLine で得たオプション
+ */
+function validateScrapeOptions(options) {
+  // 問題ID指定のときは開始URL・問題数は不要
+  options.targetIds = resolveIds(options);
+  if (options.targetIds) {
+    return;
+  }
+  if (!options.startUrl) {
+    throw new Error('--start-url を指定してください');
+  }
+  if (options.count !== undefined && (!Number.isInteger(options.count) || options.count <= 0)) {
+    throw new Error('--count には1以上の整数を指定してください');
+  }
+}
+
+/**
+ * 設定を読み込み、ログイン情報が揃っていることを確認する関数
+ * @param {Object} options - parseCommandLine で得たオプション
+ * @returns {Promise<Object>}
+ */
+async function loadRunConfig(options) {
+  const config = await loadConfig(options.configOverrides, { configPath: options.configPath });
+  assertCredentials(config);
+  const concurrency = Number(config.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    throw new Error(`--concurrency（concurrency）には1〜${MAX_CONCURRENCY}の整数を指定してください`);
+  }
+  config.concurrency = concurrency;
+  const retries = Number(config.retries);
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new Error('--retries（retries）には0以上の整数を指定してください');
+  }
+  config.retries = retries;
+  const retryBackoff = Number(config.retryBackoff);
+  if (!Number.isFinite(retryBackoff) || retryBackoff < 0) {
+    throw new Error('--retry-backoff（retryBackoff）には0以上の数値（ms）を指定してください');
+  }
+  config.retryBackoff = retryBackoff;
+  const minQuality = Number(config.minQuality);
+  if (!Number.isFinite(minQuality) || minQuality < 0 || minQuality > 1) {
+    throw new Error('--min-quality（minQuality）には0〜1の数値を指定してください');
+  }
+  config.minQuality = minQuality;
+  validateThrottle(config);
+  config.imageLayout = resolveImageLayout(config.imageLayout);
+  config.imageQuality = resolveImageQuality(config);
+  return config;
+}
+
+/**
+ * アクセス間隔・上限（config.throttle）を数値に変換して検証する関数
+ * @param {Object} config - loadConfig の戻り値
+ */
+function validateThrottle(config) {
+  const throttle = {};
+  for (const [key, value] of Object.entries(config.throttle)) {
+    const number = Number(value);
+    if (['perHour', 'perDay'].includes(key)) {
+      if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`throttle.${key} には0以上の整数を指定してください（0 なら制限しない）`);
+      }
+    } else if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`throttle.${key} には0以上の数値（ms）を指定してください`);
+    }
+    throttle[key] = number;
+  }
+  config.throttle = throttle;
+}
+
+/**
+ * 各スクリプトの generatePdf に渡すオプションを作る関数
+ * throttle: 画像を URL から取得する間隔（中断後に途中までの PDF を生成するときも間隔を空けるよう、signal は渡さない）/
+ * imageStore: 参照の画像の読み込み先 / imageLayout: 画像の並べ方（config.imageLayout。lib/image-layout.js）/
+ * imageAppendix: 末尾に全画像の付録を付けるか（lib/image-appendix.js）/ imageQuality: 画像の圧縮の設定（lib/image-quality.js。null なら圧縮しない）/
+ * imageTimeout: 画像を URL から取得するのを待つ上限（config.waits.images）
+ * @param {Object} config - loadRunConfig の戻り値（render では loadConfig の戻り値）
+ * @param {Object} [imageStore] - openImageStore の戻り値
+ */
+function createPdfOptions(config, imageStore) {
+  return {
+    throttle: createThrottle(config.throttle),
+    imageStore,
+    imageLayout: config.imageLayout,
+    imageAppendix: config.imageAppendix,
+    imageQuality: config.imageQuality,
+    imageTimeout: config.waits.images
+  };
+}
+
+/**
+ * 出力ファイル名に出力先ディレクトリを付与する関数（ディレクトリがなければ作成する）
+ */
+function resolveOutput(config, fileName) {
+  fs.mkdirSync(config.outDir, { recursive: true });
+  return path.join(config.outDir, fileName);
+}
+
+/**
+ * チェックポイントを準備する関数
+ * --resume 指定時は取得済みデータを読み込み、最後に取得した問題のページから再開する
+ * @param {Object} options - parseCommandLine で得たオプション
+ * @param {string} fileName - 出力ファイル名（チェックポイントの既定名に使用）
+ * @returns {{ checkpointPath: string, entries: Array<Object>, completedIds: Set<string>, startUrl: string, remaining: number }}
+ */
+function prepareCheckpoint(options, fileName) {
+  const checkpointPath = options.checkpoint || `${fileName}.checkpoint.jsonl`;
+  if (!options.resume && fs.existsSync(checkpointPath) && fs.statSync(checkpointPath).size > 0) {
+    throw new Error(`チェックポイントが既に存在します: ${checkpointPath}\n続きから再開する場合は --resume を付け、最初からやり直す場合はファイルを削除してください`);
+  }
+
+  const entries = options.resume ? readCheckpoint(checkpointPath) : [];
+  const lastId = lastProblemId(entries);
+  if (options.resume) {
+    rewriteCheckpoint(checkpointPath, entries);
+    console.log(`チェックポイントから ${entries.length} 問分を読み込みました。` + (lastId ? `（最終問題ID: ${lastId}）` : ''));
+  }
+  return {
+    checkpointPath,
+    entries,
+    completedIds: completedProblemIds(entries),
+    startUrl: lastId && options.startUrl ? problemUrl(options.startUrl, lastId) : options.startUrl,
+    remaining: options.count !== undefined ? Math.max(options.count - entries.length, 0) : Infinity
+  };
+}
+
+/**
+ * ダンプの保存先ディレクトリを返す関数
+ */
+function dumpDir(options, fileName) {
+  return options.dump || `${fileName}_data`;
+}
+
+/**
+ * ログイン済みのタブに加えて、同じブラウザ（ログインセッションを共有する）にタブを開く関数
+ * @param {Page} page - ログイン済みのタブ
+ * @param {Object} config - loadRunConfig の戻り値
+ * @param {number} count - 必要なタブの総数（page を含む）
+ * @returns {Promise<Page[]>} - 先頭は page
+ */
+async function openWorkerPages(page, config, count) {
+  const pages = [page];
+  for (let k = 1; k < count; k++) {
+    const workerPage = await page.browser().newPage();
+    setupPage(workerPage, config);
+    pages.push(workerPage);
+  }
+  return pages;
+}
+
+/**
+ * 問題IDを直接指定してスクレイピングする（--ids / --ids-file）
+ * config.concurrency 個のタブで並列に取得し、
+ * 取得済み（チェックポイント）の結果と合わせて、指定した問題IDの順に並べて返す
+ * @param {Page} page
+ * @param {Object} options - parseCommandLine で得たオプション（validateScrapeOptions 済み）
+ * @param {Object} config - loadRunConfig の戻り値
+ * @param {Object} checkpoint - prepareCheckpoint の戻り値
+ * @param {(page: Page, label: string, imageOptions: Object) => Promise<Object|null>} scrapeOne - 表示中の問題を1問分取得する関数
+ * @param {{ session: Object, progress: Object, signal?: AbortSignal, throttle?: Object, imageStore?: Object }} context
+ *   session: createSessionGuard の戻り値（セッション切れからの復帰）/ progress: createProgress の戻り値（進捗の表示）/
+ *   signal: 中断（lib/interrupt.js）/ throttle: createThrottle の戻り値（アクセス間隔・上限。並列のタブで共有する）/
+ *   imageStore: 画像の保存先（lib/image-store.js）
+ * @returns {Promise<{ items: Array<Object>, stopReason: string, failures: Array<Object>, timings: Object<string, number> }>}
+ */
+async function scrapeTargetIds(page, options, config, checkpoint, scrapeOne, { session, progress, signal, throttle, imageStore }) {
+  const pendingCount = options.targetIds.filter(id => !checkpoint.completedIds.has(id)).length;
+  const pages = await openWorkerPages(page, config, Math.max(Math.min(config.concurrency, pendingCount), 1));
+  let outcome;
+  try {
+    outcome = await scrapeByIdsInParallel(pages, options.targetIds, scrapeOne, {
+      baseUrl: config.baseUrl,
+      retries: config.retries,
+      retryBackoff: config.retryBackoff,
+      checkpointPath: checkpoint.checkpointPath,
+      completedIds: checkpoint.completedIds,
+      session,
+      progress,
+      signal,
+      throttle,
+      imageStore
+    });
+  } finally {
+    // 追加で開いたタブだけ閉じる（先頭のタブは PDF 生成時の Cookie 取得に使う）
+    await Promise.all(pages.slice(1).map(workerPage => workerPage.close()));
+  }
+  const { results, failures, timings, interrupted } = outcome;
+  return {
+    items: orderByIds(options.targetIds, [...checkpoint.entries, ...results]),
+    stopReason: interrupted ? STOP_REASONS.INTERRUPTED : STOP_REASONS.ID_LIST,
+    failures,
+    timings
+  };
+}
+
+/**
+ * 問題ID指定（--ids）なら1問ずつ直接、そうでなければ開始ページから「次の問題へ」で連続してスクレイピングする
+ * 途中でセッションが切れてログイン画面に戻された場合は、ログインし直して同じ問題から続ける
+ * 取得中は進捗（lib/progress.js）を表示する。問題数がわかる場合（--ids・--count）は残り時間も表示する
+ * @param {Page} page
+ * @param {Object} options - parseCommandLine で得たオプション（validateScrapeOptions 済み）
+ * @param {Object} config - loadRunConfig の戻り値
+ * @param {Object} checkpoint - prepareCheckpoint の戻り値
+ * @param {{ scrapeChain: Function, scrapeOne: Function }} scraper
+ *   scrapeChain(page, numPages, options): 連続してスクレイピングし { results, stopReason } を返す関数
+ *   scrapeOne(page, label, imageOptions): 表示中の問題を1問分取得する関数（失敗時は null または例外）
+ * @param {{ signal?: AbortSignal, throttle?: Object, imageStore?: Object }} [runtime]
+ *   signal: 中断（lib/interrupt.js）。中断されたら今の問題の後で終了する（終了理由は STOP_REASONS.INTERRUPTED）/
+ *   throttle: アクセス間隔・上限（lib/throttle.js の createThrottle の戻り値）/
+ *   imageStore: 画像の保存先（lib/image-store.js）
+ * @returns {Promise<{ items: Array<Object>, stopReason: string, failures: Array<Object>, timings: Object<string, number> }>}
+ *   failures は再試行しても取得できなかった問題（lib/failures.js の failureEntry）、timings は今回取得した問題の問題IDごとの所要時間（ms）
+ */
+async function scrapeItems(page, options, config, checkpoint, scraper, { signal, throttle, imageStore } = {}) {
+  const session = createSessionGuard({
+    loginUrl: config.loginUrl,
+    login: (loginPage) => loginAndSaveSession(loginPage, config)
+  });
+  if (options.targetIds) {
+    const progress = createProgress({ total: options.targetIds.filter(id => !checkpoint.completedIds.has(id)).length });
+    try {
+      return await scrapeTargetIds(page, options, config, checkpoint, scraper.scrapeOne, { session, progress, signal, throttle, imageStore });
+    } finally {
+      progress.finish();
+    }
+  }
+  if (options.configOverrides.concurrency !== undefined && config.concurrency > 1) {
+    console.log('「次の問題へ」で連続して取得するモードは並列化できないため、1タブで取得します（--concurrency は --ids 指定時のみ有効）');
+  }
+  const progress = createProgress({ total: checkpoint.remaining });
+  let outcome;
+  try {
+    outcome = await scraper.scrapeChain(page, checkpoint.remaining, {
+      ...checkpoint,
+      waits: config.waits,
+      session,
+      progress,
+      signal,
+      throttle,
+      imageStore,
+      retries: config.retries,
+      retryBackoff: config.retryBackoff
+    });
+  } finally {
+    progress.finish();
+  }
+  const { results, stopReason, failures, timings } = outcome;
+  return { items: [...checkpoint.entries, ...results], stopReason, failures, timings };
+}
+
+/**
+ * 取得結果を監査した実行レポートをダンプディレクトリの report.json に保存し、要約を表示する
+ * 品質が下限（config.minQuality）を下回った場合は終了コードを1にする
+ * @param {string} dirPath - ダンプディレクトリ
+ * @param {Object} config - loadRunConfig の戻り値
+ * @param {Object} params - lib/report.js の buildReport に渡す内容（minQuality 以外）
+ */
+function saveRunReport(dirPath, config, params) {
+  const report = buildReport({ ...params, minQuality: config.minQuality });
+  saveReport(dirPath, report);
+  printReport(report);
+  if (!report.summary.passed) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * スクレイピング結果をダンプに保存し、取得数と終了理由を表示する
+ * 取得できなかった問題はダンプディレクトリの failures.json に保存し（--resume 時は前回の分と合わせる）、終了コードを1にする
+ * あわせて実行レポート（report.json）を保存する
+ * @param {Object} options - parseCommandLine で得たオプション
+ * @param {Object} config - loadRunConfig の戻り値
+ * @param {string} fileName - 出力ファイル名
+ * @param {{ kind: 'single'|'renzoku', source: string, imageStore: Object }} dumpType - スクレイピングの種類と、取得したスクレイパー（single / renzoku / merge）、
+ *   画像を保存した画像ストア（openImageStore の戻り値。索引をダンプと一緒に書く）
+ * @param {{ items: Array<Object>, stopReason: string, failures: Array<Object>, timings: Object<string, number> }} outcome - scrapeItems の戻り値
+ */
+function saveRunDump(options, config, fileName, { kind, source, imageStore }, { items, stopReason, failures, timings }) {
+  const dirPath = dumpDir(options, fileName);
+  const title = path.basename(fileName);
+  saveDump(dirPath, kind, items, { source, title, stopReason, imageStore });
+  const allFailures = mergeFailures(options.resume ? loadFailures(dirPath) : [], failures, items);
+  saveFailures(dirPath, kind, allFailures);
+  console.log(`取得済み: ${items.length} 問（終了理由: ${describeStopReason(stopReason)}）`);
+  if (allFailures.length > 0) {
+    console.warn(`取得できなかった問題: ${allFailures.length} 問`);
+    process.exitCode = 1;
+  }
+  saveRunReport(dirPath, config, { kind, title, stopReason, items, failures: allFailures, timings });
+}
+
+// 通常問題（QB_Scrape_Ver.3.js）のスクレイパー（waits: 待機の上限 config.waits）
+const singleScraper = (waits) => ({
+  scrapeChain: single.scrapeQuestions,
+  scrapeOne: async (page, label, imageOptions) => {
+    await single.waitForQuestionPage(page, waits);
+    return single.scrapeCurrentQuestion(page, label, waits, imageOptions);
+  }
+});
+
+// 4連問（QB_Scrape_4continues_ver.1.js / QB_Scrape_merge_ver.1.js）のスクレイパー
+// 1問分の取得では再試行しない（問題ID指定の再試行は scrapeByIds が行う）
+const renzokuScraper = (module, waits) => ({
+  scrapeChain: module.scrape,
+  scrapeOne: async (page, label, { signal, ...imageOptions }) => {
+    // 中断の signal は画像のダウンロードにだけ使う（scrape の signal にすると、中断後に開いた問題を取得せずに終える）
+    const { results, failures } = await module.scrape(page, 1, { waits, retries: 0, ...imageOptions, imageSignal: signal });
+    if (failures.length > 0) {
+      throw stepError(failures[0].step, new Error(failures[0].error));
+    }
+    return results[0] || null;
+  }
+});
+
+/**
+ * ダンプを取得したときと同じスクレイパーを返す関数（rescrape 用）
+ * source を記録する前のダンプは、種類（kind）から通常問題・4連問のスクレイパーを選ぶ
+ * @param {{ kind: string, source?: string }} dump - loadDump の戻り値
+ * @param {Object} waits - config.waits
+ */
+function scraperForDump(dump, waits) {
+  const source = dump.source || dump.kind;
+  if (source === 'single') return singleScraper(waits);
+  if (source === 'renzoku') return renzokuScraper(renzoku, waits);
+  if (source === 'merge') return renzokuScraper(merge, waits);
+  throw new Error(`不明なダンプの種類です: ${source}`);
+}
+
+/**
+ * タブに設定のタイムアウトを適用する関数
+ */
+function setupPage(page, config) {
+  page.setDefaultTimeout(config.timeouts.default);
+  page.setDefaultNavigationTimeout(config.timeouts.navigation);
+}
+
+/**
+ * ログイン画面を開いている page でログインする関数
+ * 送信後もログイン画面のままなら、メールアドレス・パスワードの誤りとしてエラーにする
+ * （そのまま問題ページへ進むと、問題文の待機がタイムアウトするまで失敗の原因がわからない）
+ * @param {Page} page
+ * @param {Object} config - loadRunConfig の戻り値
+ */
+async function login(page, config) {
+  await page.waitForSelector(anyOf('loginUsername'), { visible: true });
+  await page.type(anyOf('loginUsername'), config.email);
+  await page.waitForSelector(anyOf('loginPassword'), { visible: true });
+  await page.type(anyOf('loginPassword'), config.password);
+  await Promise.all([
+    // 同じ画面にエラーが表示されるだけで遷移しない場合もあるので、タイムアウトしても下で判定する
+    page.waitForNavigation({ waitUntil: 'networkidle2' }).catch(() => {}),
+    page.click(anyOf('loginSubmit'))
+  ]);
+  if (await isLoginPage(page, config.loginUrl)) {
+    throw new Error('ログインに失敗しました。メールアドレス・パスワード（QB_EMAIL / QB_PASSWORD・.qbrc）を確認してください');
+  }
+}
+
+/**
+ * ログイン画面を開いてログインし、sessionFile が設定されていれば Cookie を保存する関数
+ * @param {Page} page
+ * @param {Object} config - loadRunConfig の戻り値
+ */
+async function loginAndSaveSession(page, config) {
+  await page.goto(config.loginUrl, { waitUntil: 'networkidle2' });
+  await login(page, config);
+  if (config.sessionFile) {
+    await saveSession(page, config.sessionFile);
+    console.log(`セッションを保存しました: ${config.sessionFile}`);
+  }
+}
+
+/**
+ * 保存済みのセッション（sessionFile の Cookie / userDataDir のプロファイル）でログイン済みかを確かめ、
+ * セッションがない・拒否された（ログイン画面へ戻された）場合だけログイン画面でログインする関数
+ * ログインしたときは、sessionFile に Cookie を保存する
+ * @param {Page} page
+ * @param {Object} config - loadRunConfig の戻り値
+ * @param {string} checkUrl - セッションの確認に開くページ（最初の問題ページなど）
+ */
+async function ensureLoggedIn(page, config, checkUrl) {
+  const restored = config.sessionFile ? await restoreSession(page, config.sessionFile) : false;
+  if (restored || config.userDataDir) {
+    await page.goto(checkUrl, { waitUntil: 'networkidle2' });
+    if (!(await isLoginPage(page, config.loginUrl))) {
+      console.log('保存済みのセッションでログイン済みのため、ログインを省略します。');
+      return;
+    }
+    console.log('保存済みのセッションが無効なため、ログインし直します。');
+  }
+  await loginAndSaveSession(page, config);
+}
+
+/**
+ * ブラウザを起動してログインし、最初の問題ページを開いた状態で callback を実行する関数
+ * 終了時（エラー時・Ctrl-C で中断したときも含む）には必ずブラウザを閉じる
+ * 実行中の Ctrl-C・SIGTERM・捕捉されなかった例外は lib/interrupt.js で受け取り、callback に渡す signal を中断済みにする
+ * @param {Object} config - loadRunConfig の戻り値
+ * @param {string} [startUrl] - 最初の問題ページ
+ * @param {(page: Page, signal: AbortSignal) => Promise<void>} callback
+ */
+async function withLoggedInPage(config, startUrl, callback) {
+  const interrupt = handleInterrupts();
+  // Puppeteer の既定では Ctrl-C でブラウザを閉じてすぐに終了してしまうため、取得済みの分を保存できるよう無効にする
+  const browser = await puppeteer.launch({
+    headless: config.headless,
+    userDataDir: config.userDataDir || undefined,
+    handleSIGINT: false,
+    handleSIGTERM: false
+  });
+  try {
+    const page = await browser.newPage();
+    setupPage(page, config);
+
+    // ログイン処理（問題ID指定のときはサイトのトップページでセッションを確認する）
+    await ensureLoggedIn(page, config, startUrl || config.baseUrl);
+
+    // 最初の問題ページへ移動（問題ID指定のときは各問題を直接開くので不要）
+    if (startUrl) {
+      await page.goto(startUrl, { waitUntil: 'domcontentloaded' });
+    }
+
+    await callback(page, interrupt.signal);
+
+    // 実行中に更新された Cookie を次回のために保存し直す
+    if (config.sessionFile) {
+      await saveSession(page, config.sessionFile);
+    }
+  } finally {
+    await browser.close();
+    interrupt.dispose();
+  }
+}
+
+/**
+ * 中断した実行の、途中までの PDF（<fileName>_partial.pdf）を生成する関数（partialPdf 指定時のみ）
+ * 生成に失敗しても、保存済みのダンプから render で作り直せるので、エラーは表示するだけにする
+ * @param {Object} config - loadRunConfig の戻り値
+ * @param {Array<Object>} items - 取得済みの combinedData の配列
+ * @param {string} fileName - 出力ファイル名（拡張子なし）
+ * @param {(items: Array<Object>, fileName: string) => Promise<void>} renderPdf - PDF を生成する関数
+ */
+async function renderPartialPdf(config, items, fileName, renderPdf) {
+  console.log(`途中までの ${items.length} 問分を保存しました。--resume で続きから取得できます。`);
+  if (!config.partialPdf) {
+    console.log('途中までの PDF は --partial-pdf を付けると生成します（render --dump でも生成できます）。');
+    return;
+  }
+  if (items.length === 0) {
+    return;
+  }
+  try {
+    await renderPdf(items, `${fileName}_partial`);
+  } catch (err) {
+    console.error('エラー: 途中までの PDF を生成できませんでした:', err.message || err);
+  }
+}
+
+/**
+ * スクレイピングしてダンプ・実行レポートを保存し、PDF を生成する（single / renzoku / merge の共通部分）
+ * Ctrl-C などで中断した場合は取得済みの分だけを保存し、エラーで止まった場合はチェックポイントから取得済みの分を保存してからエラーを投げ直す
+ * どちらの場合も通常の PDF は生成せず、partialPdf（--partial-pdf）指定時だけ <fileName>_partial.pdf を生成する
+ * 問題ページを開く間隔・1時間/1日あたりの上限は config.throttle（lib/throttle.js）に従う。PDF 生成時の画像の取得にも間隔を空ける
+ * 画像はダンプディレクトリの画像ストア（lib/image-store.js）に保存しながら取得し、PDF の生成時にそこから読み込む
+ * @param {Page} page
+ * @param {AbortSignal} signal - withLoggedInPage から渡される中断の signal
+ * @param {Object} options - parseCommandLine で得たオプション（validateScrapeOptions 済み）
+ * @param {Object} config - loadRunConfig の戻り値
+ * @param {Object} checkpoint - prepareCheckpoint の戻り値
+ * @param {Object} scraper - singleScraper / renzokuScraper の戻り値
+ * @param {{ fileName: string, kind: 'single'|'renzoku', source: string, imageStore: Object, renderPdf: (items: Array<Object>, fileName: string, pdfOptions: Object) => Promise<void> }} output
+ *   source はダンプに記録するスクレイパー（single / renzoku / merge）。imageStore は openImageStore(dumpDir(...)) の戻り値。
+ *   renderPdf の pdfOptions は各スクリプトの generatePdf に渡すオプション（createPdfOptions の戻り値）
+ */
+async function scrapeAndRender(page, signal, options, config, checkpoint, scraper, { fileName, kind, source, imageStore, renderPdf }) {
+  const throttle = createThrottle(config.throttle, { budgetFile: config.budgetFile, signal });
+  const pdfOptions = createPdfOptions(config, imageStore);
+  const render = (items, pdfName) => renderPdf(items, pdfName, pdfOptions);
+  let outcome;
+  try {
+    outcome = await scrapeItems(page, options, config, checkpoint, scraper, { signal, throttle, imageStore });
+  } catch (err) {
+    // 取得できた問題はチェックポイントに1問ずつ追記済みなので、そこから読み直して保存する
+    console.error('スクレイピング中にエラーが発生したため、取得済みの分を保存します。');
+    const entries = readCheckpoint(checkpoint.checkpointPath);
+    const items = options.targetIds ? orderByIds(options.targetIds, entries) : entries;
+    saveRunDump(options, config, fileName, { kind, source, imageStore }, { items, stopReason: STOP_REASONS.ERROR, failures: [], timings: {} });
+    await renderPartialPdf(config, items, fileName, render);
+    throw err;
+  }
+  saveRunDump(options, config, fileName, { kind, source, imageStore }, outcome);
+  if (outcome.stopReason === STOP_REASONS.INTERRUPTED) {
+    await renderPartialPdf(config, outcome.items, fileName, render);
+    return;
+  }
+  await render(outcome.items, fileName);
+}
+
+async function runSingle(options) {
+  validateScrapeOptions(options);
+  const config = await loadRunConfig(options);
+  const fileName = resolveOutput(config, options.out || 'QB');
+  const checkpoint = prepareCheckpoint(options, fileName);
+  const imageStore = openImageStore(dumpDir(options, fileName));
+  await withLoggedInPage(config, checkpoint.startUrl, async (page, signal) => {
+    await scrapeAndRender(page, signal, options, config, checkpoint, singleScraper(config.waits), {
+      fileName,
+      kind: 'single',
+      source: 'single',
+      imageStore,
+      renderPdf: async (items, pdfName, pdfOptions) => {
+        // 取り込めずに URL のまま残った画像は、ログイン中の Cookie・ブラウザの User-Agent を付けて取得する
+        await single.generatePdf(items, pdfName, { ...pdfOptions, ...(await getRequestContext(page)) });
+      }
+    });
+  });
+}
+
+async function runRenzoku(options) {
+  validateScrapeOptions(options);
+  const config = await loadRunConfig(options);
+  const fileName = resolveOutput(config, options.out || '4連問解答');
+  const checkpoint = prepareCheckpoint(options, fileName);
+  const imageStore = openImageStore(dumpDir(options, fileName));
+  await withLoggedInPage(config, checkpoint.startUrl, async (page, signal) => {
+    await scrapeAndRender(page, signal, options, config, checkpoint, renzokuScraper(renzoku, config.waits), {
+      fileName,
+      kind: 'renzoku',
+      source: 'renzoku',
+      imageStore,
+      renderPdf: async (explanationDataArray, pdfName, pdfOptions) => {
+        // PDF生成のため、再度最新の Cookie 情報を取得
+        const { cookieHeader, ...request } = await getRequestContext(page);
+        await renzoku.generatePdf(renzoku.toPdfContents(explanationDataArray), pdfName, cookieHeader, { ...pdfOptions, ...request });
+      }
+    });
+  });
+}
+
+async function runMerge(options) {
+  validateScrapeOptions(options);
+  const config = await loadRunConfig(options);
+  const fileName = resolveOutput(config, options.out || '4連問');
+  const basePdf = options.basePdf || '4B.pdf';
+  const checkpoint = prepareCheckpoint(options, fileName);
+  const imageStore = openImageStore(dumpDir(options, fileName));
+  await withLoggedInPage(config, checkpoint.startUrl, async (page, signal) => {
+    await scrapeAndRender(page, signal, options, config, checkpoint, renzokuScraper(merge, config.waits), {
+      fileName,
+      kind: 'renzoku',
+      source: 'merge',
+      imageStore,
+      renderPdf: async (explanationDataArray, pdfName, pdfOptions) => {
+        const { cookieHeader, ...request } = await getRequestContext(page);
+        const contents = explanationDataArray.map(data => ({
+          explanation: data.explanation
+        }));
+        await merge.mergeScrapedWithBase(contents, basePdf, `${pdfName}_merged.pdf`, cookieHeader, { ...pdfOptions, ...request });
+      }
+    });
+  });
+}
+
+/**
+ * 保存済みのダンプから PDF を生成する（ブラウザは起動しない）
+ * single のダンプは通常のPDF、renzoku のダンプは --base-pdf 指定時のみベースPDFへの差し込み、それ以外は解説PDF
+ */
+async function runRender(options) {
+  if (!options.dump) {
+    throw new Error('--dump にダンプディレクトリを指定してください');
+  }
+  const config = await loadConfig(options.configOverrides, { configPath: options.configPath, interactive: false });
+  validateThrottle(config);
+  config.imageLayout = resolveImageLayout(config.imageLayout);
+  config.imageQuality = resolveImageQuality(config);
+  const { kind, items, imageStore } = loadDump(options.dump);
+  console.log(`ダンプから ${items.length} 問分を読み込みました（種類: ${kind}）。`);
+  // 画像はダンプの画像ストアから読み込む。画像の URL が残っている場合（取得できなかった画像）は、取得する間隔を空ける
+  const pdfOptions = createPdfOptions(config, imageStore);
+
+  if (kind === 'single') {
+    await single.generatePdf(items, resolveOutput(config, options.out || 'QB'), pdfOptions);
+  } else if (kind === 'renzoku' && options.basePdf) {
+    const fileName = resolveOutput(config, options.out || '4連問');
+    const contents = items.map(data => ({ explanation: data.explanation }));
+    await merge.mergeScrapedWithBase(contents, options.basePdf, `${fileName}_merged.pdf`, undefined, pdfOptions);
+  } else if (kind === 'renzoku') {
+    await renzoku.generatePdf(renzoku.toPdfContents(items), resolveOutput(config, options.out || '4連問解答'), undefined, pdfOptions);
+  } else {
+    throw new Error(`不明なダンプの種類です: ${kind}`);
+  }
+}
+
+/**
+ * 保存済みのダンプから Anki デッキ（.apkg）を生成する
+ */
+async function runExportAnki(options) {
+  if (!options.dump) {
+    throw new Error('--dump にダンプディレクトリを指定してください');
+  }
+  const config = await loadConfig(options.configOverrides, { configPath: options.configPath, interactive: false });
+  const { title, items, imageStore } = loadDump(options.dump);
+  const fileName = resolveOutput(config, options.out || title || 'QB');
+  await exportAnki(inlineImages(items, imageStore), `${fileName}.apkg`, { deckName: options.deck, chapter: title });
+}
+
+/**
+ * 保存済みのダンプから Markdown ノート（1問1ファイル＋索引）を生成する
+ */
+async function runExportMarkdown(options) {
+  if (!options.dump) {
+    throw new Error('--dump にダンプディレクトリを指定してください');
+  }
+  const config = await loadConfig(options.configOverrides, { configPath: options.configPath, interactive: false });
+  const { title, items, imageStore } = loadDump(options.dump);
+  const vaultDir = options.vault || resolveOutput(config, 'QB_vault');
+  exportMarkdown(inlineImages(items, imageStore), vaultDir, { chapter: title });
+}
+
+/**
+ * 保存済みのダンプからオフライン用の HTML ビューア（<out>_html/index.html）を生成する
+ */
+async function runExportHtml(options) {
+  if (!options.dump) {
+    throw new Error('--dump にダンプディレクトリを指定してください');
+  }
+  const config = await loadConfig(options.configOverrides, { configPath: options.configPath, interactive: false });
+  const { title, items, imageStore } = loadDump(options.dump);
+  const outDir = resolveOutput(config, `${options.out || title || 'QB'}_html`);
+  exportHtml(inlineImages(items, imageStore), outDir, { title });
+}
+
+/**
+ * 保存済みのダンプの failures.json にある問題だけを問題IDで直接開いて取得し直し、ダンプに差し込む
+ * 取得できた問題は failures.json から除く。PDF などは render / export-* で作り直す
+ * 取得し直した問題は1問ずつチェックポイント（既定: ダンプディレクトリの rescrape.checkpoint.jsonl）に追記し、
+ * 途中で落ちた場合は次の rescrape でチェックポイントの分を差し込んでから残りを取得する（差し込み終えたら削除する）
+ */
+async function runRescrape(options) {
+  if (!options.dump) {
+    throw new Error('--dump にダンプディレクトリを指定してください');
+  }
+  const dump = loadDump(options.dump);
+  const failures = loadFailures(options.dump);
+  const withoutId = failures.filter(failure => !failure.problemId);
+  if (withoutId.length > 0) {
+    console.warn(`問題IDがわからない ${withoutId.length} 問は取得し直せません。`);
+  }
+  const targetIds = failures.map(failure => failure.problemId).filter(Boolean);
+  if (targetIds.length === 0) {
+    console.log('取得し直す問題はありません。');
+    return;
+  }
+
+  const config = await loadRunConfig(options);
+  const scraper = scraperForDump(dump, config.waits);
+  const checkpointPath = options.checkpoint || path.join(options.dump, 'rescrape.checkpoint.jsonl');
+  const entries = fs.existsSync(checkpointPath)
+    ? readCheckpoint(checkpointPath).filter(entry => targetIds.includes(entry.problem.problemId))
+    : [];
+  if (entries.length > 0) {
+    console.log(`前回の rescrape のチェックポイントから ${entries.length} 問分を読み込みました: ${checkpointPath}`);
+  }
+  rewriteCheckpoint(checkpointPath, entries);
+  const checkpoint = { checkpointPath, entries, completedIds: completedProblemIds(entries) };
+  console.log(`${targetIds.length - checkpoint.completedIds.size} 問を取得し直します: ${targetIds.filter(id => !checkpoint.completedIds.has(id)).join(', ')}`);
+
+  await withLoggedInPage(config, null, async (page, signal) => {
+    const throttle = createThrottle(config.throttle, { budgetFile: config.budgetFile, signal });
+    let outcome;
+    try {
+      outcome = await scrapeItems(page, { ...options, targetIds }, config, checkpoint, scraper, { signal, throttle, imageStore: dump.imageStore });
+    } catch (err) {
+      // 取得し直せた問題はチェックポイントに追記済みなので、そこから読み直して差し込む
+      console.error('スクレイピング中にエラーが発生したため、取得し直せた分を差し込みます。');
+      const scraped = readCheckpoint(checkpointPath);
+      saveDump(options.dump, dump.kind, patchItems(dump.items, failures, scraped), { source: dump.source, title: dump.title, stopReason: dump.stopReason, imageStore: dump.imageStore });
+      const scrapedIds = new Set(scraped.map(item => item.problem.problemId));
+      saveFailures(options.dump, dump.kind, failures.filter(failure => !failure.problemId || !scrapedIds.has(failure.problemId)));
+      fs.rmSync(checkpointPath, { force: true });
+      throw err;
+    }
+    const { items: results, failures: stillFailing, timings } = outcome;
+    const items = patchItems(dump.items, failures, results);
+    // 取得し直せなかった問題は今回の記録に置き換え（差し込む位置は最初に失敗したときの記録を引き継ぐ）、
+    // Ctrl-C などで中断して開かなかった問題は元の記録のまま残す
+    const scrapedIds = new Set(results.map(item => item.problem.problemId));
+    const remaining = failures
+      .filter(failure => !failure.problemId || !scrapedIds.has(failure.problemId))
+      .map(failure => {
+        const retried = stillFailing.find(current => current.problemId === failure.problemId);
+        return retried ? { ...retried, previousId: failure.previousId } : failure;
+      });
+    saveDump(options.dump, dump.kind, items, { source: dump.source, title: dump.title, stopReason: dump.stopReason, imageStore: dump.imageStore });
+    saveFailures(options.dump, dump.kind, remaining);
+    fs.rmSync(checkpointPath, { force: true });
+    console.log(`${results.length} 問を差し込みました（取得できなかった問題: ${remaining.length} 問）。PDF などは render / export-* で作り直してください。`);
+    if (remaining.length > 0) {
+      process.exitCode = 1;
+    }
+    saveRunReport(options.dump, config, { kind: dump.kind, title: dump.title, stopReason: dump.stopReason, items, failures: remaining, timings });
+  });
+}
+
+/**
+ * 各要素のセレクタ（lib/selectors.js）が今のサイトで一致するかを確認する
+ * --html 指定時は保存済みのページを読み込んで確認し、省略時はログインして
+ * ログイン画面 → 問題ページ（--start-url または --ids の先頭）→「解答を確認する」の後、の順に確認する
+ * 必須の要素が見つからなければ終了コードを1にする
+ */
+async function runDoctor(options) {
+  const config = await loadConfig(options.configOverrides, { configPath: options.configPath, interactive: !options.html });
+  const browser = await puppeteer.launch({ headless: config.headless });
+  let missing = 0;
+  try {
+    const page = await browser.newPage();
+    setupPage(page, config);
+
+    if (options.html) {
+      // 保存したページのスクリプトは実行しない（サイトへの通信が発生しないように）
+      await page.setJavaScriptEnabled(false);
+      await page.goto(new URL(`file://${path.resolve(options.html)}`).href, { waitUntil: 'load' });
+      missing += await reportSelectors(page, parseStages(options.stage || 'question,answer'));
+    } else {
+      assertCredentials(config);
+      const ids = resolveIds(options);
+      const targetUrl = ids ? problemUrl(config.baseUrl, ids[0]) : options.startUrl;
+      if (!targetUrl) {
+        throw new Error('--html、または確認する問題ページ（--start-url / --ids）を指定してください');
+      }
+
+      await page.goto(config.loginUrl, { waitUntil: 'networkidle2' });
+      missing += await reportSelectors(page, ['login']);
+      await login(page, config);
+
+      await page.goto(targetUrl, { waitUntil: 'domcontentloaded' });
+      await page.waitForSelector(anyOf('header'), { visible: true, timeout: config.waits.content })
+        .catch(() => console.warn('問題ページのヘッダーが表示されませんでした。'));
+      missing += await reportSelectors(page, ['question']);
+
+      if (await clickFirst(page, 'answerButton')) {
+        await page.waitForSelector(anyOf('correctAnswer'), { visible: true, timeout: config.waits.content })
+          .catch(() => console.warn('「解答を確認する」の後の正解表示が現れませんでした。'));
+      }
+      missing += await reportSelectors(page, ['answer']);
+    }
+  } finally {
+    await browser.close();
+  }
+
+  if (missing > 0) {
+    console.log(`見つからなかった必須の要素: ${missing} 件。lib/selectors.js の候補を見直してください。`);
+    process.exitCode = 1;
+  } else {
+    console.log('必須の要素はすべて見つかりました。');
+  }
+}
+
+const COMMANDS = {
+  single: runSingle,
+  renzoku: runRenzoku,
+  merge: runMerge,
+  render: runRender,
+  'export-anki': runExportAnki,
+  'export-md': runExportMarkdown,
+  'export-html': runExportHtml,
+  rescrape: runRescrape,
+  doctor: runDoctor
+};
+
+async function main(argv) {
+  const { command, options } = parseCommandLine(argv);
+  if (options.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  const run = COMMANDS[command];
+  if (!run) {
+    throw new Error(`不明なコマンドです: ${command}\n\n${USAGE}`);
+  }
+  setVerbose(options.verbose);
+  await run(options);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error('エラー:', error.message || error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,74 @@
+// 設定の読み込み（lib/config.js）のテスト
+// 実行: node --test test/*.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DEFAULTS, loadConfig, assertCredentials } = require('../lib/config.js');
+
+function configFile(name, text) {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'qb-config-')), name);
+  fs.writeFileSync(filePath, text);
+  return filePath;
+}
+
+test('loadConfig: コマンドライン引数 > 環境変数 > 設定ファイル > 既定値の順に優先する', async () => {
+  const configPath = configFile('.qbrc', JSON.stringify({
+    email: 'file@example.com',
+    outDir: 'from-file',
+    concurrency: 4,
+    waits: { images: 1234 }
+  }));
+  const config = await loadConfig({ outDir: 'from-cli', concurrency: undefined }, {
+    configPath,
+    env: { QB_OUT_DIR: 'from-env', QB_EMAIL: 'env@example.com', QB_HEADLESS: 'false' },
+    interactive: false
+  });
+  assert.equal(config.outDir, 'from-cli');
+  assert.equal(config.email, 'env@example.com');
+  assert.equal(config.concurrency, 4);
+  assert.equal(config.headless, false);
+  assert.equal(config.loginUrl, DEFAULTS.loginUrl);
+  // waits などはキー単位でマージする
+  assert.equal(config.waits.images, 1234);
+  assert.equal(config.waits.question, DEFAULTS.waits.question);
+  assert.equal(config.configFile, configPath);
+});
+
+test('loadConfig: 数値として読み込まれたメールアドレス・パスワードを文字列にする', async () => {
+  const configPath = configFile('.qbrc', JSON.stringify({ email: 12345, password: 67890 }));
+  const config = await loadConfig({}, { configPath, env: {}, interactive: false });
+  assert.equal(config.password, '67890');
+  assert.equal(config.email, '12345');
+  assert.doesNotThrow(() => assertCredentials(config));
+});
+
+test('loadConfig: YAML の設定ファイルを読み込む', async () => {
+  const configPath = configFile('.qbrc', 'email: yaml@example.com\npassword: 0123\nwaits:\n  images: 999\n');
+  const config = await loadConfig({}, { configPath, env: {}, interactive: false });
+  assert.equal(config.email, 'yaml@example.com');
+  assert.equal(typeof config.password, 'string');
+  assert.equal(config.waits.images, 999);
+});
+
+test('loadConfig: JSON としても YAML としても読めなければ、両方のエラーとファイル名を表示する', async () => {
+  const configPath = configFile('.qbrc', '{ "email": "a@example.com",\n  password: [ }');
+  await assert.rejects(
+    loadConfig({}, { configPath, env: {}, interactive: false }),
+    err => err.message.includes('JSON:') && err.message.includes('YAML:') && err.message.includes(configPath)
+  );
+});
+
+test('loadConfig: --config で指定した設定ファイルがなければエラーにする', async () => {
+  await assert.rejects(
+    loadConfig({}, { configPath: path.join(os.tmpdir(), 'qb-missing', '.qbrc'), env: {}, interactive: false }),
+    /設定ファイルが見つかりません/
+  );
+});
+
+test('assertCredentials: 空・空白だけのログイン情報をエラーにする', () => {
+  assert.throws(() => assertCredentials({ email: ' ', password: '' }), /メールアドレス.*パスワード/);
+  assert.throws(() => assertCredentials({ email: 'a@example.com' }), /パスワード/);
+});
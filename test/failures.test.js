@@ -0,0 +1,143 @@
+// 取得できなかった問題の記録（lib/failures.js）と再試行（lib/retry.js）のテスト（ブラウザは使わない）
+// 実行: node --test test/*.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  FAILURE_STEPS,
+  stepError,
+  failureEntry,
+  saveFailures,
+  loadFailures,
+  mergeFailures,
+  patchItems
+} = require('../lib/failures.js');
+const { backoffDelay, withRetry } = require('../lib/retry.js');
+
+function item(problemId) {
+  return { problem: { problemId }, explanation: {} };
+}
+
+function failure(problemId, previousId = null) {
+  return failureEntry(problemId, stepError(FAILURE_STEPS.CORRECT_ANSWER, new Error('timeout')), { previousId });
+}
+
+test('failureEntry: 失敗した段階・エラー・試行回数・直前の問題IDを記録する', () => {
+  const err = stepError(FAILURE_STEPS.ANSWER_BUTTON, new Error('ボタンがありません'));
+  err.attempts = 3;
+  const entry = failureEntry('1000000002', err, { previousId: '1000000001' });
+  assert.equal(entry.problemId, '1000000002');
+  assert.equal(entry.step, FAILURE_STEPS.ANSWER_BUTTON);
+  assert.equal(entry.error, 'ボタンがありません');
+  assert.equal(entry.attempts, 3);
+  assert.equal(entry.previousId, '1000000001');
+
+  // 段階のわからないエラー・問題IDのわからない失敗
+  const unknown = failureEntry(undefined, new Error('x'));
+  assert.equal(unknown.problemId, null);
+  assert.equal(unknown.step, FAILURE_STEPS.UNKNOWN);
+  assert.equal(unknown.attempts, 1);
+});
+
+test('stepError: 先に付いた段階を上書きしない', () => {
+  const err = stepError(FAILURE_STEPS.OPEN, new Error('x'));
+  assert.equal(stepError(FAILURE_STEPS.UNKNOWN, err).step, FAILURE_STEPS.OPEN);
+  assert.equal(stepError(FAILURE_STEPS.OPEN, 'text').message, 'text');
+});
+
+test('saveFailures / loadFailures: 保存して読み込み、失敗がなければ failures.json を削除する', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qb-failures-'));
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const failures = [failure('1000000002', '1000000001')];
+    saveFailures(dir, 'single', failures);
+    assert.deepEqual(loadFailures(dir), failures);
+    saveFailures(dir, 'single', []);
+    assert.equal(fs.existsSync(path.join(dir, 'failures.json')), false);
+    assert.deepEqual(loadFailures(dir), []);
+  } finally {
+    console.log = log;
+  }
+});
+
+test('mergeFailures: 同じ問題IDは今回の記録を優先し、取得できた問題は除く', () => {
+  const previous = [failure('1'), failure('2'), failure(null)];
+  const current = [{ ...failure('2'), attempts: 5 }, failure('3')];
+  const merged = mergeFailures(previous, current, [item('1')]);
+  assert.deepEqual(merged.map(f => f.problemId), [null, '2', '3']);
+  assert.equal(merged[1].attempts, 5);
+});
+
+test('patchItems: 同じ問題IDは置き換え、なければ直前の問題の後ろ・先頭・末尾に差し込む', () => {
+  const items = [item('1'), item('3'), item('5')];
+  const failures = [
+    failure('3'),        // 既にある → 置き換え
+    failure('4', '3'),   // 直前の問題（3）の後ろ
+    failure('0'),        // 直前の問題なし → 先頭
+    failure('9', '8'),   // 直前の問題が見つからない → 末尾
+    failure('7', '5')    // 取得し直せなかった → 差し込まない
+  ];
+  const replaced = { ...item('3'), explanation: { correctAnswer: 'a' } };
+  const results = [replaced, item('4'), item('0'), item('9')];
+  const patched = patchItems(items, failures, results);
+  assert.deepEqual(patched.map(i => i.problem.problemId), ['0', '1', '3', '4', '5', '9']);
+  assert.equal(patched[2], replaced);
+  assert.deepEqual(items.map(i => i.problem.problemId), ['1', '3', '5']); // 元の配列は変えない
+});
+
+test('backoffDelay: 再試行ごとに待ち時間を2倍にする', () => {
+  assert.deepEqual([1, 2, 3].map(attempt => backoffDelay(attempt, 100)), [100, 200, 400]);
+});
+
+test('withRetry: 成功するまで再試行し、最後まで失敗したら試行回数を付けて投げる', async () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const attempts = [];
+    const value = await withRetry(async (attempt) => {
+      attempts.push(attempt);
+      if (attempt < 2) throw new Error('まだ');
+      return 'ok';
+    }, { retries: 2, backoff: 1 });
+    assert.equal(value, 'ok');
+    assert.deepEqual(attempts, [0, 1, 2]);
+
+    await assert.rejects(
+      withRetry(async () => { throw new Error('失敗'); }, { retries: 1, backoff: 1 }),
+      err => err.message === '失敗' && err.attempts === 2
+    );
+
+    // 中断済みなら再試行しない
+    const controller = new AbortController();
+    controller.abort();
+    let calls = 0;
+    await assert.rejects(
+      withRetry(async () => { calls++; throw new Error('中断'); }, { retries: 3, backoff: 1, signal: controller.signal }),
+      err => err.attempts === 1
+    );
+    assert.equal(calls, 1);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('withRetry: 再試行の待ち時間の途中で中断されたら、待ち終わるのを待たずに失敗とする', async () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const controller = new AbortController();
+    let calls = 0;
+    const started = Date.now();
+    const retrying = withRetry(async () => { calls++; throw new Error('失敗'); }, { retries: 2, backoff: 60000, signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+    await assert.rejects(retrying, err => err.message === '失敗' && err.attempts === 1);
+    assert.ok(Date.now() - started < 5000);
+    assert.equal(calls, 1);
+  } finally {
+    console.warn = warn;
+  }
+});
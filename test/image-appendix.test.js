@@ -0,0 +1,65 @@
+// 画像の付録（lib/image-appendix.js）のテスト
+// 実行: node --test test/*.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Jimp = require('jimp');
+
+const { APPENDIX_MAX_HEIGHT, createImageAppendix } = require('../lib/image-appendix.js');
+const { resolveImageQuality, compressForLayout } = require('../lib/image-quality.js');
+const { decodeDataUrl } = require('../lib/sections.js');
+
+async function makeImage(width, height) {
+  const picture = new Jimp(width, height, 0x336699ff);
+  const buffer = await picture.getBufferAsync(Jimp.MIME_PNG);
+  return { dataUrl: `data:image/png;base64,${buffer.toString('base64')}`, dimensions: { width, height } };
+}
+
+async function pixelWidth(dataUrl) {
+  return (await Jimp.read(decodeDataUrl(dataUrl).buffer)).bitmap.width;
+}
+
+// 付録の要素から画像の data URL を取り出す
+function appendixImages(content) {
+  return content.slice(1).map(item => item.stack[1].image);
+}
+
+test('add: 「図 N」のキャプションと付録へのリンクを付け、読み込めなかった画像は載せない', async () => {
+  const appendix = createImageAppendix();
+  const image = await makeImage(20, 10);
+  const added = appendix.add(image, '1000000001');
+  assert.equal(added.destination, 'qb-figure-1');
+  assert.equal(added.caption.text, '図 1');
+  assert.equal(added.caption.linkToDestination, 'qb-figure-1');
+  const missing = { dataUrl: null, dimensions: null };
+  assert.equal(appendix.add(missing, '1000000001'), missing);
+  assert.equal(appendix.count(), 1);
+
+  const content = await appendix.content();
+  assert.equal(content.length, 2);
+  assert.equal(content[1].stack[0].id, 'qb-figure-1');
+  assert.equal(content[1].stack[0].text, '図 1（問題ID 1000000001）');
+  assert.deepEqual(appendixImages(content), [image.dataUrl]);
+  assert.deepEqual(await createImageAppendix().content(), []);
+});
+
+test('content: 本文用に縮小した画像ではなく元の画像を、付録の大きさに合わせて圧縮して載せる', async () => {
+  const settings = resolveImageQuality({ quality: 'small' });
+  const appendix = createImageAppendix({}, settings);
+  const images = [];
+  for (let i = 0; i < 3; i++) {
+    images.push(appendix.add(await makeImage(1800, 2400), '1000000001'));
+  }
+  // 本文では1段に3枚並べるため、横幅の約1/3（96dpi で約 222px）まで縮小する
+  const body = await compressForLayout(images, settings, {});
+  assert.ok(await pixelWidth(body[0].dataUrl) <= 222);
+
+  // 付録は高さ APPENDIX_MAX_HEIGHT の枠に収める（96dpi で 880px の高さ → 幅 660px）
+  const content = await appendix.content();
+  const width = await pixelWidth(appendixImages(content)[0]);
+  assert.equal(width, Math.round(APPENDIX_MAX_HEIGHT / 72 * 96 * 1800 / 2400));
+
+  // --quality なしなら元の画像のまま載せる
+  const plain = createImageAppendix();
+  plain.add(images[0]);
+  assert.deepEqual(appendixImages(await plain.content()), [images[0].dataUrl]);
+});
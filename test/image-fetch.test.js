@@ -0,0 +1,134 @@
+// 画像の取り込み（lib/image-fetch.js）のテスト
+// ローカルの HTTP サーバーから画像をダウンロードし、ページの代わりにスクリーンショットだけを返すオブジェクトを使う
+// 実行: node --test test/*.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { downloadImage, captureImages, loadImage } = require('../lib/image-fetch.js');
+
+// 1x1 の PNG
+const PNG_IMAGE = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+let server;
+let origin;
+let lastHeaders;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    lastHeaders = req.headers;
+    if (req.url === '/image.png') {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(PNG_IMAGE);
+    } else if (req.url === '/image.webp') {
+      res.writeHead(200, { 'Content-Type': 'image/webp' });
+      res.end(Buffer.from('RIFF0000WEBPVP8 '));
+    } else if (req.url === '/login') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('<!DOCTYPE html><html><body>ログイン</body></html>');
+    } else if (req.url === '/stalled.png') {
+      // ヘッダーだけ返して本文を送らない
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.write(PNG_IMAGE.subarray(0, 8));
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * captureImages に渡すページの代わり（画像要素は常に見つかり、スクリーンショットは固定の PNG を返す）
+ */
+function fakePage() {
+  return {
+    screenshots: 0,
+    url: () => `${origin}/Answer/1000000001`,
+    cookies: async () => [{ name: 'qb_session', value: 'abc' }],
+    browser: () => ({ userAgent: async () => 'TestBrowser/1.0' }),
+    evaluate: async (fn, src, mark) => ({ url: new URL(src, origin).href, mark }),
+    waitForFunction: async () => {},
+    async $() {
+      return { screenshot: async () => { this.screenshots++; return PNG_IMAGE; } };
+    }
+  };
+}
+
+// 警告を出さずに実行する
+async function quietly(fn) {
+  const { warn, error } = console;
+  console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { warn, error });
+  }
+}
+
+test('downloadImage: Cookie・Referer・User-Agent を付けて画像をダウンロードする', async () => {
+  const { buffer, mimeType } = await downloadImage(`${origin}/image.png`, {
+    cookieHeader: 'qb_session=abc',
+    referer: `${origin}/Answer/1`,
+    userAgent: 'TestBrowser/1.0'
+  });
+  assert.equal(mimeType, 'image/png');
+  assert.deepEqual(buffer, PNG_IMAGE);
+  assert.equal(lastHeaders.cookie, 'qb_session=abc');
+  assert.equal(lastHeaders.referer, `${origin}/Answer/1`);
+  assert.equal(lastHeaders['user-agent'], 'TestBrowser/1.0');
+  // PDF に埋め込める形式だけを求める
+  assert.equal(lastHeaders.accept, 'image/png,image/jpeg');
+});
+
+test('downloadImage: 画像でない応答・PDF に埋め込めない形式・エラーの応答はエラーにする', async () => {
+  await assert.rejects(downloadImage(`${origin}/login`), /画像ではありません/);
+  await assert.rejects(downloadImage(`${origin}/image.webp`), /PDF に埋め込めない画像の形式です（image\/webp）/);
+  await assert.rejects(downloadImage(`${origin}/missing.png`), /HTTP 404/);
+});
+
+test('downloadImage: 応答が止まったら timeout で、中断されたらすぐにエラーにする', async () => {
+  const started = Date.now();
+  await assert.rejects(downloadImage(`${origin}/stalled.png`, { timeout: 200 }), /200ms 以内に取得できませんでした/);
+  assert.ok(Date.now() - started < 5000);
+
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 100);
+  await assert.rejects(downloadImage(`${origin}/stalled.png`, { timeout: 0, signal: controller.signal }), /中断/);
+});
+
+test('captureImages: ダウンロードできた画像はそのまま、期限までに取得できない画像はスクリーンショットで取り込む', async () => {
+  const page = fakePage();
+  const captured = await quietly(() => captureImages(page, ['/image.png', '/stalled.png'], { waits: { images: 200 } }));
+  assert.equal(captured.length, 2);
+  assert.equal(captured[0], `data:image/png;base64,${PNG_IMAGE.toString('base64')}`);
+  assert.equal(page.screenshots, 1);
+  assert.match(captured[1], /^data:image\/png;base64,/);
+  // Referer・User-Agent は表示中のページ・ブラウザのものを付ける
+  assert.equal(lastHeaders.referer, page.url());
+  assert.equal(lastHeaders['user-agent'], 'TestBrowser/1.0');
+});
+
+test('captureImages: webp などの画像は、ダウンロード・data URL のどちらでもスクリーンショット（PNG）で取り込む', async () => {
+  const page = fakePage();
+  const webpDataUrl = 'data:image/webp;base64,UklGRgAAAABXRUJQ';
+  const captured = await quietly(() => captureImages(page, ['/image.webp', webpDataUrl], { waits: { images: 200 } }));
+  assert.equal(page.screenshots, 2);
+  assert.ok(captured.every(src => src === `data:image/png;base64,${PNG_IMAGE.toString('base64')}`));
+});
+
+test('loadImage: PDF に埋め込めない形式の data URL は読み込めなかった画像として返す', async () => {
+  const image = await quietly(() => loadImage('data:image/gif;base64,R0lGODlhAQABAAAAACw='));
+  assert.deepEqual(image, { dataUrl: null, dimensions: null });
+  const png = await loadImage(`data:image/png;base64,${PNG_IMAGE.toString('base64')}`);
+  assert.equal(png.dimensions.width, 1);
+});
@@ -0,0 +1,80 @@
+// 画像の並べ方（lib/image-layout.js）のテスト
+// 実行: node --test test/*.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { IMAGE_LAYOUT_DEFAULTS, resolveImageLayout, splitRows, planImages, layoutImages } = require('../lib/image-layout.js');
+
+const LAYOUT = resolveImageLayout();
+
+function image(width, height) {
+  return { dataUrl: `data:image/png;base64,${width}x${height}`, dimensions: { width, height } };
+}
+
+// layoutImages の1段から、画像の図（空の列以外）を取り出す
+function figuresOf(row) {
+  return row.columns.filter(column => column.stack);
+}
+
+test('resolveImageLayout: 既定値を補って数値にし、不正な値をエラーにする', () => {
+  assert.deepEqual(resolveImageLayout(), IMAGE_LAYOUT_DEFAULTS);
+  assert.equal(resolveImageLayout({ maxColumns: '2', gap: '0' }).maxColumns, 2);
+  assert.throws(() => resolveImageLayout({ maxColumns: 1.5 }), /maxColumns/);
+  assert.throws(() => resolveImageLayout({ gap: -1 }), /gap/);
+  assert.throws(() => resolveImageLayout({ maxHeight: 'abc' }), /maxHeight/);
+});
+
+test('splitRows: 横長の画像は1枚ずつ、縦長の画像は段の高さが上限以下になるまで並べ、maxColumns を超えない', () => {
+  assert.deepEqual(splitRows([2, 2], LAYOUT), [[0], [1]]);
+  assert.deepEqual(splitRows([0.75, 0.75, 0.75, 0.75], LAYOUT), [[0, 1, 2], [3]]);
+  assert.deepEqual(splitRows([0.2, 0.2, 0.2, 0.2], { ...LAYOUT, maxColumns: 2 }), [[0, 1], [2, 3]]);
+  assert.deepEqual(splitRows([], LAYOUT), []);
+});
+
+test('planImages: 同じ段の画像は高さをそろえて横幅に収め、元の画像より大きくしない', () => {
+  const boxes = planImages([image(900, 1200), image(900, 1200), image(900, 1200)]);
+  const height = (LAYOUT.maxWidth - LAYOUT.gap * 2) / (0.75 * 3);
+  for (const box of boxes) {
+    assert.equal(box.height, height);
+    assert.equal(box.width, Math.floor(0.75 * height * 100) / 100);
+  }
+  const total = boxes.reduce((sum, box) => sum + box.width, 0) + LAYOUT.gap * 2;
+  assert.ok(total <= LAYOUT.maxWidth);
+
+  // 横長の画像1枚は横幅いっぱい、小さい画像は元の幅まで
+  assert.deepEqual(planImages([image(2000, 1000)])[0], { width: LAYOUT.maxWidth, height: LAYOUT.maxWidth / 2 });
+  assert.equal(planImages([image(100, 50)])[0].width, 100);
+});
+
+test('planImages: 最後の段（余りの画像）は前の段より大きくせず、サイズのわからない画像は 4:3 とみなす', () => {
+  const boxes = planImages([image(900, 1200), image(900, 1200), image(900, 1200), image(900, 1200)]);
+  assert.equal(boxes[3].height, boxes[0].height);
+  const unknown = planImages([{ dataUrl: null, dimensions: null }])[0];
+  assert.equal(unknown.height, Math.min(LAYOUT.maxHeight, LAYOUT.maxWidth / (4 / 3)));
+});
+
+test('layoutImages: 段ごとに中央に寄せて並べ、読み込めなかった画像はエラーの文言を表示する', () => {
+  const row = layoutImages([image(900, 1200), { dataUrl: null, dimensions: null }], { errorText: '解説画像読み込みエラー' });
+  assert.equal(row.unbreakable, true);
+  assert.equal(row.columns[0].width, '*');
+  assert.equal(row.columns[row.columns.length - 1].width, '*');
+  const [first, second] = figuresOf(row);
+  assert.equal(first.stack[0].fit[0], first.width);
+  assert.deepEqual(second.stack, [{ text: '解説画像読み込みエラー', style: 'error' }]);
+  assert.equal(layoutImages([]), null);
+});
+
+test('layoutImages: 画像のキャプション・リンクを付け、全体のキャプションは最後の段と同じページに置く', () => {
+  const caption = { text: '画像診断の説明' };
+  const linked = { ...image(2000, 1000), destination: 'qb-figure-1', caption: { text: '図 1' } };
+  const layout = layoutImages([linked, image(2000, 1000)], { caption });
+  assert.equal(layout.stack.length, 2);
+  const [firstRow, lastRow] = layout.stack;
+  assert.equal(figuresOf(firstRow)[0].stack[0].linkToDestination, 'qb-figure-1');
+  assert.deepEqual(figuresOf(firstRow)[0].stack[1], { text: '図 1' });
+  assert.equal(lastRow.unbreakable, true);
+  assert.equal(lastRow.stack[1], caption);
+  assert.equal(lastRow.stack[0].unbreakable, undefined);
+  // 画像がなければキャプションだけ
+  assert.equal(layoutImages([], { caption }), caption);
+});
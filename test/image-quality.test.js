@@ -0,0 +1,88 @@
+// 画像の圧縮（lib/image-quality.js）のテスト
+// jimp 0.x で作った画像を圧縮し、PDF 上の表示サイズに合わせて縮小されることを確かめる
+// 実行: node --test test/*.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Jimp = require('jimp');
+
+const { QUALITY_PRESETS, resolveImageQuality, compressImage, compressForLayout } = require('../lib/image-quality.js');
+const { decodeDataUrl } = require('../lib/sections.js');
+
+/**
+ * テスト用の画像（{ dataUrl, dimensions }）を作る関数
+ * noisy なら画素ごとに色を変えて写真とみなされる画像に、そうでなければ単色の図とみなされる画像にする
+ */
+async function makeImage(width, height, { noisy = false } = {}) {
+  const picture = new Jimp(width, height, 0xffffffff);
+  if (noisy) {
+    let seed = 1;
+    picture.scan(0, 0, width, height, (x, y, offset) => {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      picture.bitmap.data[offset] = seed & 0xff;
+      picture.bitmap.data[offset + 1] = (seed >> 8) & 0xff;
+      picture.bitmap.data[offset + 2] = (seed >> 16) & 0xff;
+    });
+  }
+  const buffer = await picture.getBufferAsync(Jimp.MIME_PNG);
+  return { dataUrl: `data:image/png;base64,${buffer.toString('base64')}`, dimensions: { width, height } };
+}
+
+async function pixelSize(image) {
+  const picture = await Jimp.read(decodeDataUrl(image.dataUrl).buffer);
+  return { width: picture.bitmap.width, height: picture.bitmap.height };
+}
+
+test('resolveImageQuality: 指定がなければ null、プリセットに上書きを重ねる', () => {
+  assert.equal(resolveImageQuality({}), null);
+  assert.deepEqual(resolveImageQuality({ quality: 'Tablet' }), { preset: 'tablet', ...QUALITY_PRESETS.tablet });
+  // --quality なしで --jpeg-quality だけを指定した場合は print に上書きする
+  const settings = resolveImageQuality({ imageQuality: { jpegQuality: '50', grayscale: 'true' } });
+  assert.equal(settings.preset, 'print');
+  assert.equal(settings.dpi, QUALITY_PRESETS.print.dpi);
+  assert.equal(settings.jpegQuality, 50);
+  assert.equal(settings.grayscale, true);
+});
+
+test('resolveImageQuality: 不正なプリセット・画質をエラーにする', () => {
+  assert.throws(() => resolveImageQuality({ quality: 'huge' }), /print \/ tablet \/ small/);
+  assert.throws(() => resolveImageQuality({ quality: 'small', imageQuality: { jpegQuality: 0 } }), /1〜100/);
+  assert.throws(() => resolveImageQuality({ quality: 'small', imageQuality: { dpi: -1 } }), /dpi/);
+});
+
+test('compressImage: 枠に収まる画素数まで縮小し、写真は JPEG にして元のサイズと他のキーを残す', async () => {
+  const image = { ...(await makeImage(600, 400, { noisy: true })), destination: 'qb-figure-1' };
+  const settings = resolveImageQuality({ quality: 'small' });
+  // 96dpi で 150 x 300 pt → 200 x 400 px の枠
+  const compressed = await compressImage(image, settings, { width: 150, height: 300 });
+  assert.match(compressed.dataUrl, /^data:image\/jpeg;base64,/);
+  assert.deepEqual(await pixelSize(compressed), { width: 200, height: 133 });
+  assert.deepEqual(compressed.dimensions, { width: 600, height: 400 });
+  assert.equal(compressed.destination, 'qb-figure-1');
+});
+
+test('compressImage: 拡大はせず、小さくならなければ元の画像のまま返す', async () => {
+  const image = await makeImage(40, 30);
+  const settings = resolveImageQuality({ quality: 'print' });
+  assert.equal(await compressImage(image, settings, { width: 500, height: 300 }), image);
+  // 読み込めなかった画像はそのまま返す
+  const missing = { dataUrl: null, dimensions: null };
+  assert.equal(await compressImage(missing, settings, { width: 500, height: 300 }), missing);
+});
+
+test('compressForLayout: 1段に3枚並べた画像は、それぞれの表示サイズ（横幅の約1/3）まで縮小する', async () => {
+  const settings = resolveImageQuality({ quality: 'small' });
+  const images = [];
+  for (let i = 0; i < 3; i++) {
+    images.push(await makeImage(900, 1200));
+  }
+  const compressed = await compressForLayout(images, settings, {});
+  assert.equal(compressed.length, 3);
+  // 既定の並べ方では高さ (515.28 - 8 * 2) / (0.75 * 3) ≒ 221.9pt、幅 ≒ 166.4pt の枠 → 96dpi で約 222 x 296 px
+  for (const image of compressed) {
+    const { width, height } = await pixelSize(image);
+    assert.ok(width <= 222 && height <= 296, `${width}x${height}`);
+    assert.ok(width >= 220);
+  }
+  // 設定がなければ圧縮しない
+  assert.equal(await compressForLayout(images, null, {}), images);
+});
@@ -0,0 +1,133 @@
+// 画像ストア（lib/image-store.js）と、画像を参照で保存するダンプ（lib/dump.js）のテスト
+// 実行: node --test test/*.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { isImageRef, createImageStore, keepImage, loadStoredImage } = require('../lib/image-store.js');
+const { openImageStore, saveDump, loadDump, inlineImages } = require('../lib/dump.js');
+
+// 1x1 の PNG
+const PNG_IMAGE = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+const PNG_DATA_URL = `data:image/png;base64,${PNG_IMAGE.toString('base64')}`;
+
+function tempDir(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'qb-store-')), name);
+}
+
+// ログを出さずに実行する
+function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+test('createImageStore: 同じ画像は1回だけ保存し、サイズ・取り込んだ方法を索引に記録する', () => {
+  const dir = tempDir('images');
+  const store = createImageStore(dir);
+  const ref = store.put(PNG_IMAGE, 'image/png', { method: 'download', url: 'https://qb.test/a.png' });
+  assert.ok(isImageRef(ref));
+  assert.equal(store.put(Buffer.from(PNG_IMAGE), 'image/png'), ref);
+  assert.equal(store.putDataUrl(PNG_DATA_URL), ref);
+  assert.equal(store.putDataUrl('https://qb.test/b.png'), 'https://qb.test/b.png');
+  // 索引は put のたびには書かず、save() でまとめて書く
+  assert.deepEqual(fs.readdirSync(dir), [`${ref.slice('sha256:'.length)}.png`]);
+  store.save();
+  assert.deepEqual(fs.readdirSync(dir).sort(), [`${ref.slice('sha256:'.length)}.png`, 'index.json']);
+
+  const info = store.info(ref);
+  assert.equal(info.width, 1);
+  assert.equal(info.height, 1);
+  assert.equal(info.method, 'download');
+  assert.equal(info.url, 'https://qb.test/a.png');
+
+  // 開き直しても索引から読み込む
+  const reopened = createImageStore(dir);
+  assert.equal(reopened.has(ref), true);
+  assert.equal(reopened.toDataUrl(ref), PNG_DATA_URL);
+  assert.deepEqual(reopened.get(ref).dimensions, { width: 1, height: 1 });
+  assert.equal(reopened.has('sha256:0000'), false);
+  assert.equal(reopened.get('https://qb.test/a.png'), null);
+});
+
+test('createImageStore: save() の前に終了していても、開き直したときに索引にない画像ファイルを加える', () => {
+  const dir = tempDir('images');
+  const ref = createImageStore(dir).put(PNG_IMAGE, 'image/png', { method: 'download' });
+  assert.equal(fs.existsSync(path.join(dir, 'index.json')), false);
+
+  const reopened = createImageStore(dir);
+  assert.equal(reopened.toDataUrl(ref), PNG_DATA_URL);
+  assert.deepEqual(reopened.get(ref).dimensions, { width: 1, height: 1 });
+  assert.equal(reopened.info(ref).method, null);
+  reopened.save();
+  assert.equal(createImageStore(dir).info(ref).mimeType, 'image/png');
+});
+
+test('createImageStore: 索引の形式が異なればエラーにし、ファイルが消えていれば null を返す', () => {
+  const dir = tempDir('images');
+  const store = createImageStore(dir);
+  const ref = store.put(PNG_IMAGE, 'image/png');
+  store.save();
+  fs.unlinkSync(path.join(dir, store.info(ref).file));
+  assert.equal(quietly(() => store.get(ref)), null);
+  assert.deepEqual(quietly(() => loadStoredImage(store, ref)), { dataUrl: null, dimensions: null });
+
+  fs.writeFileSync(path.join(dir, 'index.json'), JSON.stringify({ version: 99, images: {} }));
+  assert.throws(() => createImageStore(dir), /未対応の画像ストアの形式/);
+});
+
+test('keepImage: 画像ストアがあれば参照を、なければ data URL を返す', () => {
+  const store = createImageStore(tempDir('images'));
+  assert.ok(isImageRef(keepImage(store, new Uint8Array(PNG_IMAGE), 'image/png')));
+  assert.equal(keepImage(null, PNG_IMAGE, 'image/png'), PNG_DATA_URL);
+  assert.deepEqual(loadStoredImage(store, keepImage(store, PNG_IMAGE, 'image/png')), {
+    dataUrl: PNG_DATA_URL,
+    dimensions: { width: 1, height: 1 }
+  });
+});
+
+test('saveDump / loadDump: data URL の画像を画像ストアに保存して参照で書き、inlineImages で data URL に戻す', () => {
+  const dir = tempDir('dump');
+  const items = [{
+    problem: { problemId: '1', problemImageSrcs: [PNG_DATA_URL] },
+    explanation: { explanationImages: [PNG_DATA_URL, 'https://qb.test/missing.png'] }
+  }];
+  quietly(() => saveDump(dir, 'single', items, { title: '免疫' }));
+  const saved = fs.readFileSync(path.join(dir, 'data.json'), 'utf8');
+  assert.doesNotMatch(saved, /base64/);
+
+  const dump = quietly(() => loadDump(dir));
+  assert.ok(fs.existsSync(path.join(dir, 'images', 'index.json')));
+  assert.equal(dump.kind, 'single');
+  assert.equal(dump.source, 'single');
+  assert.equal(dump.title, '免疫');
+  const [item] = dump.items;
+  assert.ok(isImageRef(item.problem.problemImageSrcs[0]));
+  assert.equal(item.explanation.explanationImages[0], item.problem.problemImageSrcs[0]);
+  assert.equal(item.explanation.explanationImages[1], 'https://qb.test/missing.png');
+
+  const [inlined] = inlineImages(dump.items, dump.imageStore);
+  assert.equal(inlined.problem.problemImageSrcs[0], PNG_DATA_URL);
+  // 元の items は変えない
+  assert.ok(isImageRef(item.problem.problemImageSrcs[0]));
+});
+
+test('saveDump: スクレイピング中に画像を保存した画像ストアの索引をダンプと一緒に書く', () => {
+  const dir = tempDir('dump');
+  const imageStore = openImageStore(dir);
+  const ref = imageStore.put(PNG_IMAGE, 'image/png', { method: 'screenshot', url: 'https://qb.test/a.png' });
+  const items = [{ problem: { problemId: '1', problemImageSrcs: [ref] }, explanation: { explanationImages: [] } }];
+  quietly(() => saveDump(dir, 'single', items, { imageStore }));
+  const dump = quietly(() => loadDump(dir));
+  assert.equal(dump.imageStore.info(ref).method, 'screenshot');
+  assert.equal(dump.imageStore.info(ref).url, 'https://qb.test/a.png');
+});
@@ -0,0 +1,58 @@
+// 中断の処理（lib/interrupt.js）のテスト
+// シグナルは送らず、process のイベントを直接発生させる（2回目はすぐに終了するため1回だけ）
+// 実行: node --test test/*.test.js
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { handleInterrupts, isAborted } = require('../lib/interrupt.js');
+
+// 警告を出さずに実行する
+function quietly(fn) {
+  const { warn, error } = console;
+  console.warn = console.error = () => {};
+  try {
+    return fn();
+  } finally {
+    Object.assign(console, { warn, error });
+  }
+}
+
+afterEach(() => {
+  // テストの実行自体の終了コードに残さない
+  process.exitCode = 0;
+});
+
+test('handleInterrupts: 1回目の SIGINT では signal を中断済みにし、終了コードを 130 にする', () => {
+  const listeners = process.listenerCount('SIGINT');
+  const interrupts = handleInterrupts();
+  try {
+    assert.equal(isAborted(interrupts.signal), false);
+    quietly(() => process.emit('SIGINT', 'SIGINT'));
+    assert.equal(isAborted(interrupts.signal), true);
+    assert.match(interrupts.signal.reason.message, /SIGINT で中断しました/);
+    assert.equal(process.exitCode, 130);
+  } finally {
+    interrupts.dispose();
+  }
+  assert.equal(process.listenerCount('SIGINT'), listeners);
+});
+
+test('handleInterrupts: SIGTERM でも中断し、dispose の後は受け取らない', () => {
+  const terminated = handleInterrupts();
+  quietly(() => process.emit('SIGTERM', 'SIGTERM'));
+  terminated.dispose();
+  assert.equal(isAborted(terminated.signal), true);
+  assert.equal(process.exitCode, 143);
+
+  const disposed = handleInterrupts();
+  disposed.dispose();
+  process.emit('SIGTERM', 'SIGTERM');
+  assert.equal(isAborted(disposed.signal), false);
+});
+
+test('isAborted: signal がなければ false', () => {
+  assert.equal(isAborted(undefined), false);
+  const controller = new AbortController();
+  controller.abort();
+  assert.equal(isAborted(controller.signal), true);
+});
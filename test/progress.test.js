@@ -0,0 +1,76 @@
+// 進捗の表示（lib/progress.js）のテスト
+// 実行: node --test test/*.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatDuration, createProgress } = require('../lib/progress.js');
+
+/**
+ * 書き込まれた文字列を記録する表示先（isTTY ならターミナルとして扱われる）
+ */
+function fakeStream(isTTY) {
+  return {
+    isTTY,
+    output: '',
+    write(text) {
+      this.output += text;
+    }
+  };
+}
+
+test('formatDuration: 時間・分・秒の形にする', () => {
+  assert.equal(formatDuration(45 * 1000), '45秒');
+  assert.equal(formatDuration(200 * 1000), '3分20秒');
+  assert.equal(formatDuration(3900 * 1000), '1時間5分');
+  assert.equal(formatDuration(400), '0秒');
+});
+
+test('createProgress: ターミナル以外では1問ごとに1行ずつ、進捗・問題ID・エラー数を表示する', () => {
+  const stream = fakeStream(false);
+  const progress = createProgress({ total: 4, stream });
+  progress.begin('1000000001');
+  assert.equal(stream.output, '');
+  progress.advance();
+  progress.begin('1000000002');
+  progress.error();
+  progress.advance('1000000002');
+  progress.finish();
+
+  const lines = stream.output.trimEnd().split('\n');
+  assert.equal(lines.length, 2);
+  assert.match(lines[0], /^\[#{5}-{15}\] 1\/4 問 \| 問題ID 1000000001 \| .* 問\/分 \| 残り約 .+ \| エラー 0$/);
+  assert.match(lines[1], /^\[#{10}-{10}\] 2\/4 問 \| 問題ID 1000000002 \| .* \| エラー 1$/);
+});
+
+test('createProgress: 問題数がわからなければ進捗バーと残り時間を表示しない', () => {
+  const stream = fakeStream(false);
+  const progress = createProgress({ stream });
+  progress.advance('1');
+  assert.doesNotMatch(stream.output, /\[|残り/);
+  assert.match(stream.output, /^1 問 \| 問題ID 1 \|/);
+});
+
+test('createProgress: ターミナルでは1行を書き換え、ログの前に消して後で描き直し、finish で console を元に戻す', () => {
+  const stream = fakeStream(true);
+  const log = console.log;
+  const logged = [];
+  const record = (...args) => logged.push(args.join(' '));
+  console.log = record;
+  try {
+    const progress = createProgress({ total: 2, stream });
+    progress.begin('1');
+    assert.match(stream.output, /^\r\x1b\[K\[-{20}\] 0\/2 問/);
+    stream.output = '';
+    console.log('ログ');
+    assert.deepEqual(logged, ['ログ']);
+    // 消してから描き直す
+    assert.match(stream.output, /^\r\x1b\[K\r\x1b\[K\[/);
+    progress.advance();
+    progress.finish();
+    assert.ok(stream.output.endsWith('\n'));
+    progress.finish();
+    assert.equal(console.log, record);
+  } finally {
+    console.log = log;
+  }
+});
@@ -0,0 +1,90 @@
+// PDF の生成（QB_Scrape_Ver.3.js の generatePdf）のテスト
+// pdfMake.createPdf を差し替えて、PDF を書き出さずに生成する文書の定義だけを確認する
+// 実行: node --test test/*.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const pdfMake = require('pdfmake/build/pdfmake');
+
+const single = require('../QB_Scrape_Ver.3.js');
+
+// 1x1 の PNG と 2x1 の PNG（問題画像・解説画像を区別する）
+const PROBLEM_IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const EXPLANATION_IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAIAAAABCAYAAAD0In+KAAAAEUlEQVR42mNk+M9Qz8DAwMAAAA4BAf/NydYAAAAASUVORK5CYII=';
+
+let createPdf;
+let rendered;
+
+before(() => {
+  createPdf = pdfMake.createPdf;
+  pdfMake.createPdf = (documentDefinition) => {
+    rendered = documentDefinition;
+    return { getBuffer() {} };
+  };
+});
+
+after(() => {
+  pdfMake.createPdf = createPdf;
+});
+
+/**
+ * スクレイパーが保存するのと同じ形の1問分（scrapeCurrentQuestion の combinedData）
+ */
+function scrapedItem() {
+  return {
+    problem: {
+      problemNumber: '1',
+      problemId: '1000000001',
+      questionText: '問題文',
+      choices: ['a', 'b'],
+      problemImageSrcs: [PROBLEM_IMAGE]
+    },
+    explanation: {
+      correctAnswer: 'a',
+      explanationPoints: '要点',
+      optionAnalysis: '解説',
+      guideline: '',
+      explanationImages: [EXPLANATION_IMAGE, EXPLANATION_IMAGE]
+    }
+  };
+}
+
+// 文書の定義から、画像の要素をすべて取り出す
+function imagesIn(node, found = []) {
+  if (Array.isArray(node)) {
+    node.forEach(child => imagesIn(child, found));
+  } else if (node && typeof node === 'object') {
+    if (node.image) {
+      found.push(node);
+    }
+    Object.values(node).forEach(child => imagesIn(child, found));
+  }
+  return found;
+}
+
+// 「解説」の見出しから、次の改ページまでの要素
+function explanationPage(content) {
+  const start = content.findIndex(node => node.text === '解説');
+  const end = content.findIndex((node, i) => i > start && node.pageBreak);
+  return content.slice(start, end);
+}
+
+test('generatePdf: 解説画像（explanation.explanationImages）を解説ページに並べる', async () => {
+  await single.generatePdf([scrapedItem()], 'unused');
+  const images = imagesIn(explanationPage(rendered.content));
+  assert.equal(images.length, 2);
+  assert.ok(images.every(node => node.image === EXPLANATION_IMAGE));
+  // 横長の画像は1枚ずつ並べ、元の画像の幅より大きくしない
+  assert.deepEqual(images.map(node => node.fit[0]), [2, 2]);
+});
+
+test('generatePdf: --image-appendix では問題画像・解説画像のすべてを付録に載せ、本文からリンクする', async () => {
+  await single.generatePdf([scrapedItem()], 'unused', { imageAppendix: true });
+  const start = rendered.content.findIndex(node => node.text === '付録：画像（拡大）');
+  assert.ok(start > 0);
+  const appendix = rendered.content.slice(start + 1);
+  assert.deepEqual(imagesIn(appendix).map(node => node.image), [PROBLEM_IMAGE, EXPLANATION_IMAGE, EXPLANATION_IMAGE]);
+  assert.deepEqual(appendix.map(item => item.stack[0].id), ['qb-figure-1', 'qb-figure-2', 'qb-figure-3']);
+  // 解説ページの画像から付録の図へリンクする
+  const links = imagesIn(explanationPage(rendered.content)).map(node => node.linkToDestination);
+  assert.deepEqual(links, ['qb-figure-2', 'qb-figure-3']);
+});
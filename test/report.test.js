@@ -0,0 +1,69 @@
+// 実行レポート（lib/report.js）のテスト
+// 実行: node --test test/*.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { REPORT_FILE_NAME, auditItem, buildReport, saveReport } = require('../lib/report.js');
+const { FAILURE_STEPS, stepError, failureEntry } = require('../lib/failures.js');
+const { STOP_REASONS } = require('../lib/end-of-set.js');
+
+function singleItem(problemId, overrides = {}) {
+  return {
+    problem: { problemId, questionText: '問題文', choices: ['a', 'b'], problemImageSrcs: [], ...overrides.problem },
+    explanation: { correctAnswer: 'a', explanationPoints: '要点', optionAnalysis: '解説', explanationImages: [], ...overrides.explanation }
+  };
+}
+
+test('auditItem: 空欄・空配列・取得できなかったときの文字列を欠けとし、取り込めなかった画像を数える', () => {
+  const item = singleItem('1', {
+    problem: { questionText: '【問題文なし】', choices: [], problemImageSrcs: ['sha256:abc', 'data:image/png;base64,AA=='] },
+    explanation: { explanationPoints: '  ', explanationImages: ['https://qb.test/image.png'] }
+  });
+  const audit = auditItem('single', item);
+  assert.deepEqual(audit.missing, ['questionText', 'choices', 'explanationPoints']);
+  assert.equal(audit.completeness, 2 / 5);
+  assert.deepEqual(audit.images, { total: 3, embedded: 2, fallback: 1 });
+  assert.equal(audit.warnings.length, 4);
+  assert.throws(() => auditItem('unknown', item), /不明なダンプの種類/);
+});
+
+test('buildReport: 取得できなかった問題を充足率 0 として品質に含め、下限と比べる', () => {
+  const failures = [failureEntry('3', stepError(FAILURE_STEPS.CORRECT_ANSWER, new Error('timeout')))];
+  const items = [singleItem('1'), singleItem('2', { explanation: { optionAnalysis: '' } })];
+  const report = buildReport({ kind: 'single', stopReason: STOP_REASONS.NO_NEXT_BUTTON, items, failures, timings: { 1: 1000, 2: 3000 } });
+
+  assert.equal(report.summary.questions, 2);
+  assert.equal(report.summary.complete, 1);
+  assert.equal(report.summary.incomplete, 1);
+  assert.equal(report.summary.failed, 1);
+  // (1 + 0.8 + 0) / 3
+  assert.ok(Math.abs(report.summary.quality - 0.6) < 1e-9);
+  assert.equal(report.summary.passed, false);
+  assert.deepEqual(report.summary.timing, { measured: 2, totalMs: 4000, averageMs: 2000, minMs: 1000, maxMs: 3000 });
+  assert.deepEqual(report.questions.map(q => q.durationMs), [1000, 3000]);
+  assert.equal(report.warnings.length, 2);
+  assert.match(report.warnings[1], /^問題ID 3：/);
+
+  // minQuality が 0 なら判定しない
+  assert.equal(buildReport({ kind: 'single', items, failures, minQuality: 0 }).summary.passed, true);
+  // 問題がなければ品質は 1、所要時間は null
+  const empty = buildReport({ kind: 'renzoku', items: [] });
+  assert.equal(empty.summary.quality, 1);
+  assert.equal(empty.summary.timing.averageMs, null);
+});
+
+test('saveReport: ダンプディレクトリに report.json を書き出す', () => {
+  const dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'qb-report-')), 'dump');
+  const report = buildReport({ kind: 'single', items: [singleItem('1')] });
+  const log = console.log;
+  console.log = () => {};
+  try {
+    assert.equal(saveReport(dir, report), path.join(dir, REPORT_FILE_NAME));
+  } finally {
+    console.log = log;
+  }
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, REPORT_FILE_NAME), 'utf8')), report);
+});
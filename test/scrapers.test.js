@@ -0,0 +1,276 @@
+// モックの QB サイト（mock-qb/）に対して、実際のスクレイパーをヘッドレス Chromium で動かすテスト
+// 実行: node --test test/*.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer');
+
+const { startMockServer, MOCK_CREDENTIALS } = require('../mock-qb/server.js');
+const single = require('../QB_Scrape_Ver.3.js');
+const renzoku = require('../QB_Scrape_4continues_ver.1.js');
+const merge = require('../QB_Scrape_merge_ver.1.js');
+const { scrapeByIds } = require('../lib/targets.js');
+const { readCheckpoint } = require('../lib/checkpoint.js');
+const { STOP_REASONS, isSummaryScreen } = require('../lib/end-of-set.js');
+const { createSessionGuard } = require('../lib/session.js');
+
+// モックのページはすぐに表示されるので、待機の上限を短くしておく
+const WAITS = { question: 5000, content: 5000, networkIdle: 1000, idleTime: 100, images: 3000 };
+const TEST_TIMEOUT = 120000;
+const DATA_URL = /^data:image\/png;base64,/;
+
+let server;
+let browser;
+
+before(async () => {
+  server = await startMockServer();
+  browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox'] });
+});
+
+after(async () => {
+  if (browser) await browser.close();
+  if (server) await server.close();
+});
+
+/**
+ * ログイン画面を開いてモックサイトにログインする
+ */
+async function login(page, mock = server) {
+  await page.goto(mock.loginUrl, { waitUntil: 'domcontentloaded' });
+  await page.type('input[name="username"]', MOCK_CREDENTIALS.email);
+  await page.type('input[name="password"]', MOCK_CREDENTIALS.password);
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: 'domcontentloaded' }),
+    page.click('button[type="submit"]')
+  ]);
+}
+
+/**
+ * 新しいタブでモックサイトにログインし、指定した問題ページを開く
+ */
+async function openQuestion(problemId, mock = server) {
+  const page = await browser.newPage();
+  await login(page, mock);
+  if (problemId) {
+    await page.goto(`${mock.origin}/Answer/${problemId}`, { waitUntil: 'domcontentloaded' });
+  }
+  return page;
+}
+
+function tempFile(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'qb-test-')), name);
+}
+
+test('ログインしていないと問題ページはログイン画面に戻される', { timeout: TEST_TIMEOUT }, async () => {
+  const page = await browser.newPage();
+  try {
+    await page.goto(`${server.origin}/Answer/1000000001`, { waitUntil: 'domcontentloaded' });
+    assert.match(page.url(), /\/login$/);
+  } finally {
+    await page.close();
+  }
+});
+
+test('ログイン画面は結果画面とみなさず、同じサイトの問題ページ以外のページは結果画面とみなす', { timeout: TEST_TIMEOUT }, async () => {
+  const page = await browser.newPage();
+  const questionUrl = `${server.origin}/Answer/1000000001`;
+  try {
+    await page.goto(questionUrl, { waitUntil: 'domcontentloaded' }); // ログインしていないのでログイン画面に戻される
+    assert.equal(await isSummaryScreen(page, questionUrl), false);
+    await login(page);
+    assert.equal(await isSummaryScreen(page, questionUrl), true);
+    await page.goto(questionUrl, { waitUntil: 'domcontentloaded' });
+    assert.equal(await isSummaryScreen(page, questionUrl), false);
+  } finally {
+    await page.close();
+  }
+});
+
+test('通常問題: セットの最後まで取得し、問題・解説・基本事項を抽出する', { timeout: TEST_TIMEOUT }, async () => {
+  const page = await openQuestion('1000000001');
+  try {
+    const { results, stopReason } = await single.scrapeQuestions(page, Infinity, { waits: WAITS });
+
+    assert.equal(stopReason, STOP_REASONS.NO_NEXT_BUTTON);
+    assert.deepEqual(results.map(r => r.problem.problemId), ['1000000001', '1000000002', '1000000003']);
+
+    const [first, second] = results;
+    assert.equal(first.problem.problemNumber, '1A-01');
+    assert.equal(first.problem.questionText, '45歳の女性。発熱と関節痛を主訴に来院した。最も考えられるのはどれか。');
+    assert.deepEqual(first.problem.choices, ['a　関節リウマチ', 'b　全身性エリテマトーデス', 'c　痛風']);
+    assert.equal(first.problem.problemImageSrcs.length, 1);
+    assert.match(first.problem.problemImageSrcs[0], DATA_URL);
+
+    assert.equal(first.explanation.correctAnswer, 'b');
+    assert.equal(first.explanation.explanationPoints, '発熱・関節痛・蝶形紅斑からSLEを考える。');
+    assert.equal(first.explanation.optionAnalysis, 'a　×　朝のこわばりが目立つ。\nb　○　正しい。');
+    assert.equal(first.explanation.guideline, 'SLE診療ガイドライン2019');
+    assert.equal(first.explanation.explanationImages.length, 1);
+    assert.match(first.explanation.explanationImages[0], DATA_URL);
+
+    assert.equal(first.basic.title, '全身性エリテマトーデス');
+    assert.equal(first.basic.textContent, '若年女性に好発する自己免疫疾患。');
+    assert.equal(first.basic.images.length, 1);
+
+    // 解法の要点がない問題・基本事項がない問題
+    assert.equal(second.explanation.optionAnalysis, '');
+    assert.equal(results[2].explanation.explanationPoints, '解法の要点なし');
+    assert.equal(second.basic, null);
+  } finally {
+    await page.close();
+  }
+});
+
+test('通常問題: --count の上限で止まり、チェックポイントに1問ずつ追記する', { timeout: TEST_TIMEOUT }, async () => {
+  const page = await openQuestion('1000000001');
+  const checkpointPath = tempFile('run.checkpoint.jsonl');
+  try {
+    const { results, stopReason } = await single.scrapeQuestions(page, 2, { waits: WAITS, checkpointPath });
+    assert.equal(stopReason, STOP_REASONS.COUNT);
+    assert.equal(results.length, 2);
+    assert.deepEqual(readCheckpoint(checkpointPath).map(r => r.problem.problemId), ['1000000001', '1000000002']);
+  } finally {
+    await page.close();
+  }
+});
+
+test('通常問題: 取得済みの問題は読み飛ばす（再開）', { timeout: TEST_TIMEOUT }, async () => {
+  const page = await openQuestion('1000000001');
+  try {
+    const { results } = await single.scrapeQuestions(page, Infinity, {
+      waits: WAITS,
+      completedIds: new Set(['1000000001'])
+    });
+    assert.deepEqual(results.map(r => r.problem.problemId), ['1000000002', '1000000003']);
+  } finally {
+    await page.close();
+  }
+});
+
+test('通常問題: 同じ問題IDに戻ったらセットを一周したとみなして終了する', { timeout: TEST_TIMEOUT }, async () => {
+  const page = await openQuestion('3000000001');
+  try {
+    const { results, stopReason } = await single.scrapeQuestions(page, Infinity, { waits: WAITS });
+    assert.equal(stopReason, STOP_REASONS.REPEATED_ID);
+    assert.deepEqual(results.map(r => r.problem.problemId), ['3000000001', '3000000002']);
+  } finally {
+    await page.close();
+  }
+});
+
+test('通常問題: セットの途中でセッションが切れたらログインし直して続きから取得する', { timeout: TEST_TIMEOUT }, async () => {
+  // 2問開くとセッションが切れるモックサーバー（3問目への遷移でログイン画面に戻される）
+  const expiring = await startMockServer({ sessionPages: 2 });
+  const page = await openQuestion('1000000001', expiring);
+  try {
+    const session = createSessionGuard({ loginUrl: expiring.loginUrl, login: (loginPage) => login(loginPage, expiring) });
+    const { results, stopReason } = await single.scrapeQuestions(page, Infinity, { waits: WAITS, session });
+    assert.equal(stopReason, STOP_REASONS.NO_NEXT_BUTTON);
+    assert.deepEqual(results.map(r => r.problem.problemId), ['1000000001', '1000000002', '1000000003']);
+    assert.equal(expiring.logins(), 2);
+  } finally {
+    await page.close();
+    await expiring.close();
+  }
+});
+
+test('問題ID指定: 指定順に取得し、存在しない問題IDは失敗として返す', { timeout: TEST_TIMEOUT }, async () => {
+  const page = await openQuestion();
+  try {
+    const scrapeOne = async (page, label) => {
+      await single.waitForQuestionPage(page, WAITS);
+      return single.scrapeCurrentQuestion(page, label, WAITS);
+    };
+    const { results, failedIds } = await scrapeByIds(page, ['1000000003', '9999999999', '1000000001'], scrapeOne, {
+      baseUrl: server.origin,
+      retries: 0
+    });
+    assert.deepEqual(results.map(r => r.problem.problemId), ['1000000003', '1000000001']);
+    assert.deepEqual(failedIds, ['9999999999']);
+  } finally {
+    await page.close();
+  }
+});
+
+test('4連問: clickNextQuestion で次の小問に切り替わる', { timeout: TEST_TIMEOUT }, async () => {
+  const page = await openQuestion('2000000001');
+  try {
+    await renzoku.clickNextQuestion(page, 0, WAITS);
+    const text = await page.$eval('div.question-content .body p', el => el.innerText.trim());
+    assert.equal(text, '【2問目】心電図でST低下を認めた。次に行う検査はどれか。');
+  } finally {
+    await page.close();
+  }
+});
+
+test('4連問: 各セットの解説を抽出し、セットの最後で終了する', { timeout: TEST_TIMEOUT }, async () => {
+  const page = await openQuestion('2000000001');
+  try {
+    const { results, stopReason } = await renzoku.scrape(page, Infinity, { waits: WAITS });
+
+    assert.equal(stopReason, STOP_REASONS.NO_NEXT_BUTTON);
+    assert.deepEqual(results.map(r => r.problem.problemId), ['2000000001', '2000000005']);
+
+    const [first, second] = results.map(r => r.explanation);
+    assert.equal(first.keyword, '労作性狭心症\n冠動脈造影');
+    assert.equal(first.explanationPoints, '労作時の胸痛は労作性狭心症を考える。');
+    assert.equal(first.diagnosis, '労作性狭心症');
+    assert.equal(first.choicesExplanation, '1問目：心電図を最初に行う。');
+    assert.equal(first.guideline, '慢性冠動脈疾患診断ガイドライン');
+    assert.equal(first.imageDiagnosisCaption, '右冠動脈の狭窄');
+    assert.equal(first.explanationImages.length, 1);
+    assert.match(first.explanationImages[0], DATA_URL);
+
+    // 画像がない画像診断は、先頭の [番号] を除いた本文をキャプションとする
+    assert.equal(second.diagnosis, 'Basedow病');
+    assert.equal(second.imageDiagnosisCaption, 'びまん性の甲状腺腫大');
+    assert.deepEqual(second.explanationImages, []);
+  } finally {
+    await page.close();
+  }
+});
+
+test('4連問: 取得済みの問題は解説を表示せずに読み飛ばす（再開）', { timeout: TEST_TIMEOUT }, async () => {
+  const page = await openQuestion('2000000001');
+  try {
+    const { results, failures } = await renzoku.scrape(page, Infinity, {
+      waits: WAITS,
+      completedIds: new Set(['2000000001'])
+    });
+    assert.deepEqual(results.map(r => r.problem.problemId), ['2000000005']);
+    assert.deepEqual(failures, []);
+  } finally {
+    await page.close();
+  }
+});
+
+test('4連問: セットの途中でセッションが切れたらログインし直して続きから取得する', { timeout: TEST_TIMEOUT }, async () => {
+  // 2問開くとセッションが切れるモックサーバー（開き直して1問分使うので、2問目への遷移でログイン画面に戻される）
+  const expiring = await startMockServer({ sessionPages: 2 });
+  const page = await openQuestion('2000000001', expiring);
+  try {
+    await page.reload({ waitUntil: 'domcontentloaded' });
+    const session = createSessionGuard({ loginUrl: expiring.loginUrl, login: (loginPage) => login(loginPage, expiring) });
+    const { results, stopReason } = await renzoku.scrape(page, Infinity, { waits: WAITS, session });
+    assert.equal(stopReason, STOP_REASONS.NO_NEXT_BUTTON);
+    assert.deepEqual(results.map(r => r.problem.problemId), ['2000000001', '2000000005']);
+  } finally {
+    await page.close();
+    await expiring.close();
+  }
+});
+
+test('4連問（merge）: 解説を抽出する', { timeout: TEST_TIMEOUT }, async () => {
+  const page = await openQuestion('2000000001');
+  try {
+    const { results } = await merge.scrape(page, 1, { waits: WAITS });
+    assert.equal(results.length, 1);
+    assert.equal(results[0].problem.problemId, '2000000001');
+    assert.equal(results[0].explanation.keyword, '労作性狭心症\n冠動脈造影');
+    assert.equal(results[0].explanation.imageDiagnosisCaption, '右冠動脈の狭窄');
+  } finally {
+    await page.close();
+  }
+});
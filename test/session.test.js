@@ -0,0 +1,163 @@
+// ブラウザのセッションの保存・再利用と、実行中のセッション切れからの復帰（lib/session.js）のテスト
+// ブラウザは使わず、Cookie の読み書きと URL・要素の有無だけを持つページの代わりで動かす
+// 実行: node --test test/*.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { restoreSession, saveSession, isLoginPage, createSessionGuard } = require('../lib/session.js');
+
+const LOGIN_URL = 'https://login.qb.test/login';
+
+/**
+ * Puppeteer の page の代わり（Cookie は CDP の Network.getAllCookies で返す）
+ */
+function fakePage({ url = 'https://qb.test/Answer/1', cookies = [], hasLoginForm = false } = {}) {
+  return {
+    cookies,
+    current: url,
+    url() {
+      return this.current;
+    },
+    async goto(target) {
+      this.current = target;
+    },
+    async setCookie(...items) {
+      this.cookies.push(...items);
+    },
+    target: () => ({
+      createCDPSession: async () => ({
+        send: async (method) => {
+          assert.equal(method, 'Network.getAllCookies');
+          return { cookies };
+        },
+        detach: async () => {}
+      })
+    }),
+    $: async () => (hasLoginForm ? {} : null)
+  };
+}
+
+function sessionFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'qb-session-')), 'sessions', '.qb-session.json');
+}
+
+// ログを出さずに実行する
+async function quietly(fn) {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+}
+
+test('saveSession / restoreSession: 全ドメインの Cookie を所有者のみ読み書きできるファイルに保存し、読み込んで設定する', async () => {
+  const filePath = sessionFile();
+  const now = Date.now() / 1000;
+  const cookies = [
+    { name: 'qb_session', value: 'abc', domain: 'qb.test', path: '/', expires: -1, httpOnly: true, secure: true, session: true },
+    { name: 'sso', value: 'def', domain: 'login.qb.test', path: '/', expires: now + 3600 },
+    { name: 'old', value: 'x', domain: 'qb.test', path: '/', expires: now - 3600 }
+  ];
+  await saveSession(fakePage({ cookies }), filePath);
+  if (process.platform !== 'win32') {
+    assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+  }
+
+  const page = fakePage();
+  assert.equal(await quietly(() => restoreSession(page, filePath)), true);
+  // 有効期限切れの Cookie は除き、page.setCookie に渡せない項目（session）は落とす
+  assert.deepEqual(page.cookies.map(cookie => cookie.name), ['qb_session', 'sso']);
+  assert.equal(page.cookies[0].session, undefined);
+  assert.equal(page.cookies[0].httpOnly, true);
+});
+
+test('restoreSession: ファイルがない・壊れている・形式が異なる・有効な Cookie がなければ何もしない', async () => {
+  const filePath = sessionFile();
+  const page = fakePage();
+  assert.equal(await restoreSession(page, filePath), false);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, '{');
+  assert.equal(await quietly(() => restoreSession(page, filePath)), false);
+  fs.writeFileSync(filePath, JSON.stringify({ version: 0, cookies: [] }));
+  assert.equal(await quietly(() => restoreSession(page, filePath)), false);
+  fs.writeFileSync(filePath, JSON.stringify({ version: 1, cookies: [{ name: 'old', value: 'x', expires: 1 }] }));
+  assert.equal(await quietly(() => restoreSession(page, filePath)), false);
+  assert.deepEqual(page.cookies, []);
+});
+
+test('isLoginPage: ログイン画面の URL か、ログインフォームがあればログイン画面とみなす', async () => {
+  assert.equal(await isLoginPage(fakePage({ url: `${LOGIN_URL}?returnUrl=%2FAnswer%2F1` }), LOGIN_URL), true);
+  assert.equal(await isLoginPage(fakePage({ url: 'https://qb.test/Account/Login', hasLoginForm: true }), LOGIN_URL), true);
+  assert.equal(await isLoginPage(fakePage(), LOGIN_URL), false);
+});
+
+/**
+ * セッションが切れたサイトの代わり（ログインするまで問題ページを開くとログイン画面に戻される）
+ */
+function expiringSite() {
+  const site = {
+    loggedIn: false,
+    logins: 0,
+    page() {
+      const page = fakePage({ url: LOGIN_URL });
+      page.goto = async (target) => {
+        page.current = site.loggedIn ? target : LOGIN_URL;
+      };
+      return page;
+    },
+    async login(page) {
+      site.logins++;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      site.loggedIn = true;
+      page.current = 'https://qb.test/';
+    }
+  };
+  return site;
+}
+
+test('createSessionGuard: ログイン画面に戻されていればログインし直して同じ問題を開き直し、有効なら何もしない', async () => {
+  const site = expiringSite();
+  const guard = createSessionGuard({ loginUrl: LOGIN_URL, login: page => site.login(page) });
+  const page = site.page();
+  assert.equal(await quietly(() => guard.recover(page, 'https://qb.test/Answer/2')), true);
+  assert.equal(page.url(), 'https://qb.test/Answer/2');
+  assert.equal(await guard.recover(page, 'https://qb.test/Answer/2'), false);
+  assert.equal(site.logins, 1);
+});
+
+test('createSessionGuard: 並列のタブが同時にセッション切れを検知しても、ログインし直すのは1回だけ', async () => {
+  const site = expiringSite();
+  const guard = createSessionGuard({ loginUrl: LOGIN_URL, login: page => site.login(page) });
+  const pages = [site.page(), site.page(), site.page()];
+  const recovered = await quietly(() => Promise.all(pages.map((page, i) => guard.recover(page, `https://qb.test/Answer/${i + 1}`))));
+  assert.deepEqual(recovered, [true, true, true]);
+  assert.deepEqual(pages.map(page => page.url()), ['https://qb.test/Answer/1', 'https://qb.test/Answer/2', 'https://qb.test/Answer/3']);
+  assert.equal(site.logins, 1);
+});
+
+test('createSessionGuard: ログインし直しても開けない・上限を超えてセッションが切れたらエラーにする', async () => {
+  // ログインしても問題ページを開くとログイン画面に戻される
+  const page = fakePage({ url: LOGIN_URL });
+  page.goto = async () => {};
+  const rejected = createSessionGuard({ loginUrl: LOGIN_URL, login: async () => {} });
+  await quietly(() => assert.rejects(rejected.recover(page, 'https://qb.test/Answer/1'), /ログインし直しても問題ページを開けませんでした/));
+
+  // 開き直すたびにまたセッションが切れる
+  const site = expiringSite();
+  const guard = createSessionGuard({ loginUrl: LOGIN_URL, login: page => site.login(page), maxReauth: 2 });
+  const expiring = site.page();
+  await quietly(async () => {
+    for (let i = 0; i < 2; i++) {
+      assert.equal(await guard.recover(expiring, 'https://qb.test/Answer/1'), true);
+      expiring.current = LOGIN_URL;
+    }
+    await assert.rejects(guard.recover(expiring, 'https://qb.test/Answer/1'), /セッション切れが続いたため中止します/);
+  });
+  assert.equal(site.logins, 2);
+});
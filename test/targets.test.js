@@ -0,0 +1,172 @@
+// 問題ID指定のスクレイピング（lib/targets.js）のテスト
+// ブラウザは使わず、goto だけを持つタブの代わりと、表示中の問題IDを返す scrapeOne で動かす
+// 実行: node --test test/*.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  parseIdList,
+  resolveIds,
+  problemUrl,
+  splitIntoSlices,
+  orderByIds,
+  scrapeByIds,
+  scrapeByIdsInParallel
+} = require('../lib/targets.js');
+
+const BASE_URL = 'http://qb.test';
+
+function fakePage() {
+  return {
+    current: null,
+    async goto(url) {
+      this.current = url.match(/\/Answer\/(\d+)$/)[1];
+    }
+  };
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ログを出さずに実行する
+async function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+test('parseIdList: カンマ・空白・改行区切りと範囲指定を展開し、重複を除いて指定順を保つ', () => {
+  assert.deepEqual(
+    parseIdList('2014100430, 2014100432-2014100434\n2014100430 0098..0100'),
+    ['2014100430', '2014100432', '2014100433', '2014100434', '0098', '0099', '0100']
+  );
+  // "#" 以降はコメント
+  assert.deepEqual(parseIdList('# 免疫\n1000000001 # 1問目\n\n1000000002\n'), ['1000000001', '1000000002']);
+  assert.deepEqual(parseIdList(''), []);
+});
+
+test('parseIdList: 逆順・大きすぎる範囲・数字でない問題IDをエラーにする', () => {
+  assert.throws(() => parseIdList('20-10'), /逆順/);
+  assert.throws(() => parseIdList('1-2001'), /大きすぎます/);
+  assert.throws(() => parseIdList('1000000001, abc'), /解釈できません: abc/);
+});
+
+test('resolveIds: --ids と --ids-file を合わせ、どちらもなければ null、1つもなければエラーにする', () => {
+  const idsFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'qb-ids-')), 'ids.txt');
+  fs.writeFileSync(idsFile, '# 追加分\n3\n1\n');
+  assert.deepEqual(resolveIds({ ids: '1,2', idsFile }), ['1', '2', '3']);
+  assert.equal(resolveIds({}), null);
+  fs.writeFileSync(idsFile, '# 空\n');
+  assert.throws(() => resolveIds({ idsFile }), /1つも指定されていません/);
+});
+
+test('problemUrl: ドメインでも URL 全体でも /Answer/{id} の URL を組み立てる', () => {
+  assert.equal(problemUrl(BASE_URL, '1'), 'http://qb.test/Answer/1');
+  assert.equal(problemUrl('http://qb.test/Answer/9?x=1', '2'), 'http://qb.test/Answer/2');
+});
+
+test('splitIntoSlices: 順序を保ったまま連続した区間に分け、空の区間は作らない', () => {
+  assert.deepEqual(splitIntoSlices(['1', '2', '3', '4', '5'], 2), [['1', '2', '3'], ['4', '5']]);
+  assert.deepEqual(splitIntoSlices(['1', '2'], 4), [['1'], ['2']]);
+  assert.deepEqual(splitIntoSlices([], 3), []);
+});
+
+test('orderByIds: 指定順に並べ、指定にない結果は末尾に残す', () => {
+  const items = ['9', '3', '1', '2'].map(problemId => ({ problem: { problemId } }));
+  assert.deepEqual(orderByIds(['1', '2', '3'], items).map(item => item.problem.problemId), ['1', '2', '3', '9']);
+});
+
+test('scrapeByIds: 再試行しても取得できなかった問題は、失敗した回数によらずエラー1件として数える', async () => {
+  const counts = { error: 0, advance: 0 };
+  const progress = {
+    begin() {},
+    advance() {
+      counts.advance++;
+    },
+    error() {
+      counts.error++;
+    },
+    finish() {}
+  };
+  const scrapeOne = async (page) => (page.current === '2' ? null : { problem: { problemId: page.current } });
+  const outcome = await quietly(() => scrapeByIds(fakePage(), ['1', '2', '3'], scrapeOne, {
+    baseUrl: BASE_URL,
+    retries: 2,
+    retryBackoff: 1,
+    progress
+  }));
+  assert.deepEqual(outcome.failedIds, ['2']);
+  assert.equal(outcome.failures[0].attempts, 3);
+  assert.deepEqual(counts, { error: 1, advance: 3 });
+});
+
+test('scrapeByIdsInParallel: 複数のタブで取得し、結果を指定順に並べて返す', async () => {
+  const pages = [fakePage(), fakePage(), fakePage()];
+  const scrapeOne = async (page) => {
+    await delay(5);
+    return { problem: { problemId: page.current } };
+  };
+  const ids = ['1', '2', '3', '4', '5', '6', '7'];
+  const outcome = await quietly(() => scrapeByIdsInParallel(pages, ids, scrapeOne, {
+    baseUrl: BASE_URL,
+    completedIds: new Set(['3'])
+  }));
+  assert.deepEqual(outcome.results.map(item => item.problem.problemId), ['1', '2', '4', '5', '6', '7']);
+  assert.deepEqual(outcome.failedIds, []);
+  assert.equal(outcome.interrupted, false);
+});
+
+test('scrapeByIdsInParallel: 1つのタブが続行できなくなったら他のタブも止め、すべて止まってからエラーを投げる', async () => {
+  const pages = [fakePage(), fakePage()];
+  const scraped = [];
+  let running = 0;
+  const scrapeOne = async (page) => {
+    running++;
+    await delay(20);
+    running--;
+    scraped.push(page.current);
+    return { problem: { problemId: page.current } };
+  };
+  // タブ1の最初の問題でログインし直せなくなる
+  const session = {
+    async recover(page) {
+      if (page.current === '1') {
+        await delay(5);
+        throw new Error('ログインし直しても問題ページを開けませんでした');
+      }
+      return false;
+    }
+  };
+  await quietly(() => assert.rejects(
+    scrapeByIdsInParallel(pages, ['1', '2', '3', '4', '5', '6'], scrapeOne, { baseUrl: BASE_URL, session }),
+    /ログインし直しても/
+  ));
+  assert.equal(running, 0);
+  assert.deepEqual(scraped, ['4']);
+});
+
+test('scrapeByIdsInParallel: 中断されたら再試行の待ち時間を待たずに終了する', async () => {
+  const controller = new AbortController();
+  const scrapeOne = async () => {
+    controller.abort();
+    return null;
+  };
+  const started = Date.now();
+  const outcome = await quietly(() => scrapeByIdsInParallel([fakePage()], ['1'], scrapeOne, {
+    baseUrl: BASE_URL,
+    retries: 2,
+    retryBackoff: 60000,
+    signal: controller.signal
+  }));
+  assert.ok(Date.now() - started < 5000);
+  assert.equal(outcome.interrupted, true);
+  assert.deepEqual(outcome.failedIds, ['1']);
+});
@@ -0,0 +1,99 @@
+// アクセス間隔・上限（lib/throttle.js）のテスト
+// 実行: node --test test/*.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { pause, resumeTime, createThrottle } = require('../lib/throttle.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function budgetFile(visits) {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'qb-budget-')), '.qb-budget.json');
+  if (visits) {
+    fs.writeFileSync(filePath, JSON.stringify({ version: 1, visits }));
+  }
+  return filePath;
+}
+
+function readVisits(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8')).visits;
+}
+
+// 警告・ログを記録して実行する
+async function captureConsole(fn) {
+  const { log, warn } = console;
+  const messages = [];
+  console.log = console.warn = (...args) => messages.push(args.join(' '));
+  try {
+    await fn();
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+  return messages;
+}
+
+test('resumeTime: 上限に達していなければ 0、達していれば期間内の記録が1件減る時刻を返す', () => {
+  const now = 10 * HOUR_MS;
+  const visits = [now - 2 * HOUR_MS, now - 50 * 60000, now - 30 * 60000, now - 10 * 60000];
+  assert.equal(resumeTime(visits, 0, HOUR_MS, now), 0);
+  assert.equal(resumeTime(visits, 4, HOUR_MS, now), 0);
+  // 直近1時間の3件のうち、古い方から1件外れれば上限（3件）を下回る
+  assert.equal(resumeTime(visits, 3, HOUR_MS, now), now - 50 * 60000 + HOUR_MS);
+  assert.equal(resumeTime(visits, 2, HOUR_MS, now), now - 30 * 60000 + HOUR_MS);
+});
+
+test('pause: 中断されたらすぐに戻る', async () => {
+  const controller = new AbortController();
+  const started = Date.now();
+  setTimeout(() => controller.abort(), 20);
+  await pause(60000, controller.signal);
+  assert.ok(Date.now() - started < 5000);
+  await pause(60000, controller.signal);
+});
+
+test('createThrottle: 問題ページ・画像の取得の間隔を空け、並列の呼び出しも1つずつ処理する', async () => {
+  const throttle = createThrottle({ minDelay: 50, jitter: 0, imageDelay: 30 });
+  const started = Date.now();
+  await Promise.all([throttle.beforeQuestion(), throttle.beforeQuestion(), throttle.beforeQuestion()]);
+  assert.ok(Date.now() - started >= 95, `${Date.now() - started}ms`);
+
+  const imageStarted = Date.now();
+  await throttle.beforeImage();
+  await throttle.beforeImage();
+  assert.ok(Date.now() - imageStarted >= 25);
+});
+
+test('createThrottle: 問題ページを開いた時刻を記録し、上限がなければ記録しない', async () => {
+  const filePath = budgetFile();
+  const throttle = createThrottle({ minDelay: 0, jitter: 0, perDay: 100 }, { budgetFile: filePath });
+  await throttle.beforeQuestion();
+  await throttle.beforeQuestion();
+  assert.equal(readVisits(filePath).length, 2);
+
+  const unlimited = budgetFile();
+  await createThrottle({ minDelay: 0, jitter: 0 }, { budgetFile: unlimited }).beforeQuestion();
+  assert.equal(fs.existsSync(unlimited), false);
+});
+
+test('createThrottle: 前回までの実行を含めて上限に達したら一時停止し、中断されたら記録せずに戻る', async () => {
+  const now = Date.now();
+  const filePath = budgetFile([now - 2 * HOUR_MS, now - 20 * 60000, now - 10 * 60000]);
+  const controller = new AbortController();
+  const throttle = createThrottle({ minDelay: 0, jitter: 0, perHour: 2 }, { budgetFile: filePath, signal: controller.signal });
+  setTimeout(() => controller.abort(), 50);
+  const messages = await captureConsole(() => throttle.beforeQuestion());
+  assert.equal(messages.length, 1);
+  assert.match(messages[0], /1時間あたりの上限（2 問）に達したため、\d\d:\d\d まで一時停止します（あと(39|40)分\d+秒）/);
+  assert.equal(readVisits(filePath).length, 3);
+});
+
+test('createThrottle: 読み込めない記録は空の記録として数える', async () => {
+  const filePath = budgetFile();
+  fs.writeFileSync(filePath, '{');
+  const messages = await captureConsole(() => createThrottle({ minDelay: 0, jitter: 0, perHour: 1 }, { budgetFile: filePath }).beforeQuestion());
+  assert.match(messages[0], /アクセス記録を読み込めない/);
+  assert.equal(readVisits(filePath).length, 1);
+});